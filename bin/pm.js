@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * pm - one entrypoint for the Productboard, Dovetail, Confluence and Jira skills.
+ * See utils/pm-cli.js; install with `npm link` or run `node bin/pm.js`.
+ */
+
+require('dotenv').config();
+const { run } = require('../utils/pm-cli');
+
+run(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadCompanyRules,
+  compileCompanyRules,
+  validateCompanyRules,
+  classifyCompany,
+  companyLabel,
+  companySegment,
+  DEFAULT_COMPANY_RULES_FILE
+} = require('../utils/company-rules');
+
+const baseRules = () => JSON.parse(fs.readFileSync(DEFAULT_COMPANY_RULES_FILE, 'utf8'));
+
+describe('Company Rules', () => {
+  const rules = compileCompanyRules({
+    ...baseRules(),
+    companies: {
+      'Globex Corporation': { size: 'smb', industry: 'Manufacturing' },
+      'Initech': { industry: 'Software' }
+    }
+  });
+
+  describe('Validation', () => {
+    it('should accept the bundled rule set', () => {
+      assert.deepStrictEqual(validateCompanyRules(baseRules()), []);
+    });
+
+    it('should report every problem', () => {
+      const invalid = baseRules();
+      invalid.version = 2;
+      invalid.keywords.push({ contains: [], size: 'huge' });
+      invalid.companies.Hooli = { size: 'mega', industry: '' };
+
+      const errors = validateCompanyRules(invalid);
+      assert.ok(errors.some(error => error.includes('version must be 1')));
+      assert.ok(errors.some(error => error.includes('keywords[2].contains')));
+      assert.ok(errors.some(error => error.includes('keywords[2].size')));
+      assert.ok(errors.some(error => error.includes('companies["Hooli"].size')));
+      assert.ok(errors.some(error => error.includes('companies["Hooli"].industry')));
+    });
+
+    it('should fail loudly when the file is missing or invalid', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'company-rules-'));
+      try {
+        assert.throws(() => loadCompanyRules(path.join(dir, 'missing.json')), /Company rules not found/);
+        fs.writeFileSync(path.join(dir, 'rules.json'), '{ nope');
+        assert.throws(() => loadCompanyRules(path.join(dir, 'rules.json')), /Invalid company rules/);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Classification', () => {
+    it('should prefer the lookup table over keywords', () => {
+      // "Corporation" contains "corp", but the table says SMB
+      assert.deepStrictEqual(classifyCompany(rules, 'globex  corporation.'), { size: 'smb', industry: 'Manufacturing' });
+    });
+
+    it('should fall back to keywords', () => {
+      assert.deepStrictEqual(classifyCompany(rules, 'Umbrella Corp'), { size: 'enterprise', industry: null });
+      assert.deepStrictEqual(classifyCompany(rules, 'Hooli'), { size: null, industry: null });
+    });
+
+    it('should label companies by size', () => {
+      assert.strictEqual(companyLabel(rules, 'Cool Startup Inc'), 'Startup Client');
+      assert.strictEqual(companyLabel(rules, 'Hooli'), 'Company');
+    });
+
+    it('should segment companies without numbering them', () => {
+      assert.strictEqual(companySegment(rules, 'Globex Corporation', 'size'), 'SMB Client');
+      assert.strictEqual(companySegment(rules, 'Initech', 'industry'), 'Software Client');
+      assert.strictEqual(companySegment(rules, 'Initech', 'size'), 'Unsegmented Client');
+    });
+
+    it('should list every label a token can start with', () => {
+      assert.deepStrictEqual(rules.labels, [
+        'Enterprise Client', 'Mid-market Client', 'SMB Client', 'Startup Client', 'Company', 'Unsegmented Client'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseProfiles, loadProfiles, resolveEnv, scriptEnv, ownerAliases, credentialsFor, applyProfile } = require('../utils/credentials');
+const { SecretStore } = require('../utils/secret-store');
+
+describe('Credentials', () => {
+  let dir;
+  let file;
+
+  const base = {
+    PRODUCTBOARD_API_TOKEN: 'pb-prod',
+    DOVETAIL_API_TOKEN: 'dvt-prod',
+    CONFLUENCE_API_TOKEN: 'conf-prod',
+    CONFLUENCE_BASE_URL: 'https://example.atlassian.net',
+    CONFLUENCE_USER_EMAIL: 'pm@example.com',
+    ATLASSIAN_API_TOKEN: 'atl-prod',
+    ATLASSIAN_SITE_URL: 'https://example.atlassian.net/',
+    ATLASSIAN_USER_EMAIL: 'pm@example.com',
+    OWNER_EMAIL_ALICE: 'alice@example.com',
+    PII_NAME_CONFIDENCE: '0.7'
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'));
+    file = path.join(dir, '.env.profiles');
+    fs.writeFileSync(file, [
+      '# Workspaces',
+      '[sandbox]',
+      'ATLASSIAN_API_TOKEN=atl-sandbox',
+      'ATLASSIAN_SITE_URL=https://example-sandbox.atlassian.net',
+      'ATLASSIAN_USER_EMAIL="pm@example.com"',
+      'PII_NAME_CONFIDENCE=0.9',
+      '',
+      '[labs]',
+      'PRODUCTBOARD_API_TOKEN=pb-labs',
+      'PRODUCTBOARD_API_URL=http://localhost:4010/productboard',
+      'OWNER_EMAIL_BOB=bob@example.com # labs owner'
+    ].join('\n'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should parse named sections with .env syntax', () => {
+    const profiles = loadProfiles(file);
+    assert.deepStrictEqual(Object.keys(profiles), ['sandbox', 'labs']);
+    assert.strictEqual(profiles.sandbox.ATLASSIAN_USER_EMAIL, 'pm@example.com');
+    assert.strictEqual(profiles.labs.OWNER_EMAIL_BOB, 'bob@example.com');
+    assert.deepStrictEqual(loadProfiles(path.join(dir, 'missing')), {});
+
+    assert.throws(() => parseProfiles('TOKEN=x\n[a]'), /line 1: setting outside a \[profile\] section/);
+    assert.throws(() => parseProfiles('[a]\n[a]'), /line 2: profile "a" is defined twice/);
+    assert.throws(() => parseProfiles('[my profile]'), /invalid profile name "my profile"/);
+  });
+
+  it('should use the environment as is without a profile', () => {
+    const credentials = credentialsFor('jira', { env: base });
+    assert.deepStrictEqual(credentials, {
+      service: 'jira',
+      profile: null,
+      token: 'atl-prod',
+      baseUrl: 'https://example.atlassian.net',
+      email: 'pm@example.com',
+      ownerAliases: { alice: 'alice@example.com' }
+    });
+    assert.strictEqual(credentialsFor('productboard', { env: base }).baseUrl, 'https://api.productboard.com');
+  });
+
+  it('should replace whole credential groups the profile sets', () => {
+    const env = resolveEnv({ env: base, profile: 'sandbox', file });
+    assert.strictEqual(env.PM_PROFILE, 'sandbox');
+    // CONFLUENCE_* from .env belongs to production, so the sandbox Atlassian site replaces it
+    assert.strictEqual(env.CONFLUENCE_API_TOKEN, undefined);
+    assert.strictEqual(env.PRODUCTBOARD_API_TOKEN, 'pb-prod');
+    assert.strictEqual(env.PII_NAME_CONFIDENCE, '0.9');
+
+    const confluence = credentialsFor('confluence', { env: base, profile: 'sandbox', file });
+    assert.strictEqual(confluence.token, 'atl-sandbox');
+    assert.strictEqual(confluence.baseUrl, 'https://example-sandbox.atlassian.net');
+    assert.strictEqual(confluence.profile, 'sandbox');
+    assert.deepStrictEqual(confluence.ownerAliases, { alice: 'alice@example.com' });
+
+    const productboard = credentialsFor('productboard', { env: { ...base, PM_PROFILE: 'labs', PM_PROFILES_FILE: file } });
+    assert.strictEqual(productboard.token, 'pb-labs');
+    assert.strictEqual(productboard.baseUrl, 'http://localhost:4010/productboard');
+    assert.deepStrictEqual(productboard.ownerAliases, { bob: 'bob@example.com' });
+  });
+
+  it('should blank replaced credentials in a skill script environment', () => {
+    const env = scriptEnv({ env: base, profile: 'sandbox', file });
+    assert.strictEqual(env.ATLASSIAN_API_TOKEN, 'atl-sandbox');
+    // Empty rather than missing, so the script's dotenv call doesn't restore it from .env
+    assert.strictEqual(env.CONFLUENCE_API_TOKEN, '');
+    assert.strictEqual(env.CONFLUENCE_BASE_URL, '');
+    assert.strictEqual(env.PRODUCTBOARD_API_TOKEN, 'pb-prod');
+    assert.deepStrictEqual(scriptEnv({ env: base, secrets: null }), base);
+  });
+
+  it('should name missing variables and unknown profiles without printing values', () => {
+    assert.throws(() => credentialsFor('dovetail', { env: {}, profile: 'labs', file }), /Dovetail credentials not found: set DOVETAIL_API_TOKEN with `pm secrets set --profile labs <NAME>` or profile "labs"/);
+    assert.strictEqual(credentialsFor('dovetail', { env: base, profile: 'labs', file }).token, 'dvt-prod');
+    assert.throws(
+      () => credentialsFor('confluence', { env: { CONFLUENCE_API_TOKEN: 'conf-prod' } }),
+      error => error.message === 'Confluence credentials not found: set CONFLUENCE_BASE_URL or ATLASSIAN_SITE_URL, CONFLUENCE_USER_EMAIL or ATLASSIAN_USER_EMAIL with `pm secrets set <NAME>` or .env'
+    );
+    assert.throws(() => resolveEnv({ env: base, profile: 'prod', file }), /Unknown profile "prod" in .* \(available: sandbox, labs\)/);
+    assert.throws(() => resolveEnv({ env: base, profile: 'prod', file: path.join(dir, 'missing') }), /no profiles in/);
+    assert.throws(() => credentialsFor('github', { env: base }), /Unknown service "github"/);
+  });
+
+  it('should read stored secrets before .env and the profile section', () => {
+    const storeEnv = { ...base, PM_SECRETS_FILE: path.join(dir, 'secrets.enc'), PM_SECRETS_KEY: 'test-passphrase' };
+    const store = new SecretStore({ env: storeEnv });
+    store.set('PRODUCTBOARD_API_TOKEN', 'pb-stored');
+    store.set('ATLASSIAN_API_TOKEN', 'atl-stored-sandbox', 'sandbox');
+    store.set('DOVETAIL_API_TOKEN', 'dvt-stored-staging', 'staging');
+    store.save();
+
+    assert.strictEqual(credentialsFor('productboard', { env: storeEnv }).token, 'pb-stored');
+    assert.strictEqual(credentialsFor('jira', { env: storeEnv, profile: 'sandbox', file }).token, 'atl-stored-sandbox');
+    assert.strictEqual(credentialsFor('jira', { env: storeEnv }).token, 'atl-prod');
+    // A profile can live only in the store
+    assert.strictEqual(credentialsFor('dovetail', { env: storeEnv, profile: 'staging', file }).token, 'dvt-stored-staging');
+    // Locked store: .env only
+    assert.strictEqual(credentialsFor('productboard', { env: { ...storeEnv, PM_SECRETS_KEY: undefined } }).token, 'pb-prod');
+    assert.throws(() => credentialsFor('productboard', { env: { ...storeEnv, PM_SECRETS_KEY: 'wrong' } }), /Could not decrypt secret store/);
+  });
+
+  it('should apply profile settings but keep credentials out of the environment', () => {
+    const env = { ...base, PM_PROFILE: 'sandbox', PM_PROFILES_FILE: file };
+    assert.strictEqual(applyProfile({ env }), 'sandbox');
+    assert.strictEqual(env.PII_NAME_CONFIDENCE, '0.9');
+    assert.strictEqual(env.ATLASSIAN_API_TOKEN, 'atl-prod');
+
+    assert.strictEqual(applyProfile({ env: { ...base } }), null);
+    assert.deepStrictEqual(ownerAliases({ OWNER_EMAIL_CAROL_ANN: 'carol@example.com', OWNER_EMAIL_EMPTY: '' }), { carol_ann: 'carol@example.com' });
+  });
+});
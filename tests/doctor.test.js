@@ -0,0 +1,187 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkValue, checkConfig, checkOnline, checkSecretStore, loadEnv, formatDoctorReport, runDoctor } = require('../utils/doctor');
+const { SecretStore } = require('../utils/secret-store');
+const { StandInServer } = require('../utils/stand-in-server');
+
+describe('Doctor', () => {
+  const complete = {
+    PRODUCTBOARD_API_TOKEN: 'pb-token-123',
+    DOVETAIL_API_TOKEN: 'dvt-token-456',
+    ATLASSIAN_API_TOKEN: 'atl-token-789',
+    ATLASSIAN_SITE_URL: 'https://example.atlassian.net',
+    ATLASSIAN_USER_EMAIL: 'pm@example.com'
+  };
+  const messages = (findings, level) => findings.filter(finding => finding.level === level).map(finding => finding.message);
+
+  it('should pass a complete configuration', () => {
+    const findings = checkConfig(complete);
+    assert.deepStrictEqual(messages(findings, 'error'), []);
+    assert.deepStrictEqual(messages(findings, 'warning'), []);
+    assert.deepStrictEqual(messages(findings, 'ok'), [
+      'Productboard credentials set',
+      'Dovetail credentials set',
+      'Confluence credentials set',
+      'Jira credentials set'
+    ]);
+  });
+
+  it('should report missing credentials only for configured services', () => {
+    const findings = checkConfig({ CONFLUENCE_API_TOKEN: 'c-token', CONFLUENCE_BASE_URL: 'https://example.atlassian.net' });
+    assert.deepStrictEqual(messages(findings, 'error'), ['Confluence: CONFLUENCE_USER_EMAIL or ATLASSIAN_USER_EMAIL is not set']);
+    assert.ok(messages(findings, 'info').includes('Productboard not configured'));
+    assert.ok(messages(findings, 'info').includes('Jira not configured'));
+  });
+
+  it('should warn about mixed Confluence and Atlassian prefixes', () => {
+    const findings = checkConfig({ ...complete, CONFLUENCE_API_TOKEN: 'other-token', CONFLUENCE_BASE_URL: 'https://sandbox.atlassian.net' });
+    assert.deepStrictEqual(messages(findings, 'warning'), [
+      'Confluence mixes prefixes (CONFLUENCE_API_TOKEN, CONFLUENCE_BASE_URL, ATLASSIAN_USER_EMAIL); use all CONFLUENCE_* or all ATLASSIAN_*',
+      'CONFLUENCE_API_TOKEN and ATLASSIAN_API_TOKEN differ; Confluence uses CONFLUENCE_API_TOKEN, Jira uses ATLASSIAN_API_TOKEN',
+      'CONFLUENCE_BASE_URL and ATLASSIAN_SITE_URL differ; Confluence uses CONFLUENCE_BASE_URL, Jira uses ATLASSIAN_SITE_URL'
+    ]);
+  });
+
+  it('should flag placeholders, malformed values and owner aliases', () => {
+    const findings = checkConfig({
+      ...complete,
+      DOVETAIL_API_TOKEN: 'your_dovetail_api_token_here',
+      ATLASSIAN_SITE_URL: 'ardoq.atlassian.net',
+      OWNER_EMAIL_ALICE: 'alice@example',
+      PII_NAME_CONFIDENCE: '1.5',
+      HTTP_LOG: 'verbose'
+    });
+    assert.deepStrictEqual(messages(findings, 'error'), [
+      'DOVETAIL_API_TOKEN is still the example placeholder',
+      'ATLASSIAN_SITE_URL is not a valid URL',
+      'PII_NAME_CONFIDENCE must be between 0 and 1, got 1.5',
+      'HTTP_LOG must be one of errors, all, off, got "verbose"',
+      'OWNER_EMAIL_ALICE is not a valid email address; --owner alice will not match'
+    ]);
+  });
+
+  it('should warn about dangerous privacy settings', () => {
+    const findings = checkConfig({ ...complete, PII_FILTER_ENABLED: 'false', PII_ANONYMIZE_NAMES: 'false', PII_TOKEN_MODE: 'hmac', PII_VAULT_KEY: 'secret' });
+    assert.deepStrictEqual(messages(findings, 'warning'), [
+      'PII_FILTER_ENABLED=false: every command sends raw names, emails and phone numbers to the LLM',
+      'PII_ANONYMIZE_NAMES=false weakens PII filtering',
+      'PII_VAULT_KEY is stored in plain text; prefer PII_VAULT_KEY_FILE outside the project'
+    ]);
+    assert.deepStrictEqual(messages(findings, 'error'), ['PII_TOKEN_MODE=hmac requires PII_PSEUDONYM_KEY']);
+  });
+
+  it('should suggest fixes for unknown settings', () => {
+    const findings = checkConfig({ ...complete, PII_FILTER_ENABLE: 'true', HTTP_PROXY: 'http://proxy:3128', PM_COLOR: 'on' });
+    assert.deepStrictEqual(messages(findings, 'warning'), [
+      'PII_FILTER_ENABLE is not a known setting (did you mean PII_FILTER_ENABLED?)',
+      'PM_COLOR is not a known setting'
+    ]);
+  });
+
+  it('should check value types', () => {
+    assert.strictEqual(checkValue('X', 'maybe', { type: 'boolean' }), 'X must be true or false, got "maybe"');
+    assert.strictEqual(checkValue('X', '2.5', { type: 'integer', min: 1 }), 'X must be a whole number, got "2.5"');
+    assert.strictEqual(checkValue('X', 'https://u:p@example.com', { type: 'url' }), 'X must not contain credentials');
+    assert.ok(/Unknown phone region/.test(checkValue('X', 'US,XX', { type: 'regions' })));
+    assert.strictEqual(checkValue('X', 'abc def', { type: 'token' }), 'X contains whitespace');
+  });
+
+  it('should let process.env override .env', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctor-'));
+    const envFile = path.join(dir, '.env');
+    fs.writeFileSync(envFile, 'DOVETAIL_API_TOKEN=from-file\nHTTP_LOG=all\n');
+    try {
+      const { env, envFileFound } = loadEnv(envFile, { HTTP_LOG: 'off' });
+      assert.strictEqual(envFileFound, true);
+      assert.strictEqual(env.DOVETAIL_API_TOKEN, 'from-file');
+      assert.strictEqual(env.HTTP_LOG, 'off');
+      assert.strictEqual(loadEnv(path.join(dir, 'missing.env'), {}).envFileFound, false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should check the selected profile as the clients see it', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctor-'));
+    const profilesFile = path.join(dir, '.env.profiles');
+    fs.writeFileSync(profilesFile, '[sandbox]\nATLASSIAN_API_TOKEN=atl-sandbox\nATLASSIAN_SITE_URL=not-a-url\n');
+    fs.chmodSync(profilesFile, 0o644);
+    try {
+      const { findings, exitCode } = await runDoctor({ env: complete, profile: 'sandbox', profilesFile });
+      assert.strictEqual(exitCode, 1);
+      assert.strictEqual(messages(findings, 'info')[0], 'Using profile "sandbox"');
+      assert.deepStrictEqual(messages(findings, 'error'), [
+        'Confluence: CONFLUENCE_USER_EMAIL or ATLASSIAN_USER_EMAIL is not set',
+        'ATLASSIAN_SITE_URL is not a valid URL',
+        'Jira: ATLASSIAN_USER_EMAIL is not set'
+      ]);
+      if (process.platform !== 'win32') {
+        assert.ok(messages(findings, 'warning').some(message => message.includes('readable by other users')));
+      }
+
+      const unknown = await runDoctor({ env: complete, profile: 'prod', profilesFile });
+      assert.strictEqual(unknown.exitCode, 1);
+      assert.ok(unknown.findings[0].message.startsWith('Unknown profile "prod"'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should warn about a locked secret store and plaintext copies', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctor-'));
+    const env = { PM_SECRETS_FILE: path.join(dir, 'secrets.enc'), PM_SECRETS_KEY: 'test-passphrase' };
+    try {
+      assert.deepStrictEqual(checkSecretStore(env), []);
+      const store = new SecretStore({ env });
+      store.set('DOVETAIL_API_TOKEN', 'dvt-token-123');
+      store.save();
+
+      assert.deepStrictEqual(messages(checkSecretStore({ ...env, DOVETAIL_API_TOKEN: 'dvt-token-123' }), 'warning'),
+        ['DOVETAIL_API_TOKEN is in the secret store and in plaintext .env; remove it from .env']);
+      assert.ok(messages(checkSecretStore({ PM_SECRETS_FILE: env.PM_SECRETS_FILE }), 'warning')[0].includes('is locked'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe('online', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      server = new StandInServer();
+      baseUrl = await server.listen(0);
+    });
+
+    after(() => server.close());
+
+    it('should check every configured service against the stand-in server', async () => {
+      const env = {
+        ...complete,
+        PRODUCTBOARD_API_URL: `${baseUrl}/productboard`,
+        DOVETAIL_API_URL: `${baseUrl}/dovetail/api/v1`,
+        ATLASSIAN_SITE_URL: baseUrl
+      };
+      const { findings, exitCode } = await runDoctor({ env, online: true });
+      assert.strictEqual(exitCode, 0);
+      assert.deepStrictEqual(messages(findings, 'ok').filter(message => message.includes('reachable')).map(message => message.split(' ')[0]),
+        ['Productboard', 'Dovetail', 'Confluence', 'Jira']);
+    });
+
+    it('should report unreachable hosts and wrong URLs without printing tokens', async () => {
+      const findings = await checkOnline({
+        PRODUCTBOARD_API_TOKEN: 'pb-secret-token',
+        PRODUCTBOARD_API_URL: `${baseUrl}/wrong`,
+        DOVETAIL_API_TOKEN: 'dvt-secret-token',
+        DOVETAIL_API_URL: 'http://127.0.0.1:1/api/v1'
+      }, { timeoutMs: 2000 });
+      assert.deepStrictEqual(findings.map(finding => finding.message), [
+        `Productboard API not found at ${new URL(baseUrl).host}; check the URL`,
+        'Dovetail unreachable (127.0.0.1:1)'
+      ]);
+      assert.ok(!formatDoctorReport(findings).includes('secret-token'));
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { HttpTransport } = require('../utils/http-transport');
+const { FixtureStore, FixtureNotFoundError } = require('../utils/http-fixtures');
+
+describe('HTTP Fixtures', () => {
+  let dir;
+  let server;
+  let baseUrl;
+  let hits;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits++;
+      if (req.url.startsWith('/wiki/api/v2/pages/123')) {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': 'session=abc' });
+        res.end(JSON.stringify({
+          id: '123',
+          title: 'Onboarding',
+          authorId: '5b10ac8d82e05b22cc7d4ef5',
+          body: { storage: { value: '<p>Ask <a href="mailto:sarah@acme.com">Sarah Jensen</a></p>' } }
+        }));
+      } else if (req.url.startsWith('/echo')) {
+        // Some APIs quote the credentials they rejected
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: `Rejected ${req.headers.authorization}` }));
+      } else if (req.url.startsWith('/search')) {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('found bob@acme.com');
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"message":"Not found"}');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+    hits = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const transport = (mode) => new HttpTransport({
+    name: 'confluence',
+    fixtures: mode,
+    fixturesDir: dir,
+    maxRetries: 0,
+    log: () => {},
+    headers: { Authorization: 'Basic dXNlcjpzZWNyZXQ=' }
+  });
+  const fixtureFiles = () => fs.readdirSync(dir, { recursive: true }).filter(file => file.endsWith('.json'));
+
+  it('should record scrubbed responses and replay them offline', async () => {
+    const recorded = await transport('record').request(`${baseUrl}/wiki/api/v2/pages/123`, { params: { cursor: 'c-77' } });
+    // The caller gets the real response while recording
+    assert.ok(recorded.body.storage.value.includes('sarah@acme.com'));
+
+    const files = fixtureFiles();
+    assert.strictEqual(files.length, 1);
+    assert.match(files[0], /get_wiki_api_v2_pages_123_[0-9a-f]{12}\.json$/);
+
+    const saved = fs.readFileSync(path.join(dir, files[0]), 'utf8');
+    ['sarah@acme.com', 'Sarah Jensen', '5b10ac8d82e05b22cc7d4ef5', 'Basic', 'session=abc', 'c-77'].forEach(secret => {
+      assert.ok(!saved.includes(secret), `fixture leaks ${secret}`);
+    });
+    assert.deepStrictEqual(JSON.parse(saved).request.query, ['cursor']);
+
+    hits = 0;
+    const replayed = await transport('replay').request(`${baseUrl}/wiki/api/v2/pages/123`, { params: { cursor: 'c-77' } });
+    assert.strictEqual(hits, 0);
+    assert.strictEqual(replayed.title, 'Onboarding');
+    assert.ok(replayed.body.storage.value.includes('[EMAIL_1]'));
+  });
+
+  it('should replay text bodies and error statuses', async () => {
+    await transport('record').request(`${baseUrl}/search`, { params: { q: 'x' } });
+    await assert.rejects(transport('record').request(`${baseUrl}/missing`), { status: 404 });
+
+    assert.strictEqual(await transport('replay').request(`${baseUrl}/search`, { params: { q: 'x' } }), 'found [EMAIL_1]');
+    await assert.rejects(transport('replay').request(`${baseUrl}/missing`), { name: 'NotFoundError', status: 404 });
+  });
+
+  it('should mask echoed credentials in fixtures and errors', async () => {
+    await assert.rejects(transport('record').request(`${baseUrl}/echo`), error => {
+      assert.ok(!error.message.includes('dXNlcjpzZWNyZXQ='));
+      assert.strictEqual(error.body.message, 'Rejected Basic [REDACTED]');
+      return true;
+    });
+    const saved = fs.readFileSync(path.join(dir, fixtureFiles()[0]), 'utf8');
+    assert.ok(!saved.includes('dXNlcjpzZWNyZXQ='));
+  });
+
+  it('should fail fast when a fixture is missing', async () => {
+    await assert.rejects(transport('replay').request(`${baseUrl}/search`, { params: { q: 'other' } }), error => {
+      assert.ok(error instanceof FixtureNotFoundError);
+      assert.ok(error.message.includes('HTTP_FIXTURES=record'));
+      return true;
+    });
+    assert.strictEqual(hits, 0);
+  });
+
+  it('should key fixtures by method, URL and body', () => {
+    const store = new FixtureStore({ dir });
+    const a = store.fileFor('POST', 'https://x.test/notes', '{"a":1}');
+    assert.notStrictEqual(a, store.fileFor('POST', 'https://x.test/notes', '{"a":2}'));
+    assert.notStrictEqual(a, store.fileFor('PUT', 'https://x.test/notes', '{"a":1}'));
+    assert.ok(!store.fileFor('GET', 'https://x.test/users/bob%40acme.com').includes('bob'));
+  });
+
+  it('should reject unknown modes', () => {
+    assert.throws(() => new HttpTransport({ fixtures: 'rewind' }), /Unknown HTTP_FIXTURES mode "rewind"/);
+  });
+});
@@ -0,0 +1,226 @@
+const assert = require('assert');
+const { Response } = require('node-fetch');
+const {
+  HttpTransport,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+  ServerError,
+  TimeoutError,
+  parseRetryAfter,
+  backoffDelay
+} = require('../utils/http-transport');
+
+const json = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+/**
+ * Transport whose fetch replays the given responses and records calls; sleeps are recorded, not waited
+ */
+function scripted(responses, options = {}) {
+  const calls = [];
+  const sleeps = [];
+  const logs = [];
+  const transport = new HttpTransport({
+    name: 'test',
+    fetch: async (url, init) => {
+      calls.push({ url, init });
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return typeof next === 'function' ? next(init) : next;
+    },
+    sleep: async ms => { sleeps.push(ms); },
+    random: () => 0.5,
+    log: message => logs.push(message),
+    ...options
+  });
+  return { transport, calls, sleeps, logs };
+}
+
+describe('HTTP Transport', () => {
+  describe('Requests', () => {
+    it('should send query params, JSON bodies and a request ID', async () => {
+      const { transport, calls } = scripted([json(200, { ok: true })]);
+      const result = await transport.request('https://api.test/notes', {
+        method: 'POST',
+        params: { limit: 10, cursor: undefined },
+        body: { title: 'x' }
+      });
+
+      assert.deepStrictEqual(result, { ok: true });
+      assert.strictEqual(calls[0].url, 'https://api.test/notes?limit=10');
+      assert.strictEqual(calls[0].init.body, '{"title":"x"}');
+      assert.strictEqual(calls[0].init.headers['Content-Type'], 'application/json');
+      assert.match(calls[0].init.headers['X-Request-Id'], /^[0-9a-f]{8}$/);
+    });
+
+    it('should return text and empty bodies as-is', async () => {
+      const { transport } = scripted([new Response('<p>hi</p>', { status: 200 }), new Response(null, { status: 204 })]);
+      assert.strictEqual(await transport.request('https://api.test/page'), '<p>hi</p>');
+      assert.strictEqual(await transport.request('https://api.test/page', { method: 'DELETE' }), null);
+    });
+  });
+
+  describe('Errors', () => {
+    const failWith = async (status, ErrorClass) => {
+      const { transport } = scripted([json(status, { message: 'nope' })], { maxRetries: 0 });
+      await assert.rejects(transport.request('https://api.test/x'), error => {
+        assert.ok(error instanceof ErrorClass, `${status} → ${error.name}`);
+        assert.strictEqual(error.status, status);
+        assert.ok(error.message.startsWith(`API Error: ${status}`));
+        return true;
+      });
+    };
+
+    it('should map statuses to error types', async () => {
+      await failWith(401, AuthError);
+      await failWith(403, AuthError);
+      await failWith(404, NotFoundError);
+      await failWith(400, ValidationError);
+      await failWith(422, ValidationError);
+      await failWith(429, RateLimitError);
+      await failWith(502, ServerError);
+    });
+
+    it('should mask request credentials in errors and logs', async () => {
+      const token = 'pb_live_0123456789abcdef';
+      const { transport, logs } = scripted([json(401, { message: `Invalid token ${token}` })], { headers: { Authorization: `Bearer ${token}` } });
+      await assert.rejects(transport.request('https://api.test/x'), error => {
+        assert.ok(error instanceof AuthError);
+        assert.ok(!error.message.includes(token));
+        assert.ok(!error.stack.includes(token));
+        assert.deepStrictEqual(error.body, { message: 'Invalid token [REDACTED]' });
+        return true;
+      });
+      assert.ok(logs.length > 0);
+      assert.ok(logs.every(line => !line.includes(token)));
+    });
+
+    it('should keep personal data from error bodies out of messages and logs', async () => {
+      const body = { errorMessages: ['User sarah.jensen@acme.com (Sarah Jensen) cannot be assigned'] };
+      const { transport, logs } = scripted([json(400, body)], { maxRetries: 0 });
+      await assert.rejects(transport.request('https://api.test/x'), error => {
+        assert.ok(error instanceof ValidationError);
+        assert.ok(error.message.includes('cannot be assigned'));
+        assert.ok(!error.message.includes('sarah.jensen@acme.com'));
+        assert.ok(!error.message.includes('Sarah Jensen'));
+        // Callers can still inspect what the API said
+        assert.deepStrictEqual(error.body, body);
+        return true;
+      });
+      assert.ok(logs.every(line => !line.includes('acme.com') && !line.includes('Sarah')));
+    });
+
+    it('should keep the server request ID for support', async () => {
+      const { transport } = scripted([json(404, {}, { 'X-ARequestId': 'atl-123' })]);
+      await assert.rejects(transport.request('https://api.test/x'), error => error.serverRequestId === 'atl-123');
+    });
+
+    it('should time out slow requests', async () => {
+      const hang = init => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      });
+      const { transport } = scripted([hang], { timeoutMs: 20, maxRetries: 0 });
+      await assert.rejects(transport.request('https://api.test/slow'), TimeoutError);
+    });
+  });
+
+  describe('Retries', () => {
+    it('should back off on 5xx and succeed', async () => {
+      const { transport, calls, sleeps, logs } = scripted([json(503, {}), json(500, {}), json(200, { ok: 1 })]);
+      assert.deepStrictEqual(await transport.request('https://api.test/x?email=a@b.co'), { ok: 1 });
+      assert.strictEqual(calls.length, 3);
+      // random() = 0.5 of 500ms, then of 1000ms
+      assert.deepStrictEqual(sleeps, [250, 500]);
+      assert.ok(logs[0].includes('retrying in 0.3s (attempt 2/4)'));
+      assert.ok(logs.every(line => !line.includes('email')), 'query strings are never logged');
+    });
+
+    it('should honour Retry-After on 429', async () => {
+      const { transport, sleeps } = scripted([json(429, {}, { 'Retry-After': '2' }), json(200, {})]);
+      await transport.request('https://api.test/x', { method: 'POST', body: {} });
+      assert.deepStrictEqual(sleeps, [2000]);
+    });
+
+    it('should give up when Retry-After is too long', async () => {
+      const { transport, calls } = scripted([json(429, {}, { 'Retry-After': '3600' })]);
+      await assert.rejects(transport.request('https://api.test/x'), error => error.retryAfterMs === 3600000);
+      assert.strictEqual(calls.length, 1);
+    });
+
+    it('should not retry a POST on 5xx unless asked', async () => {
+      const once = scripted([json(500, {})]);
+      await assert.rejects(once.transport.request('https://api.test/x', { method: 'POST' }), ServerError);
+      assert.strictEqual(once.calls.length, 1);
+
+      const retried = scripted([json(500, {}), json(201, { id: 1 })]);
+      assert.deepStrictEqual(await retried.transport.request('https://api.test/x', { method: 'POST', retry: true }), { id: 1 });
+    });
+
+    it('should stop after maxRetries', async () => {
+      const { transport, calls } = scripted([json(500, {}), json(500, {}), json(500, {})], { maxRetries: 2 });
+      await assert.rejects(transport.request('https://api.test/x'), ServerError);
+      assert.strictEqual(calls.length, 3);
+    });
+
+    it('should not retry client errors', async () => {
+      const { transport, calls } = scripted([json(404, {})]);
+      await assert.rejects(transport.request('https://api.test/x'), NotFoundError);
+      assert.strictEqual(calls.length, 1);
+    });
+
+    it('should fall back to defaults for invalid numeric settings', () => {
+      const names = ['HTTP_MAX_RETRIES', 'HTTP_TIMEOUT_MS', 'HTTP_MAX_CONCURRENCY_PER_HOST'];
+      const saved = names.map(name => process.env[name]);
+      try {
+        Object.assign(process.env, { HTTP_MAX_RETRIES: 'abc', HTTP_TIMEOUT_MS: '-5', HTTP_MAX_CONCURRENCY_PER_HOST: '1.5' });
+        const invalid = new HttpTransport();
+        assert.deepStrictEqual([invalid.maxRetries, invalid.timeoutMs, invalid.maxConcurrentPerHost], [3, 30000, 4]);
+
+        Object.assign(process.env, { HTTP_MAX_RETRIES: '0', HTTP_TIMEOUT_MS: '1000', HTTP_MAX_CONCURRENCY_PER_HOST: '2' });
+        const valid = new HttpTransport();
+        assert.deepStrictEqual([valid.maxRetries, valid.timeoutMs, valid.maxConcurrentPerHost], [0, 1000, 2]);
+      } finally {
+        names.forEach((name, index) => {
+          if (saved[index] === undefined) delete process.env[name];
+          else process.env[name] = saved[index];
+        });
+      }
+    });
+
+    it('should parse Retry-After seconds and dates', () => {
+      assert.strictEqual(parseRetryAfter('1.5'), 1500);
+      assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT')), 10000);
+      assert.strictEqual(parseRetryAfter('soon'), null);
+    });
+
+    it('should cap backoff at maxDelayMs', () => {
+      assert.strictEqual(backoffDelay(10, { baseDelayMs: 500, maxDelayMs: 30000 }, () => 1), 30000);
+    });
+  });
+
+  describe('Concurrency', () => {
+    it('should limit concurrent requests per host', async () => {
+      let active = 0;
+      let peak = 0;
+      const fetch = async (url) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return json(200, { url });
+      };
+      const transport = new HttpTransport({ fetch, maxConcurrentPerHost: 2 });
+      const other = new HttpTransport({ fetch, maxConcurrentPerHost: 2 });
+
+      await Promise.all([
+        ...[1, 2, 3].map(i => transport.request(`https://limited.test/${i}`)),
+        ...[4, 5].map(i => other.request(`https://limited.test/${i}`))
+      ]);
+      assert.strictEqual(peak, 2);
+    });
+  });
+});
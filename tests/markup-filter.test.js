@@ -0,0 +1,155 @@
+const assert = require('assert');
+const PIIFilter = require('../utils/pii-filter');
+const { looksLikeMarkup, isADFDocument, tokenize } = require('../utils/markup-filter');
+
+describe('Markup Filter', () => {
+  let filter;
+
+  beforeEach(() => {
+    filter = new PIIFilter();
+  });
+
+  describe('Detection', () => {
+    it('should recognize storage-format XHTML', () => {
+      assert.ok(looksLikeMarkup('<p>Hello</p>'));
+      assert.ok(looksLikeMarkup('<ac:link><ri:user ri:account-id="abc" /></ac:link>'));
+      assert.ok(!looksLikeMarkup('a < b and c > d'));
+      assert.ok(!looksLikeMarkup('Plain text'));
+    });
+
+    it('should recognize ADF documents', () => {
+      assert.ok(isADFDocument({ type: 'doc', version: 1, content: [] }));
+      assert.ok(!isADFDocument({ type: 'paragraph', content: [] }));
+      assert.ok(!isADFDocument('doc'));
+    });
+
+    it('should round-trip markup it does not change', () => {
+      const markup = '<?xml version="1.0"?><p class=\'x\'>A &amp; B&nbsp;</p><!-- note --><br/>a < b';
+      assert.strictEqual(tokenize(markup).map(token => token.raw).join(''), markup);
+      assert.strictEqual(filter.filterStorageFormat(markup), markup);
+    });
+  });
+
+  describe('Confluence Storage Format', () => {
+    it('should filter emails in text nodes', () => {
+      const result = filter.filterText('<p>Contact john.doe@example.com for details</p>');
+      assert.strictEqual(result, '<p>Contact [EMAIL_1] for details</p>');
+    });
+
+    it('should pseudonymize mailto links', () => {
+      const result = filter.filterText('<p><a href="mailto:jane@example.com?subject=Hi">Mail</a></p>');
+      assert.ok(!result.includes('jane@example.com'));
+      assert.ok(result.includes('href="mailto:[EMAIL_1]?subject=Hi"'));
+    });
+
+    it('should keep mailto link and body text consistent', () => {
+      const result = filter.filterText('<p><a href="mailto:jane@example.com">jane@example.com</a></p>');
+      assert.strictEqual(result, '<p><a href="mailto:[EMAIL_1]">[EMAIL_1]</a></p>');
+    });
+
+    it('should pseudonymize user mentions', () => {
+      const markup = '<p>Ask <ac:link><ri:user ri:account-id="5b10a2844c20165700ede21g" /></ac:link> and ' +
+        '<ac:link><ri:user ri:userkey="ff8080815a3f" /></ac:link></p>';
+      const result = filter.filterText(markup);
+
+      assert.ok(!result.includes('5b10a2844c20165700ede21g'));
+      assert.ok(!result.includes('ff8080815a3f'));
+      assert.ok(result.includes('<ri:user ri:account-id="[ACCOUNT_1]" />'));
+      assert.ok(result.includes('<ri:user ri:userkey="[ACCOUNT_2]" />'));
+    });
+
+    it('should pseudonymize users in macros', () => {
+      const markup = '<ac:structured-macro ac:name="profile"><ac:parameter ac:name="user">' +
+        '<ri:user ri:account-id="557058:abc" /></ac:parameter></ac:structured-macro>';
+      const result = filter.filterText(markup);
+      assert.ok(result.includes('ac:name="profile"'));
+      assert.ok(result.includes('ri:account-id="[ACCOUNT_1]"'));
+    });
+
+    it('should not corrupt attribute values', () => {
+      const markup = '<ac:structured-macro ac:name="jira" ac:macro-id="123-456-7890-abc">' +
+        '<ac:parameter ac:name="key">PROJ-1</ac:parameter></ac:structured-macro>';
+      assert.strictEqual(filter.filterText(markup), markup);
+    });
+
+    it('should strip sensitive query parameters from links', () => {
+      const result = filter.filterText('<p><a href="https://example.com/view?email=a@b.co&amp;id=7">link</a></p>');
+      assert.ok(!result.includes('a@b.co'));
+      assert.ok(result.includes('&amp;id=7'));
+    });
+
+    it('should decode entities before filtering and re-encode after', () => {
+      const result = filter.filterText('<p>Mail &lt;john@example.com&gt; &amp; more</p>');
+      assert.strictEqual(result, '<p>Mail &lt;[EMAIL_1]&gt; &amp; more</p>');
+    });
+
+    it('should filter CDATA bodies', () => {
+      const markup = '<ac:plain-text-body><![CDATA[curl -u ops@example.com]]></ac:plain-text-body>';
+      assert.strictEqual(
+        filter.filterText(markup),
+        '<ac:plain-text-body><![CDATA[curl -u [EMAIL_1]]]></ac:plain-text-body>'
+      );
+    });
+
+    it('should filter storage values inside objects', () => {
+      const page = { id: '1', body: { storage: { value: '<p>Call <a href="mailto:x@example.com">me</a></p>' } } };
+      const filtered = filter.filterObject(page);
+      assert.strictEqual(filtered.body.storage.value, '<p>Call <a href="mailto:[EMAIL_1]">me</a></p>');
+    });
+  });
+
+  describe('Jira ADF', () => {
+    const doc = () => ({
+      type: 'doc',
+      version: 1,
+      content: [{
+        type: 'paragraph',
+        content: [
+          { type: 'mention', attrs: { id: '5b10ac8d82e05b22cc7d4ef5', text: '@Sarah Jensen', accessLevel: '' } },
+          { type: 'text', text: ' please email ' },
+          { type: 'text', text: 'sarah@example.com', marks: [{ type: 'link', attrs: { href: 'mailto:sarah@example.com' } }] },
+          { type: 'text', text: '. Sarah owns this.' },
+          { type: 'inlineCard', attrs: { url: 'https://example.com/?userId=sarah' } }
+        ]
+      }]
+    });
+
+    it('should pseudonymize mention text and account IDs', () => {
+      const mention = filter.filterADF(doc()).content[0].content[0];
+      assert.strictEqual(mention.type, 'mention');
+      assert.strictEqual(mention.attrs.text, '@Participant 1');
+      assert.strictEqual(mention.attrs.id, '[ACCOUNT_1]');
+      assert.strictEqual(mention.attrs.accessLevel, '');
+    });
+
+    it('should filter text nodes and link marks', () => {
+      const [, , link, text] = filter.filterADF(doc()).content[0].content;
+      assert.strictEqual(link.text, '[EMAIL_1]');
+      assert.strictEqual(link.marks[0].attrs.href, 'mailto:[EMAIL_1]');
+      assert.strictEqual(text.text, '. Participant 1 owns this.');
+    });
+
+    it('should filter card URLs', () => {
+      const card = filter.filterADF(doc()).content[0].content[4];
+      assert.ok(!card.attrs.url.includes('sarah'));
+    });
+
+    it('should keep the document structure and not mutate the input', () => {
+      const input = doc();
+      const original = JSON.stringify(input);
+      const result = filter.filterADF(input);
+
+      assert.strictEqual(JSON.stringify(input), original);
+      assert.strictEqual(result.type, 'doc');
+      assert.strictEqual(result.version, 1);
+      assert.deepStrictEqual(result.content[0].content.map(node => node.type),
+        ['mention', 'text', 'text', 'text', 'inlineCard']);
+    });
+
+    it('should filter ADF fields inside objects', () => {
+      const issue = { key: 'PROJ-1', fields: { description: doc() } };
+      const filtered = filter.filterObject(issue);
+      assert.strictEqual(filtered.fields.description.content[0].content[0].attrs.text, '@Participant 1');
+    });
+  });
+});
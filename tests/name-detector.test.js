@@ -0,0 +1,144 @@
+const assert = require('assert');
+const NameDetector = require('../utils/name-detector');
+
+describe('NameDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new NameDetector({ threshold: 0.7 });
+  });
+
+  describe('Lexicon Detection', () => {
+    it('should detect a first name followed by a known surname', () => {
+      const [detection] = detector.detect('I spoke with Sarah Jensen yesterday');
+      assert.strictEqual(detection.type, 'name');
+      assert.strictEqual(detection.value, 'Sarah Jensen');
+      assert.ok(detection.confidence >= 0.9);
+    });
+
+    it('should detect a known first name with an unknown surname', () => {
+      const detections = detector.detect('Feedback from Emma Watson on onboarding');
+      assert.strictEqual(detections[0].value, 'Emma Watson');
+    });
+
+    it('should detect names after a title', () => {
+      const [detection] = detector.detect('Call with Dr. Jensen about the rollout');
+      assert.strictEqual(detection.value, 'Jensen');
+      assert.strictEqual(detection.start, 10);
+    });
+
+    it('should not flag a lone first name below the threshold', () => {
+      assert.deepStrictEqual(detector.detect('Sarah mentioned the export is slow'), []);
+    });
+
+    it('should not flag ordinary capitalized phrases', () => {
+      assert.deepStrictEqual(detector.detect('Product Requirements for Q3 Roadmap'), []);
+      assert.deepStrictEqual(detector.detect('Participant 1 from Company 2 agreed'), []);
+    });
+
+    it('should leave quotes and possessives out of the name', () => {
+      const [quoted] = detector.detect("{ name: 'John Doe' }");
+      assert.deepStrictEqual([quoted.value, quoted.start, quoted.end], ['John Doe', 9, 17]);
+      assert.strictEqual(detector.detect("'Sarah Jensen' was there")[0].value, 'Sarah Jensen');
+      assert.strictEqual(detector.detect('‘Sarah Jensen’ was there')[0].value, 'Sarah Jensen');
+
+      const [possessive] = detector.detect("Anna Berg-Hansen's team");
+      assert.deepStrictEqual([possessive.value, possessive.end], ['Anna Berg-Hansen', 16]);
+      assert.strictEqual(detector.detect('Sarah Jensen’s notes')[0].value, 'Sarah Jensen');
+    });
+
+    it('should not treat month names as first names', () => {
+      const detections = detector.detect('In May Emma Watson visited');
+      assert.strictEqual(detections.length, 1);
+      assert.strictEqual(detections[0].value, 'Emma Watson');
+    });
+  });
+
+  describe('Company Detection', () => {
+    it('should detect companies with a legal suffix', () => {
+      const detections = detector.detect('Meeting with Initech GmbH and Globex Corp. next week');
+      assert.deepStrictEqual(detections.map(d => d.value), ['Initech GmbH', 'Globex Corp.']);
+      assert.ok(detections.every(d => d.type === 'company'));
+    });
+
+    it('should detect a company introduced after a person', () => {
+      const detections = detector.detect('I spoke with Sarah Jensen from Globex about pricing.');
+      assert.deepStrictEqual(detections.map(d => [d.type, d.value]), [
+        ['name', 'Sarah Jensen'],
+        ['company', 'Globex']
+      ]);
+    });
+  });
+
+  describe('Known Entities', () => {
+    it('should match names learned from structured fields', () => {
+      detector.learnName('Kofi Annan');
+      const [detection] = detector.detect('kofi annan asked for SSO');
+      assert.strictEqual(detection.value, 'Kofi Annan');
+      assert.strictEqual(detection.confidence, 1);
+    });
+
+    it('should map a bare first name to the one known person with it', () => {
+      detector.learnName('Sarah Jensen');
+      const [detection] = detector.detect('Sarah said the export is slow');
+      assert.strictEqual(detection.value, 'Sarah Jensen');
+      assert.strictEqual(detection.end, 5);
+    });
+
+    it('should not map a first name shared by two known people', () => {
+      detector.learnName('Sarah Jensen');
+      detector.learnName('Sarah Smith');
+      assert.deepStrictEqual(detector.detect('Sarah said the export is slow'), []);
+    });
+
+    it('should match companies learned from structured fields', () => {
+      detector.learnCompany('Umbrella');
+      const [detection] = detector.detect('Umbrella wants audit logs');
+      assert.strictEqual(detection.type, 'company');
+    });
+
+    it('should match known values with punctuation, quotes and possessives', () => {
+      detector.learnName('Anna Berg-Hansen');
+      detector.learnCompany('Globex Corp.');
+
+      const detections = detector.detect("'ANNA BERG-HANSEN's team at Globex Corp., Oslo");
+      assert.deepStrictEqual(detections.map(d => [d.type, d.value, d.start, d.end]), [
+        ['name', 'Anna Berg-Hansen', 1, 17],
+        ['company', 'Globex Corp.', 28, 40]
+      ]);
+      // Only the bare first name matches when the surname runs on
+      assert.deepStrictEqual(detector.detect('Anna Berg-Hansenfield').map(d => [d.start, d.end]), [[0, 4]]);
+    });
+
+    it('should stay fast as the number of known names grows', () => {
+      const letters = n => (n >= 26 ? letters(Math.floor(n / 26) - 1) : '') + String.fromCharCode(97 + (n % 26));
+      const started = Date.now();
+      for (let i = 0; i < 4000; i++) {
+        const name = `Kari Q${letters(i)}stad`;
+        detector.learnName(name);
+        const [detection] = detector.detect(`{"id":${i},"notes":"Call with ${name} and Umbrella about export ${i}"}`);
+        assert.strictEqual(detection.value, name);
+      }
+      // Around 0.1 s here; one regular expression per known name took over a minute
+      assert.ok(Date.now() - started < 3000, `took ${Date.now() - started} ms`);
+    });
+  });
+
+  describe('Threshold', () => {
+    it('should return weaker detections with a lower threshold', () => {
+      const lenient = new NameDetector({ threshold: 0.3 });
+      assert.strictEqual(lenient.detect('Sarah mentioned the export is slow').length, 1);
+    });
+
+    it('should read the threshold from PII_NAME_CONFIDENCE', () => {
+      process.env.PII_NAME_CONFIDENCE = '0.95';
+      try {
+        const strict = new NameDetector();
+        assert.strictEqual(strict.threshold, 0.95);
+        assert.deepStrictEqual(strict.detect('Feedback from Emma Watson'), []);
+      } finally {
+        delete process.env.PII_NAME_CONFIDENCE;
+      }
+    });
+  });
+});
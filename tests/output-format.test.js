@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { getPath, flatten, recordsOf, columnsFor, formatOutput } = require('../utils/output-format');
+
+describe('Output Format', () => {
+  const features = {
+    data: [
+      { id: 'feat-1', name: 'Bulk export', type: 'feature', status: { name: 'In progress' }, owner: { email: '[EMAIL_1]' }, updatedAt: '2026-10-01' },
+      { id: 'feat-2', name: 'SSO, "partner" portal', type: 'feature', status: { name: 'Candidate' }, owner: null, updatedAt: '2026-09-20' }
+    ],
+    links: { next: null }
+  };
+  const issues = {
+    issues: [
+      { key: 'AI-101', fields: { summary: 'Stream rows', status: { name: 'To Do' }, assignee: { displayName: 'Participant 1' }, labels: ['export', 'backend'] } }
+    ]
+  };
+
+  it('should read dot paths and resolve Jira field names inside fields', () => {
+    assert.strictEqual(getPath(features.data[0], 'status.name'), 'In progress');
+    assert.strictEqual(getPath(features.data[1], 'owner.email'), undefined);
+    assert.strictEqual(getPath(issues.issues[0], 'summary'), 'Stream rows');
+    assert.strictEqual(getPath(issues.issues[0], 'fields.assignee.displayName'), 'Participant 1');
+    assert.strictEqual(getPath(issues.issues[0], 'key'), 'AI-101');
+  });
+
+  it('should flatten nested objects and unwrap list envelopes', () => {
+    assert.deepStrictEqual(flatten({ a: { b: 1, c: [1, 2] }, d: [{ e: 'x' }] }), { 'a.b': 1, 'a.c': [1, 2], 'd.0.e': 'x' });
+    assert.strictEqual(recordsOf(features).length, 2);
+    assert.strictEqual(recordsOf(issues)[0].key, 'AI-101');
+    assert.deepStrictEqual(recordsOf({ data: { id: 'note-1' } }), [{ id: 'note-1' }]);
+    assert.deepStrictEqual(recordsOf({ id: '123', title: 'Page' }), [{ id: '123', title: 'Page' }]);
+  });
+
+  it('should use fixed columns per resource and first-seen leaves otherwise', () => {
+    assert.deepStrictEqual(columnsFor([], { resource: 'dovetail.tag' }), ['id', 'project_id', 'name']);
+    assert.deepStrictEqual(columnsFor([{ b: 1 }, { a: { c: 2 }, b: 3 }]), ['b', 'a.c']);
+    assert.deepStrictEqual(columnsFor([], { resource: 'dovetail.tag', fields: ['name'] }), ['name']);
+  });
+
+  it('should write CSV with quoting and formula guards', () => {
+    const csv = formatOutput([...features.data, { id: '=HYPERLINK("x")', name: '-1' }], { format: 'csv', fields: ['id', 'name', 'status.name'] });
+    assert.deepStrictEqual(csv.split('\n'), [
+      'id,name,status.name',
+      'feat-1,Bulk export,In progress',
+      'feat-2,"SSO, ""partner"" portal",Candidate',
+      '"\'=HYPERLINK(""x"")",\'-1,'
+    ]);
+  });
+
+  it('should write Markdown and aligned tables with the resource columns', () => {
+    const md = formatOutput(issues, { format: 'md', resource: 'jira.issue', fields: ['key', 'summary', 'labels'] }).split('\n');
+    assert.deepStrictEqual(md, ['| key | summary | labels |', '| --- | --- | --- |', '| AI-101 | Stream rows | export, backend |']);
+
+    const table = formatOutput(features, { format: 'table', fields: ['id', 'status.name'] }).split('\n');
+    assert.deepStrictEqual(table, ['id      status.name', '------  -----------', 'feat-1  In progress', 'feat-2  Candidate']);
+
+    const long = formatOutput([{ text: 'x'.repeat(60) }], { format: 'table' }).split('\n')[2];
+    assert.strictEqual(long.length, 40);
+    assert.ok(long.endsWith('…'));
+  });
+
+  it('should select fields in JSON and NDJSON output', () => {
+    assert.deepStrictEqual(JSON.parse(formatOutput(features, { format: 'json', fields: ['id', 'owner.email'] })), [
+      { id: 'feat-1', 'owner.email': '[EMAIL_1]' },
+      { id: 'feat-2' }
+    ]);
+    assert.deepStrictEqual(JSON.parse(formatOutput({ key: 'AI-1', fields: { summary: 'S' } }, { fields: ['key', 'summary'] })), { key: 'AI-1', summary: 'S' });
+
+    const lines = formatOutput(features, { format: 'ndjson' }).split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(JSON.parse(lines[1]).id, 'feat-2');
+    assert.strictEqual(formatOutput(features, { format: 'json' }), JSON.stringify(features, null, 2));
+  });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { HttpTransport } = require('../utils/http-transport');
+const { StandInServer } = require('../utils/stand-in-server');
+const {
+  iteratePages,
+  paginateProductboard,
+  paginateDovetail,
+  paginateConfluence,
+  paginateJira,
+  collect,
+  progressReporter
+} = require('../utils/paginate');
+
+describe('Pagination', () => {
+  let server;
+  let baseUrl;
+  let request;
+  let urls;
+
+  before(async () => {
+    server = new StandInServer();
+    baseUrl = await server.listen(0);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    server.reset();
+    urls = [];
+    const transport = new HttpTransport({ headers: { Authorization: 'Bearer demo' }, maxRetries: 0, logLevel: 'off' });
+    request = (url, options) => {
+      urls.push(url);
+      return transport.request(url, options);
+    };
+  });
+
+  it('should follow Productboard links.next across pages', async () => {
+    const features = await collect(paginateProductboard(request, `${baseUrl}/productboard/features`, {}, { pageSize: 2 }));
+    assert.deepStrictEqual(features.map(feature => feature.id), ['feat-1001', 'feat-1002', 'feat-1003']);
+    assert.strictEqual(urls.length, 2);
+
+    const notes = await collect(paginateProductboard(request, `${baseUrl}/productboard/notes`, { featureId: 'feat-1001' }, { pageSize: 1 }));
+    assert.deepStrictEqual(notes.map(note => note.id), ['note-2001', 'note-2003']);
+  });
+
+  it('should fall back to the Productboard pageCursor field', async () => {
+    const pages = [{ data: [1, 2], pageCursor: 'abc' }, { data: [3], pageCursor: null }];
+    const seen = [];
+    const fake = async (url, options) => {
+      seen.push(options.params.pageCursor);
+      return pages.shift();
+    };
+    assert.deepStrictEqual(await collect(paginateProductboard(fake, 'https://api.productboard.test/notes')), [1, 2, 3]);
+    assert.deepStrictEqual(seen, [undefined, 'abc']);
+  });
+
+  it('should follow Dovetail cursors and keep filters', async () => {
+    const highlights = await collect(paginateDovetail(request, `${baseUrl}/dovetail/api/v1/highlights`, { project_id: 'proj-301' }, { pageSize: 1 }));
+    assert.deepStrictEqual(highlights.map(highlight => highlight.id), ['hl-601', 'hl-602']);
+    assert.strictEqual(urls.length, 2);
+  });
+
+  it('should follow Confluence _links.next and v1 start offsets', async () => {
+    const pages = await collect(paginateConfluence(request, `${baseUrl}/wiki/api/v2/pages`, { 'space-id': 'space-1' }, { pageSize: 1 }));
+    assert.deepStrictEqual(pages.map(page => page.id), ['100001', '100002']);
+
+    const results = await collect(paginateConfluence(request, `${baseUrl}/wiki/rest/api/search`, { cql: 'type=page AND title~"PRD"' }, { pageSize: 1 }));
+    assert.deepStrictEqual(results.map(result => result.content.id), ['100001', '100003']);
+  });
+
+  it('should page Jira search by nextPageToken and by startAt', async () => {
+    const jql = { jql: 'project = AI', fields: 'summary' };
+    const byToken = await collect(paginateJira(request, `${baseUrl}/rest/api/3/search/jql`, jql, { pageSize: 2 }));
+    const byOffset = await collect(paginateJira(request, `${baseUrl}/rest/api/3/search`, jql, { pageSize: 2 }));
+
+    assert.deepStrictEqual(byToken.map(issue => issue.key), ['AI-100', 'AI-101', 'AI-102']);
+    assert.deepStrictEqual(byOffset.map(issue => issue.key), ['AI-100', 'AI-101', 'AI-102']);
+    assert.strictEqual(urls.length, 4);
+  });
+
+  it('should stop fetching once the limit is reached', async () => {
+    const issues = await collect(paginateJira(request, `${baseUrl}/rest/api/3/search`, { jql: 'project = AI' }, { pageSize: 1, limit: 2 }));
+    assert.deepStrictEqual(issues.map(issue => issue.key), ['AI-100', 'AI-101']);
+    assert.strictEqual(urls.length, 2);
+  });
+
+  it('should stop on an empty page even if a cursor is returned', async () => {
+    let calls = 0;
+    const items = await collect(iteratePages(async () => {
+      calls++;
+      return { items: [], next: 'same-cursor' };
+    }));
+    assert.deepStrictEqual(items, []);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('should report progress per page', async () => {
+    const lines = [];
+    await collect(paginateDovetail(request, `${baseUrl}/dovetail/api/v1/insights`, {}, {
+      pageSize: 2,
+      onPage: progressReporter('insights', message => lines.push(message))
+    }));
+    assert.deepStrictEqual(lines, ['insights: 2 of 3 (page 1)\n', 'insights: 3 of 3 (page 2)\n']);
+  });
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { parsePhone, toE164, countryCallingCode, findPhoneNumbers, parseRegions } = require('../utils/phone-parser');
+
+const found = (text, regions) => findPhoneNumbers(text, regions).map(span => text.slice(span.start, span.end));
+
+describe('Phone Parser', () => {
+  describe('parsePhone', () => {
+    it('should parse international numbers against their numbering plan', () => {
+      assert.strictEqual(toE164('+47 912 34 567'), '+4791234567');
+      assert.strictEqual(toE164('+44 (0)20 7946 0958'), '+442079460958');
+      assert.strictEqual(toE164('0049 171 1234567'), '+491711234567');
+      assert.strictEqual(toE164('+1 (555) 123-4567'), '+15551234567');
+      assert.strictEqual(parsePhone('+47 123 45 678'), null, 'Norwegian numbers never start with 1');
+    });
+
+    it('should accept other calling codes by E.164 length only', () => {
+      assert.deepStrictEqual(parsePhone('+81 3-1234-5678'),
+        { countryCode: '81', nationalNumber: '312345678', region: null, international: true });
+      assert.strictEqual(parsePhone('+81 12'), null);
+    });
+
+    it('should parse national numbers for the configured regions', () => {
+      assert.strictEqual(toE164('0171 1234567', ['DE']), '+491711234567');
+      assert.strictEqual(toE164('020 7946 0958', ['GB']), '+442079460958');
+      assert.strictEqual(toE164('912 34 567', ['NO']), '+4791234567');
+      assert.strictEqual(toE164('912 34 567', ['US']), null);
+      assert.strictEqual(toE164('22 12 34 56', ['NO']), '+4722123456');
+      assert.strictEqual(toE164('2212 3456', ['NO']), null, 'not a Norwegian grouping');
+      assert.strictEqual(toE164('2212 3456', ['DK']), '+4522123456');
+    });
+
+    it('should report the calling code of international numbers only', () => {
+      assert.strictEqual(countryCallingCode('+44 20 7946 0958'), '44');
+      assert.strictEqual(countryCallingCode('00 47 912 34 567'), '47');
+      assert.strictEqual(countryCallingCode('555-123-4567'), null);
+    });
+
+    it('should reject unknown regions', () => {
+      assert.deepStrictEqual(parseRegions(' no, gb '), ['NO', 'GB']);
+      assert.throws(() => parseRegions('NO,XX'), /Unknown phone region\(s\) XX/);
+    });
+  });
+
+  describe('findPhoneNumbers', () => {
+    it('should find Norwegian, German, UK and US numbers', () => {
+      assert.deepStrictEqual(
+        found('Ring +47 912 34 567, Handy 0171 1234567, office +44 (0)20 7946 0958 or (555) 123-4567.'),
+        ['+47 912 34 567', '0171 1234567', '+44 (0)20 7946 0958', '(555) 123-4567']
+      );
+    });
+
+    it('should split adjacent numbers', () => {
+      assert.deepStrictEqual(found('Tel 555-123-4567 555-987-6543'), ['555-123-4567', '555-987-6543']);
+    });
+
+    it('should leave IDs, dates and version strings alone', () => {
+      [
+        'Ticket 10001234 and 91234567',
+        'Released 2025-12-03, due 03.12.2025',
+        'Upgrade to version 100.200.3000 or v2.10.4567',
+        'Pi is 3.14159265',
+        'Ref GB82 WEST 1234 5698 7654 33',
+        'Issue AI-1234567',
+        'Between 2024-2025 we grew',
+        'Roadmap for 2024 2025',
+        'Targets: 2025 2026',
+        'Sprint 2301 2302'
+      ].forEach(text => assert.deepStrictEqual(found(text), [], text));
+    });
+
+    it('should leave amounts in thousands and next to currencies or units alone', () => {
+      [
+        'Revenue grew to 20 000 000 NOK',
+        'Revenue grew to 20 000 000 this year',
+        'ARR 1.250.000 after the renewal',
+        'We now have 120 000 000 users',
+        'Budget: $ 555 123 4567',
+        'Invoice of NOK 912 34 567',
+        'Paid 912 34 567 kr',
+        'Churn 45 678 901 %'
+      ].forEach(text => assert.deepStrictEqual(found(text), [], text));
+    });
+
+    it('should still find numbers grouped in threes where regions write them so', () => {
+      assert.deepStrictEqual(found('Llama al 612 345 678', ['ES']), ['612 345 678']);
+      assert.deepStrictEqual(found('Revenue 20 000 000 NOK, call +47 912 34 567'), ['+47 912 34 567']);
+    });
+  });
+});
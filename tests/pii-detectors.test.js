@@ -0,0 +1,157 @@
+const assert = require('assert');
+const PIIFilter = require('../utils/pii-filter');
+const { luhnCheck, ibanCheck, fnrCheck, validateDetector } = require('../utils/pii-detectors');
+
+describe('PII Detectors', () => {
+  let filter;
+
+  beforeEach(() => {
+    filter = new PIIFilter();
+  });
+
+  describe('Checksums', () => {
+    it('should validate card numbers with Luhn', () => {
+      assert.strictEqual(luhnCheck('4111 1111 1111 1111'), true);
+      assert.strictEqual(luhnCheck('4111 1111 1111 1112'), false);
+      assert.strictEqual(luhnCheck('0000 0000 0000 0000'), false);
+    });
+
+    it('should validate IBANs with mod-97', () => {
+      assert.strictEqual(ibanCheck('GB82 WEST 1234 5698 7654 32'), true);
+      assert.strictEqual(ibanCheck('NO9386011117947'), true);
+      assert.strictEqual(ibanCheck('GB82 WEST 1234 5698 7654 33'), false);
+    });
+
+    it('should validate Norwegian national identity numbers', () => {
+      assert.strictEqual(fnrCheck('01019000083'), true);
+      assert.strictEqual(fnrCheck('01019000084'), false);
+    });
+  });
+
+  describe('Payment Cards', () => {
+    it('should redact valid card numbers', () => {
+      const filtered = filter.filterText('Card on file: 4111-1111-1111-1111');
+      assert.strictEqual(filtered, 'Card on file: [CARD_1]');
+    });
+
+    it('should only match card groupings with a known issuer prefix', () => {
+      assert.strictEqual(filter.filterText('Amex 3782 822463 10005'), 'Amex [CARD_1]');
+      [
+        'in 2023 2024 2025 2026',
+        'Years 1999 2000 2001 2002 2003'
+      ].forEach(text => assert.strictEqual(filter.filterText(text), text, text));
+    });
+
+    it('should leave numbers that fail the Luhn check', () => {
+      const text = 'Order 4111111111111112 shipped';
+      assert.strictEqual(filter.filterText(text), text);
+    });
+  });
+
+  describe('IBANs', () => {
+    it('should redact grouped and compact IBANs', () => {
+      const filtered = filter.filterText('Pay GB82 WEST 1234 5698 7654 32 or NO9386011117947');
+      assert.strictEqual(filtered, 'Pay [IBAN_1] or [IBAN_2]');
+    });
+
+    it('should leave strings with a bad checksum', () => {
+      const text = 'Ref GB82 WEST 1234 5698 7654 33';
+      assert.strictEqual(filter.filterText(text), text);
+    });
+  });
+
+  describe('IP Addresses', () => {
+    it('should redact IPv4 and IPv6 addresses', () => {
+      const filtered = filter.filterText('Requests from 192.168.1.20 and 2001:db8::ff00:42:8329');
+      assert.strictEqual(filtered, 'Requests from [IP_1] and [IP_2]');
+    });
+
+    it('should not redact version strings or timestamps', () => {
+      const text = 'Upgraded to v1.2.3.4 at 12:30:45';
+      assert.strictEqual(filter.filterText(text), text);
+    });
+  });
+
+  describe('National IDs', () => {
+    it('should redact US social security numbers', () => {
+      assert.strictEqual(filter.filterText('SSN 123-45-6789'), 'SSN [SSN_1]');
+      assert.strictEqual(filter.filterText('Code 000-12-3456'), 'Code 000-12-3456');
+    });
+
+    it('should redact UK National Insurance numbers', () => {
+      assert.strictEqual(filter.filterText('NI number AB 12 34 56 C'), 'NI number [NINO_1]');
+      assert.strictEqual(filter.filterText('Ref QQ123456C'), 'Ref QQ123456C');
+    });
+
+    it('should redact valid Norwegian fødselsnummer only', () => {
+      assert.strictEqual(filter.filterText('Fnr 01019000083'), 'Fnr [FNR_1]');
+      assert.strictEqual(filter.filterText('Ticket 01019000084'), 'Ticket 01019000084');
+    });
+  });
+
+  describe('Street Addresses', () => {
+    it('should redact English-style addresses', () => {
+      assert.strictEqual(filter.filterText('Ship to 221B Baker Street please'), 'Ship to [ADDRESS_1] please');
+    });
+
+    it('should redact Nordic and German street names', () => {
+      const filtered = filter.filterText('Offices at Storgata 12 and Hauptstraße 5a');
+      assert.strictEqual(filtered, 'Offices at [ADDRESS_1] and [ADDRESS_2]');
+    });
+  });
+
+  describe('Toggles and Stats', () => {
+    it('should respect per-detector environment toggles', () => {
+      process.env.PII_DETECT_IP = 'false';
+      try {
+        const noIp = new PIIFilter();
+        assert.strictEqual(noIp.filterText('Host 10.0.0.1'), 'Host 10.0.0.1');
+      } finally {
+        delete process.env.PII_DETECT_IP;
+      }
+    });
+
+    it('should count each detector separately', () => {
+      filter.filterText('4111 1111 1111 1111, 4111 1111 1111 1111 and 10.0.0.1');
+      const stats = filter.getStats();
+      assert.strictEqual(stats.itemsFiltered.card, 2);
+      assert.strictEqual(stats.uniqueEntities.card, 1);
+      assert.strictEqual(stats.itemsFiltered.ip, 1);
+    });
+  });
+
+  describe('registerDetector', () => {
+    const ticketDetector = {
+      type: 'ticket',
+      label: 'TICKET',
+      patterns: [/\bZD-\d{4,}\b/g]
+    };
+
+    it('should apply custom detectors with their own token and counter', () => {
+      filter.registerDetector(ticketDetector);
+      assert.strictEqual(filter.filterText('See ZD-12345'), 'See [TICKET_1]');
+      assert.strictEqual(filter.getStats().itemsFiltered.ticket, 1);
+    });
+
+    it('should insert a detector before an existing one', () => {
+      filter.registerDetector(ticketDetector, { before: 'email' });
+      const types = filter.detectors.map(detector => detector.type);
+      assert.strictEqual(types.indexOf('ticket'), types.indexOf('email') - 1);
+    });
+
+    it('should apply parser-based detectors that return spans', () => {
+      filter.registerDetector({
+        type: 'orderNo',
+        label: 'ORDER',
+        find: text => [...text.matchAll(/#(\d{6})/g)].map(match => ({ start: match.index + 1, end: match.index + 7 }))
+      });
+      assert.strictEqual(filter.filterText('Orders #123456 and #654321'), 'Orders #[ORDER_1] and #[ORDER_2]');
+    });
+
+    it('should reject invalid or duplicate detectors', () => {
+      assert.throws(() => validateDetector({ type: 'x', label: 'X', patterns: [/x/] }), /global RegExp/);
+      assert.throws(() => validateDetector({ type: 'x', label: 'X', find: 'x' }), /non-function "find"/);
+      assert.throws(() => filter.registerDetector({ type: 'card', label: 'CARD', patterns: [/x/g] }), /already registered/);
+    });
+  });
+});
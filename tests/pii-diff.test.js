@@ -0,0 +1,186 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const PIIFilter = require('../utils/pii-filter');
+const { MemoryAuditLog } = require('../utils/pii-audit');
+const { diffValues, alignDropped, diffLines, formatDiff, parseFieldPath, formatExplanation } = require('../utils/pii-diff');
+
+const CLI = path.join(__dirname, '..', 'utils', 'pii-filter.js');
+
+const runCli = (args, input, env = {}) => spawnSync('node', [CLI, ...args], { input, encoding: 'utf8', env: { ...process.env, ...env } });
+
+/**
+ * The bundled policy with extra Jira rules in front
+ */
+function policyWith(rules) {
+  const policy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'pii-policy.json'), 'utf8'));
+  policy.sources.jira.rules.unshift(...rules);
+  return policy;
+}
+
+describe('PII Diff', () => {
+  describe('diffValues', () => {
+    it('should list changed leaves with their paths', () => {
+      const changes = diffValues(
+        { id: '1', fields: { comment: 'a@b.co', tags: ['x', 'y'] } },
+        { id: '1', fields: { comment: '[EMAIL_1]', tags: ['x', 'y'] } }
+      );
+      assert.deepStrictEqual(changes, [{ path: 'fields.comment', before: 'a@b.co', after: '[EMAIL_1]' }]);
+    });
+
+    it('should report dropped and redacted fields', () => {
+      const changes = diffValues(
+        { avatarUrls: { small: 'https://x' }, items: [{ secret: 'abc' }] },
+        { items: [{ secret: '[SECRET_1]' }] }
+      );
+      assert.deepStrictEqual(changes.map(change => change.path), ['avatarUrls', 'items[0].secret']);
+      assert.strictEqual(changes[0].after, undefined);
+    });
+
+    it('should keep original indices when array items are dropped', () => {
+      const filter = new PIIFilter({
+        source: 'jira',
+        policy: policyWith([{ path: 'items[1]', action: 'drop' }, { path: 'items[*].tags[0]', action: 'drop' }]),
+        audit: new MemoryAuditLog(),
+        persist: false
+      });
+      const data = { items: [{ note: 'a@x.co', tags: ['x', 'y'] }, { note: 'b@x.co' }, { note: 'c@x.co', tags: ['p', 'q'] }] };
+      const filtered = filter.filterObject(data);
+      assert.strictEqual(filtered.items.length, 2);
+
+      const changes = diffValues(data, alignDropped(filtered, filter.audit.entries));
+      assert.deepStrictEqual(changes.map(change => [change.path, change.after]), [
+        ['items[0].note', '[EMAIL_1]'],
+        ['items[0].tags[0]', undefined],
+        ['items[1]', undefined],
+        ['items[2].note', '[EMAIL_2]'],
+        ['items[2].tags[0]', undefined]
+      ]);
+      // The output itself has no holes
+      assert.strictEqual(filtered.items[1].tags.length, 1);
+    });
+  });
+
+  describe('diffLines', () => {
+    it('should keep unchanged lines as context', () => {
+      const result = diffLines('one\nmail a@b.co\nthree', 'one\nmail [EMAIL_1]\nthree');
+      assert.deepStrictEqual(result.map(entry => entry.op), [' ', '-', '+', ' ']);
+    });
+
+    it('should handle removed lines', () => {
+      const result = diffLines('a\nb\nc', 'a\nc');
+      assert.deepStrictEqual(result, [{ op: ' ', line: 'a' }, { op: '-', line: 'b' }, { op: ' ', line: 'c' }]);
+    });
+  });
+
+  describe('formatDiff', () => {
+    it('should head each change with its path and detectors', () => {
+      const output = formatDiff(
+        [{ path: 'fields.comment', before: 'Mail a@b.co', after: 'Mail [EMAIL_1]' }],
+        [{ path: 'fields.comment', detector: 'email' }]
+      );
+      assert.ok(output.includes('@@ fields.comment [email]'));
+      assert.ok(output.includes('- Mail a@b.co'));
+      assert.ok(output.includes('+ Mail [EMAIL_1]'));
+      assert.ok(output.includes('1 change(s)'));
+    });
+
+    it('should only color when asked', () => {
+      const changes = [{ path: 'a', before: 'x', after: 'y' }];
+      assert.ok(!formatDiff(changes, []).includes('\x1b['));
+      assert.ok(formatDiff(changes, [], { color: true }).includes('\x1b[31m'));
+    });
+  });
+
+  describe('Explain', () => {
+    it('should parse concrete field paths', () => {
+      assert.deepStrictEqual(parseFieldPath('data[0].participants[2].name'), ['data', 0, 'participants', 2, 'name']);
+      assert.throws(() => parseFieldPath('data[*].name'), /concrete path/);
+    });
+
+    it('should name the policy rule that applies', () => {
+      const filter = new PIIFilter({ source: 'jira' });
+      assert.match(filter.explainPath(['fields', 'reporter', 'accountId']), /policy rule "\*\*\.fields\.\*\.accountId" \(jira\) → hash/);
+    });
+
+    it('should explain default handling', () => {
+      const filter = new PIIFilter();
+      assert.match(filter.explainPath(['id']), /safe field/);
+      assert.match(filter.explainPath(['status'], null, 'current'), /safe field \(enum\) → kept/);
+      assert.match(filter.explainPath(['status'], null, 'ask bob@acme.com'), /not enum → free text/);
+      assert.match(filter.explainPath(['owner', 'email']), /PII field → pseudonymized as email/);
+      assert.match(filter.explainPath(['api_key']), /credential field/);
+      assert.match(filter.explainPath(['notes']), /free text/);
+    });
+
+    it('should include detectors fired anywhere under the path', () => {
+      const filter = new PIIFilter({ audit: new MemoryAuditLog() });
+      const data = { fields: { body: { text: 'Call 555.123.4567' } } };
+      const filtered = filter.filterObject(data);
+
+      const output = formatExplanation({
+        path: 'fields.body',
+        reason: 'free text',
+        before: data.fields.body,
+        after: filtered.fields.body,
+        redactions: filter.audit.entries
+      });
+      assert.ok(output.includes('Detectors: phone'));
+    });
+  });
+
+  describe('CLI', () => {
+    it('should refuse --diff when stdout is not a terminal', () => {
+      const result = runCli(['--diff'], '{"comment": "a@b.co"}');
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stdout, '');
+      assert.ok(result.stderr.includes('--force'));
+    });
+
+    it('should print a diff with --force', () => {
+      const result = runCli(['--diff', '--force'], '{"id": "1", "comment": "Mail john@example.com"}');
+      assert.strictEqual(result.status, 0);
+      assert.ok(result.stdout.includes('@@ comment [email]'));
+      assert.ok(result.stdout.includes('- Mail john@example.com'));
+      assert.ok(!result.stdout.includes('@@ id'));
+    });
+
+    it('should diff plain text input', () => {
+      const result = runCli(['--diff', '--force'], 'line one\nmail john@example.com\n');
+      assert.ok(result.stdout.includes('@@ (text) [email]'));
+      assert.ok(result.stdout.includes('  line one'));
+    });
+
+    it('should explain one field', () => {
+      const result = runCli(['--explain', 'fields.reporter.accountId', '--source', 'jira', '--force'],
+        '{"fields": {"reporter": {"accountId": "abc-123"}}}');
+      assert.strictEqual(result.status, 0);
+      assert.ok(result.stdout.includes('Original:  abc-123'));
+      assert.match(result.stdout, /Filtered: {2}hash_[0-9a-f]{16}/);
+      assert.ok(result.stdout.includes('Detectors: policy:hash'));
+    });
+
+    it('should explain the original element after a dropped sibling', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-diff-'));
+      const policyFile = path.join(dir, 'pii-policy.json');
+      fs.writeFileSync(policyFile, JSON.stringify(policyWith([{ path: 'items[0]', action: 'drop' }])));
+      try {
+        const result = runCli(['--explain', 'items[1].note', '--source', 'jira', '--force'],
+          '{"items": [{"note": "first a@b.co"}, {"note": "second c@d.co"}]}', { PII_POLICY_FILE: policyFile });
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.includes('Original:  second c@d.co'));
+        assert.ok(result.stdout.includes('Filtered:  second [EMAIL_1]'));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should fail when the explained path is missing', () => {
+      const result = runCli(['--explain', 'nope', '--force'], '{"a": 1}');
+      assert.strictEqual(result.status, 1);
+      assert.ok(result.stderr.includes('Path not found'));
+    });
+  });
+});
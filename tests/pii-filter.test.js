@@ -1,5 +1,9 @@
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const PIIFilter = require('../utils/pii-filter');
+const TokenVault = require('../utils/token-vault');
 
 describe('PIIFilter', () => {
   let filter;
@@ -55,6 +59,30 @@ describe('PIIFilter', () => {
       assert.ok(filtered.includes('[PHONE_'));
     });
 
+    it('should replace the parentheses with the number', () => {
+      assert.strictEqual(filter.filterText('Phone: (555) 123-4567'), 'Phone: [PHONE_1]');
+    });
+
+    it('should redact Norwegian, German and UK numbers', () => {
+      const filtered = filter.filterText('+47 912 34 567, 0171 1234567, +44 (0)20 7946 0958');
+      assert.strictEqual(filtered, '[PHONE_1], [PHONE_2], [PHONE_3]');
+    });
+
+    it('should map national and international forms to one token', () => {
+      const norwegian = new PIIFilter({ phoneRegions: ['NO'] });
+      assert.strictEqual(norwegian.filterText('+47 912 34 567 / 912 34 567'), '[PHONE_1] / [PHONE_1]');
+    });
+
+    it('should not redact version strings or numeric IDs', () => {
+      const text = 'Upgrade to 100.200.3000, ticket 10001234';
+      assert.strictEqual(filter.filterText(text), text);
+    });
+
+    it('should not redact amounts', () => {
+      const text = 'Revenue grew to 20 000 000 NOK, up from 1.250.000 last year';
+      assert.strictEqual(filter.filterText(text), text);
+    });
+
     it('should not redact UUIDs or dates', () => {
       const text = 'UUID: 123e4567-e89b-12d3-a456-426614174000';
       const filtered = filter.filterText(text);
@@ -110,6 +138,37 @@ describe('PIIFilter', () => {
     });
   });
 
+  describe('Free-text Name Detection', () => {
+    it('should anonymize names and companies in free text', () => {
+      const filtered = filter.filterText('I spoke with Sarah Jensen from Globex');
+      assert.strictEqual(filtered, 'I spoke with Participant 1 from Company 1');
+    });
+
+    it('should reuse tokens from structured fields in free text', () => {
+      const filtered = filter.filterObject({
+        notes: 'Kofi confirmed that Umbrella needs SSO',
+        participant: { name: 'Kofi Annan', company: 'Umbrella' }
+      });
+      assert.strictEqual(filtered.participant.name, 'Participant 1');
+      assert.strictEqual(filtered.participant.company, 'Company 1');
+      assert.strictEqual(filtered.notes, 'Participant 1 confirmed that Company 1 needs SSO');
+    });
+
+    it('should keep quotes and possessives around replaced names', () => {
+      assert.strictEqual(filter.filterText("{ name: 'John Doe' }"), "{ name: 'Participant 1' }");
+      assert.strictEqual(filter.filterText("'Sarah Jensen' was there"), "'Participant 2' was there");
+      assert.strictEqual(filter.filterText("Anna Berg-Hansen's team"), "Participant 3's team");
+      // The quoted spelling is the same person
+      assert.strictEqual(filter.filterText("John Doe' and John Doe"), "Participant 1' and Participant 1");
+    });
+
+    it('should respect PII_DETECT_NAMES=false', () => {
+      filter.detectNames = false;
+      const text = 'I spoke with Sarah Jensen';
+      assert.strictEqual(filter.filterText(text), text);
+    });
+  });
+
   describe('URL Filtering', () => {
     it('should redact email parameters from URLs', () => {
       const text = 'Visit http://example.com?email=user@test.com';
@@ -166,6 +225,19 @@ describe('PIIFilter', () => {
       assert.ok(filtered.email.includes('[EMAIL_'));
     });
 
+    it('should filter safe fields whose value has an unexpected shape', () => {
+      const filtered = filter.filterObject({
+        key: 'AI-123',
+        status: 'waiting on bob@acme.com',
+        url: 'https://example.com/export?email=bob@acme.com',
+        createdAt: 'Call 555-123-4567'
+      });
+      assert.strictEqual(filtered.key, 'AI-123');
+      assert.strictEqual(filtered.status, 'waiting on [EMAIL_1]');
+      assert.strictEqual(filtered.url, 'https://example.com/export?email=[REDACTED]');
+      assert.strictEqual(filtered.createdAt, 'Call [PHONE_1]');
+    });
+
     it('should apply custom field rules', () => {
       const obj = {
         title: 'Product Requirements',
@@ -213,6 +285,340 @@ describe('PIIFilter', () => {
     });
   });
 
+  describe('Consistent Pseudonyms', () => {
+    it('should reuse the same token for a repeated email', () => {
+      const filtered = filter.filterText('From alice@test.com, cc bob@test.com, reply to ALICE@test.com');
+      assert.strictEqual(filtered, 'From [EMAIL_1], cc [EMAIL_2], reply to [EMAIL_1]');
+    });
+
+    it('should reuse the same participant number for a repeated name', () => {
+      const first = filter.anonymizeName('Sarah Jensen');
+      const other = filter.anonymizeName('Bob Smith');
+      const again = filter.anonymizeName('sarah  jensen');
+      assert.strictEqual(first, 'Participant 1');
+      assert.strictEqual(other, 'Participant 2');
+      assert.strictEqual(again, 'Participant 1');
+    });
+
+    it('should map differently formatted phone numbers to one token', () => {
+      const filtered = filter.filterText('Call 555-123-4567 or 555.123.4567');
+      assert.strictEqual(filtered, 'Call [PHONE_1] or [PHONE_1]');
+    });
+
+    it('should share tokens between structured fields and free text', () => {
+      const filtered = filter.filterObject({
+        email: 'carol@test.com',
+        notes: 'Follow up with carol@test.com next week'
+      });
+      assert.strictEqual(filtered.email, '[EMAIL_1]');
+      assert.strictEqual(filtered.notes, 'Follow up with [EMAIL_1] next week');
+    });
+
+    it('should keep the same company number', () => {
+      assert.strictEqual(filter.anonymizeCompany('Globex'), 'Company 1');
+      assert.strictEqual(filter.anonymizeCompany('Initech'), 'Company 2');
+      assert.strictEqual(filter.anonymizeCompany('Globex.'), 'Company 1');
+    });
+
+    it('should report unique entities alongside occurrences', () => {
+      filter.anonymizeName('Sarah Jensen');
+      filter.anonymizeName('Sarah Jensen');
+      filter.anonymizeName('Bob Smith');
+      const stats = filter.getStats();
+      assert.strictEqual(stats.itemsFiltered.name, 3);
+      assert.strictEqual(stats.uniqueEntities.name, 2);
+    });
+
+    it('should keep assignments when counters are reset', () => {
+      filter.anonymizeName('Sarah Jensen');
+      filter.resetCounters();
+      assert.strictEqual(filter.anonymizeName('Bob Smith'), 'Participant 2');
+      assert.strictEqual(filter.anonymizeName('Sarah Jensen'), 'Participant 1');
+      assert.strictEqual(filter.getStats().uniqueEntities.name, 2);
+    });
+
+    it('should start over after resetPseudonyms', () => {
+      filter.anonymizeName('Sarah Jensen');
+      filter.resetPseudonyms();
+      assert.strictEqual(filter.anonymizeName('Bob Smith'), 'Participant 1');
+    });
+
+    describe('with a stable key', () => {
+      let storeDir;
+      let store;
+
+      beforeEach(() => {
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-pseudonyms-'));
+        store = path.join(storeDir, 'pseudonyms.json');
+      });
+
+      afterEach(() => {
+        fs.rmSync(storeDir, { recursive: true, force: true });
+      });
+
+      it('should keep tokens stable across sessions', () => {
+        const first = new PIIFilter({ pseudonymKey: 'test-key', pseudonymStore: store });
+        first.anonymizeName('Bob Smith');
+        first.anonymizeName('Sarah Jensen');
+        first.save();
+
+        const second = new PIIFilter({ pseudonymKey: 'test-key', pseudonymStore: store, persist: false });
+        assert.strictEqual(second.anonymizeName('Sarah Jensen'), 'Participant 2');
+        assert.strictEqual(second.anonymizeName('New Person'), 'Participant 3');
+      });
+
+      it('should never persist original values', () => {
+        const session = new PIIFilter({ pseudonymKey: 'test-key', pseudonymStore: store });
+        session.filterText('Contact alice@test.com');
+        session.anonymizeName('Sarah Jensen');
+        session.save();
+
+        const contents = fs.readFileSync(store, 'utf8');
+        assert.ok(!contents.includes('alice@test.com'));
+        assert.ok(!contents.toLowerCase().includes('sarah'));
+      });
+
+      it('should ignore a store written with a different key', () => {
+        const first = new PIIFilter({ pseudonymKey: 'old-key', pseudonymStore: store });
+        first.anonymizeName('Bob Smith');
+        first.anonymizeName('Sarah Jensen');
+        first.save();
+
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+          const second = new PIIFilter({ pseudonymKey: 'new-key', pseudonymStore: store, persist: false });
+          assert.strictEqual(second.anonymizeName('Sarah Jensen'), 'Participant 1');
+        } finally {
+          console.error = originalError;
+        }
+      });
+
+      it('should share one exit hook across filters', () => {
+        const before = process.listenerCount('exit');
+        for (let i = 0; i < 20; i++) {
+          new PIIFilter({ pseudonymKey: 'test-key', pseudonymStore: store }).anonymizeName('Bob Smith');
+        }
+        assert.ok(process.listenerCount('exit') - before <= 1);
+      });
+
+      it('should save unsaved pseudonyms when the process exits', () => {
+        const { execFileSync } = require('child_process');
+        const script = [
+          `const PIIFilter = require(${JSON.stringify(path.join(__dirname, '..', 'utils', 'pii-filter'))});`,
+          `new PIIFilter({ pseudonymKey: 'test-key', pseudonymStore: ${JSON.stringify(store)} }).anonymizeName('Bob Smith');`
+        ].join('\n');
+        execFileSync(process.execPath, ['-e', script], { env: { ...process.env, PII_VAULT_ENABLED: 'false' } });
+
+        const next = new PIIFilter({ pseudonymKey: 'test-key', pseudonymStore: store, persist: false });
+        assert.strictEqual(next.anonymizeName('Sarah Jensen'), 'Participant 2');
+      });
+
+      it('should not recreate a removed store directory at exit', () => {
+        const { execFileSync } = require('child_process');
+        const nested = path.join(storeDir, 'removed', 'pseudonyms.json');
+        const script = [
+          "const fs = require('fs');",
+          `const PIIFilter = require(${JSON.stringify(path.join(__dirname, '..', 'utils', 'pii-filter'))});`,
+          `const filter = new PIIFilter({ pseudonymKey: 'test-key', pseudonymStore: ${JSON.stringify(nested)} });`,
+          "filter.anonymizeName('Bob Smith');",
+          'filter.save();',
+          "filter.anonymizeName('Sarah Jensen');",
+          `fs.rmSync(${JSON.stringify(path.dirname(nested))}, { recursive: true });`
+        ].join('\n');
+        execFileSync(process.execPath, ['-e', script], { env: { ...process.env, PII_VAULT_ENABLED: 'false' } });
+        assert.strictEqual(fs.existsSync(path.dirname(nested)), false);
+      });
+    });
+  });
+
+  describe('HMAC Token Mode', () => {
+    // Never read or write the real pseudonym store
+    const unusedStore = path.join(os.tmpdir(), 'pii-hmac-test', 'pseudonyms.json');
+    const hmacFilter = (options = {}) => new PIIFilter({
+      tokenMode: 'hmac', pseudonymKey: 'hmac-test-key', pseudonymStore: unusedStore, persist: false, ...options
+    });
+
+    it('should derive tokens from the keyed hash', () => {
+      const filtered = hmacFilter().filterText('Mail alice@test.com and ALICE@test.com');
+      assert.match(filtered, /^Mail \[EMAIL_([0-9a-f]{8})\] and \[EMAIL_\1\]$/);
+      assert.match(hmacFilter().anonymizeName('Sarah Jensen'), /^Participant-[0-9a-f]{8}$/);
+      assert.match(hmacFilter().anonymizeCompany('Globex Corp'), /^Enterprise Client-[0-9a-f]{8}$/);
+    });
+
+    it('should give the same token regardless of processing order', () => {
+      const first = hmacFilter();
+      const second = hmacFilter();
+      first.anonymizeName('Bob Smith');
+      const a = first.anonymizeName('Sarah Jensen');
+      const b = second.anonymizeName('Sarah Jensen');
+      assert.strictEqual(a, b);
+    });
+
+    it('should change every token when the key changes', () => {
+      assert.notStrictEqual(
+        hmacFilter().anonymizeName('Sarah Jensen'),
+        hmacFilter({ pseudonymKey: 'rotated-key' }).anonymizeName('Sarah Jensen')
+      );
+    });
+
+    it('should honour the token length', () => {
+      assert.match(hmacFilter({ tokenLength: 4 }).filterText('a@test.com'), /^\[EMAIL_[0-9a-f]{4}\]$/);
+      assert.throws(() => hmacFilter({ tokenLength: 2 }), /PII_TOKEN_LENGTH/);
+    });
+
+    it('should lengthen a token that collides with another value', () => {
+      const filter = hmacFilter({ tokenLength: 4 });
+      const key = filter.entityKey('email', 'b@test.com');
+      filter.entityMap('email').set('some-other-value', key.slice(0, 4));
+      filter.notePseudonym('email', key.slice(0, 4));
+
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        assert.strictEqual(filter.filterText('b@test.com'), `[EMAIL_${key.slice(0, 8)}]`);
+      } finally {
+        console.error = originalError;
+      }
+    });
+
+    it('should require a key', () => {
+      const saved = process.env.PII_PSEUDONYM_KEY;
+      delete process.env.PII_PSEUDONYM_KEY;
+      try {
+        assert.throws(() => new PIIFilter({ tokenMode: 'hmac' }), /requires PII_PSEUDONYM_KEY/);
+        assert.throws(() => new PIIFilter({ tokenMode: 'random' }), /Unknown PII_TOKEN_MODE/);
+      } finally {
+        if (saved !== undefined) process.env.PII_PSEUDONYM_KEY = saved;
+      }
+    });
+
+    it('should parse hmac tokens', () => {
+      const filter = hmacFilter();
+      assert.deepStrictEqual(filter.parseToken('[EMAIL_a93f12c0]'), { type: 'email', number: 'a93f12c0' });
+      assert.deepStrictEqual(filter.parseToken('Participant-7c1e'), { type: 'name', number: '7c1e' });
+      assert.deepStrictEqual(filter.parseToken('Startup Client-00ff'), { type: 'company', number: '00ff' });
+      assert.deepStrictEqual(filter.parseToken('Participant 3'), { type: 'name', number: 3 });
+    });
+
+    describe('rekey', () => {
+      let vaultDir;
+      let vaultPath;
+
+      beforeEach(() => {
+        vaultDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-rekey-'));
+        vaultPath = path.join(vaultDir, 'vault.enc');
+      });
+
+      afterEach(() => {
+        fs.rmSync(vaultDir, { recursive: true, force: true });
+      });
+
+      it('should rewrite saved tokens under a rotated key', () => {
+        const vault = new TokenVault({ vaultPath, passphrase: 'vault-pass' });
+        const old = hmacFilter({ vault });
+        const saved = old.filterText('Ask alice@test.com') + ' and ' + old.anonymizeName('Sarah Jensen');
+
+        const rotated = hmacFilter({ vault, pseudonymKey: 'rotated-key' });
+        const expected = `Ask ${rotated.filterText('alice@test.com')} and ${rotated.anonymizeName('Sarah Jensen')}`;
+        assert.strictEqual(rotated.rekey(saved), expected);
+      });
+
+      it('should convert counter tokens to hmac tokens', () => {
+        const vault = new TokenVault({ vaultPath, passphrase: 'vault-pass' });
+        const counter = new PIIFilter({ vault, persist: false });
+        const saved = counter.filterText('a@test.com, b@test.com');
+        assert.strictEqual(saved, '[EMAIL_1], [EMAIL_2]');
+
+        const hmac = hmacFilter({ vault });
+        assert.match(hmac.rekey(saved + ' [EMAIL_9]'), /^\[EMAIL_[0-9a-f]{8}\], \[EMAIL_[0-9a-f]{8}\] \[EMAIL_9\]$/);
+      });
+
+      it('should rekey and seed format-preserving email and phone tokens', () => {
+        const policy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'pii-policy.json'), 'utf8'));
+        policy.defaults.strategies = { email: 'keep-domain', phone: 'keep-country' };
+        const vault = new TokenVault({ vaultPath, passphrase: 'vault-pass' });
+
+        const counter = new PIIFilter({ vault, policy, persist: false });
+        const saved = counter.filterText('Mail sarah@acme.com or call +44 20 7946 0958');
+        assert.strictEqual(saved, 'Mail [USER_1]@acme.com or call +44 [PHONE_1]');
+        assert.deepStrictEqual(counter.parseToken('[USER_1]@[DOMAIN_2]'), { type: 'email', number: 1 });
+
+        // A later run continues the numbering instead of reusing [USER_1]
+        const next = new PIIFilter({ vault, policy, persist: false });
+        assert.strictEqual(next.filterText('bob@acme.com'), '[USER_2]@acme.com');
+
+        const hmac = hmacFilter({ vault, policy });
+        assert.match(hmac.rekey(saved), /^Mail \[USER_[0-9a-f]{8}\]@acme\.com or call \+44 \[PHONE_[0-9a-f]{8}\]$/);
+      });
+
+      it('should require the vault', () => {
+        assert.throws(() => hmacFilter().rekey('[EMAIL_1]'), /vault not enabled/);
+      });
+    });
+  });
+
+  describe('Redaction Strategies', () => {
+    const strategyFilter = (strategies, options = {}) => {
+      const policy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'pii-policy.json'), 'utf8'));
+      policy.defaults.strategies = strategies;
+      return new PIIFilter({ policy, ...options });
+    };
+
+    it('should keep the email domain', () => {
+      const filtered = strategyFilter({ email: 'keep-domain' }).filterText('Mail sarah@Acme.com or bob@acme.com');
+      assert.strictEqual(filtered, 'Mail [USER_1]@acme.com or [USER_2]@acme.com');
+    });
+
+    it('should pseudonymize the email domain consistently', () => {
+      const strategies = strategyFilter({ email: 'pseudonymize-domain' });
+      const filtered = strategies.filterText('a@acme.com b@acme.com c@globex.com');
+      assert.strictEqual(filtered, '[USER_1]@[DOMAIN_1] [USER_2]@[DOMAIN_1] [USER_3]@[DOMAIN_2]');
+    });
+
+    it('should keep the phone country code', () => {
+      const strategies = strategyFilter({ phone: 'keep-country' });
+      assert.strictEqual(strategies.filterText('Call +44 20 7946 0958'), 'Call +44 [PHONE_1]');
+      assert.strictEqual(strategies.filterText('Call 555-987-6543'), 'Call [PHONE_2]');
+    });
+
+    it('should generalize companies to their size or industry', () => {
+      const companyRules = {
+        version: 1,
+        sizes: { enterprise: 'Enterprise Client', smb: 'SMB Client' },
+        keywords: [{ contains: ['corp'], size: 'enterprise' }],
+        companies: { 'Globex': { size: 'smb', industry: 'Fintech' } }
+      };
+      const bySize = strategyFilter({ company: 'size' }, { companyRules });
+      assert.strictEqual(bySize.anonymizeCompany('Globex'), 'SMB Client');
+      assert.strictEqual(bySize.anonymizeCompany('Initech Corp'), 'Enterprise Client');
+      assert.strictEqual(bySize.anonymizeCompany('Hooli'), 'Unsegmented Client');
+
+      const byIndustry = strategyFilter({ company: 'industry' }, { companyRules });
+      assert.strictEqual(byIndustry.anonymizeCompany('globex'), 'Fintech Client');
+    });
+
+    it('should not record generalized companies in the vault', () => {
+      const vaultPath = path.join(os.tmpdir(), `pii-strategy-vault-${process.pid}.json`);
+      const vault = new TokenVault({ vaultPath, passphrase: 'vault-pass' });
+      try {
+        strategyFilter({ company: 'size' }, { vault, persist: false }).anonymizeCompany('Acme Corp');
+        assert.strictEqual(vault.lookup('Enterprise Client'), undefined);
+      } finally {
+        fs.rmSync(vaultPath, { force: true });
+      }
+    });
+
+    it('should pick strategies per source', () => {
+      const policy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'pii-policy.json'), 'utf8'));
+      policy.sources.jira.strategies = { email: 'keep-domain' };
+      const strategies = new PIIFilter({ policy });
+
+      assert.deepStrictEqual(strategies.filterObject({ note: 'x@acme.com' }, {}, { source: 'jira' }), { note: '[USER_1]@acme.com' });
+      assert.deepStrictEqual(strategies.filterObject({ note: 'y@acme.com' }, {}, { source: 'dovetail' }), { note: '[EMAIL_2]' });
+    });
+  });
+
   describe('Configuration', () => {
     it('should respect disabled state', () => {
       const disabledFilter = new PIIFilter();
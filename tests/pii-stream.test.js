@@ -0,0 +1,160 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const PIIFilter = require('../utils/pii-filter');
+const { NdjsonFilterStream, JsonFilterStream } = require('../utils/pii-stream');
+
+const CLI = path.join(__dirname, '..', 'utils', 'pii-filter.js');
+
+/**
+ * Feed input in small chunks and collect the output
+ */
+function run(stream, input, chunkSize = 7) {
+  return new Promise((resolve, reject) => {
+    let output = '';
+    stream.on('data', chunk => { output += chunk; });
+    stream.on('end', () => resolve(output));
+    stream.on('error', reject);
+
+    const buffer = Buffer.from(input, 'utf8');
+    for (let i = 0; i < buffer.length; i += chunkSize) {
+      stream.write(buffer.subarray(i, i + chunkSize));
+    }
+    stream.end();
+  });
+}
+
+describe('PII Stream', () => {
+  describe('NDJSON', () => {
+    it('should filter line by line with consistent pseudonyms', async () => {
+      const input = [
+        JSON.stringify({ id: 1, email: 'sarah@example.com', text: 'Hi' }),
+        JSON.stringify({ id: 2, note: 'Ping sarah@example.com or bob@example.com' }),
+        ''
+      ].join('\n');
+
+      const lines = (await run(new NdjsonFilterStream(new PIIFilter()), input)).trim().split('\n').map(line => JSON.parse(line));
+      assert.strictEqual(lines.length, 2);
+      assert.strictEqual(lines[0].email, '[EMAIL_1]');
+      assert.strictEqual(lines[0].id, 1);
+      assert.strictEqual(lines[1].note, 'Ping [EMAIL_1] or [EMAIL_2]');
+    });
+
+    it('should filter non-JSON lines as text and skip blank lines', async () => {
+      const output = await run(new NdjsonFilterStream(new PIIFilter()), 'log: mail a@example.com\r\n\n{"ok":true}');
+      assert.strictEqual(output, 'log: mail [EMAIL_1]\n{"ok":true}\n');
+    });
+
+    it('should handle multi-byte characters split across chunks', async () => {
+      const output = await run(new NdjsonFilterStream(new PIIFilter()), '{"title":"Søknad – ærlig"}\n', 1);
+      assert.strictEqual(JSON.parse(output).title, 'Søknad – ærlig');
+    });
+
+    it('should filter thousands of lines with new people in linear time', async () => {
+      const letters = n => (n >= 26 ? letters(Math.floor(n / 26) - 1) : '') + String.fromCharCode(97 + (n % 26));
+      const filterLines = async count => {
+        const lines = [];
+        for (let i = 0; i < count; i++) {
+          const name = `Kari Q${letters(i)}stad`;
+          lines.push(JSON.stringify({ id: i, name, email: `user${i}@example.com`, notes: `Call with ${name} about the export` }));
+        }
+        const started = process.hrtime.bigint();
+        const output = await run(new NdjsonFilterStream(new PIIFilter({ persist: false })), `${lines.join('\n')}\n`, 64 * 1024);
+        return { filtered: output.trim().split('\n').map(line => JSON.parse(line)), elapsed: Number(process.hrtime.bigint() - started) };
+      };
+
+      const small = await filterLines(1000);
+      const large = await filterLines(4000);
+      assert.strictEqual(large.filtered.length, 4000);
+      assert.deepStrictEqual(large.filtered[3999], {
+        id: 3999, name: 'Participant 4000', email: '[EMAIL_4000]', notes: 'Call with Participant 4000 about the export'
+      });
+      // Four times the lines should take about four times as long; quadratic work would be ~16x
+      const ratio = large.elapsed / small.elapsed;
+      assert.ok(ratio < 10, `4x the lines took ${ratio.toFixed(1)}x as long`);
+    });
+  });
+
+  describe('JSON', () => {
+    it('should filter a top-level array element by element', async () => {
+      const data = [
+        { id: 'a', email: 'x@example.com', tags: ['p1', 'p2'] },
+        { id: 'b', note: 'Escaped \\"quote\\" ] and } with x@example.com', count: 3, ok: null }
+      ];
+      const output = await run(new JsonFilterStream(new PIIFilter()), JSON.stringify(data, null, 2));
+      assert.deepStrictEqual(JSON.parse(output), new PIIFilter().filterObject(data));
+    });
+
+    it('should stream array members of a top-level object with their paths', async () => {
+      const data = {
+        total: 2,
+        issues: [
+          { key: 'P-1', fields: { reporter: { displayName: 'Sarah Jensen', accountId: 'abc' }, labels: ['ux'] } },
+          { key: 'P-2', fields: { assignee: { displayName: 'Sarah Jensen', accountId: 'def' } } }
+        ],
+        names: { owner_email: 'o@example.com' }
+      };
+
+      const output = JSON.parse(await run(new JsonFilterStream(new PIIFilter({ source: 'jira' })), JSON.stringify(data)));
+      assert.strictEqual(output.total, 2);
+      assert.strictEqual(output.issues[0].fields.reporter.displayName, 'Participant 1');
+      assert.strictEqual(output.issues[1].fields.assignee.displayName, 'Participant 1');
+      assert.match(output.issues[0].fields.reporter.accountId, /^hash_/);
+      assert.deepStrictEqual(output.issues[0].fields.labels, ['ux']);
+      assert.ok(!JSON.stringify(output).includes('o@example.com'));
+    });
+
+    it('should drop members the policy drops without keeping them', async () => {
+      const policy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'pii-policy.json'), 'utf8'));
+      policy.sources.jira.rules.unshift({ path: 'debug', action: 'drop' });
+      const filter = new PIIFilter({ source: 'jira', policy });
+
+      const output = await run(new JsonFilterStream(filter), '{"debug": [{"email": "a@example.com"}], "ok": true}');
+      assert.deepStrictEqual(JSON.parse(output), { ok: true });
+    });
+
+    it('should emit elements before the input ends', async () => {
+      const stream = new JsonFilterStream(new PIIFilter());
+      let output = '';
+      stream.on('data', chunk => { output += chunk; });
+
+      stream.write('[{"email": "a@example.com"}, {"email": "b@exa');
+      await new Promise(resolve => setImmediate(resolve));
+      assert.ok(output.includes('[EMAIL_1]'));
+      assert.ok(!output.includes('[EMAIL_2]'));
+      stream.end('mple.com"}]');
+    });
+
+    it('should filter scalars and plain text whole', async () => {
+      assert.strictEqual(await run(new JsonFilterStream(new PIIFilter()), '"a@example.com"'), '"[EMAIL_1]"\n');
+      assert.strictEqual(await run(new JsonFilterStream(new PIIFilter()), 'mail a@example.com'), 'mail [EMAIL_1]\n');
+    });
+
+    it('should fail on truncated input', async () => {
+      await assert.rejects(run(new JsonFilterStream(new PIIFilter()), '[{"a": 1}, {"b"'), /Unexpected end of JSON input/);
+    });
+
+    it('should fail on invalid elements with their path', async () => {
+      await assert.rejects(run(new JsonFilterStream(new PIIFilter()), '{"data": [{"a": 1}, {"b" 2}]}'), /Invalid JSON at data\.1/);
+    });
+  });
+
+  describe('CLI', () => {
+    it('should stream NDJSON with --ndjson', () => {
+      const result = spawnSync('node', [CLI, '--ndjson'], {
+        input: '{"email":"a@example.com"}\n{"email":"a@example.com"}\n',
+        encoding: 'utf8'
+      });
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout, '{"email":"[EMAIL_1]"}\n{"email":"[EMAIL_1]"}\n');
+      assert.ok(result.stderr.includes('Filtering stats'));
+    });
+
+    it('should stream JSON arrays with --stream', () => {
+      const result = spawnSync('node', [CLI, '--stream'], { input: '[{"email":"a@example.com"}]', encoding: 'utf8' });
+      assert.strictEqual(result.status, 0);
+      assert.deepStrictEqual(JSON.parse(result.stdout), [{ email: '[EMAIL_1]' }]);
+    });
+  });
+});
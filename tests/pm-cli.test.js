@@ -0,0 +1,249 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SecretStore } = require('../utils/secret-store');
+const { ResponseCache } = require('../utils/response-cache');
+const { COMMANDS, parseArgs, checkArgs, formatHelp, completionScript, commandEnv, run } = require('../utils/pm-cli');
+
+describe('pm CLI', () => {
+  let skillsDir;
+  let spawned;
+  let out;
+  let err;
+
+  const fakeSpawn = (exitCode = 0) => (command, args, options) => {
+    spawned = { command, args, env: options.env };
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    setImmediate(() => child.emit('close', exitCode));
+    return child;
+  };
+  const runPm = (argv, io = {}) => run(argv, {
+    out: text => out.push(text),
+    err: text => err.push(text),
+    spawn: fakeSpawn(),
+    skillsDir,
+    env: {},
+    ...io
+  });
+
+  beforeEach(() => {
+    skillsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-skills-'));
+    fs.writeFileSync(path.join(skillsDir, 'jira.js'), '');
+    fs.mkdirSync(path.join(skillsDir, 'productboard'));
+    fs.writeFileSync(path.join(skillsDir, 'productboard', 'index.js'), '');
+    spawned = null;
+    out = [];
+    err = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(skillsDir, { recursive: true, force: true });
+  });
+
+  it('should accept global flags in any position', () => {
+    const parsed = parseArgs(['--verbose', 'productboard', 'features', '--owner', 'alice', '--profile', 'sandbox', '10']);
+    assert.strictEqual(parsed.tool, 'productboard');
+    assert.strictEqual(parsed.command, 'features');
+    assert.deepStrictEqual(parsed.args, ['--owner', 'alice', '10']);
+    assert.strictEqual(parsed.globals.verbose, true);
+    assert.strictEqual(parsed.globals.profile, 'sandbox');
+    assert.throws(() => parseArgs(['jira', 'read', 'AI-1', '--format', 'xml']), /Unknown format "xml"/);
+    assert.throws(() => parseArgs(['jira', 'read', '--profile']), /needs a value/);
+  });
+
+  it('should check arguments and options against the command spec', () => {
+    const create = COMMANDS.jira.commands.create;
+    assert.strictEqual(checkArgs(create, ['AI', 'Summary', '--type', 'Bug']), null);
+    assert.strictEqual(checkArgs(create, ['AI']), 'Missing <summary>');
+    assert.strictEqual(checkArgs(create, ['AI', 'Summary', 'AI-1', 'extra']), 'Too many arguments: extra');
+    assert.strictEqual(checkArgs(create, ['AI', 'Summary', '--all']), 'Unknown option --all');
+    assert.strictEqual(checkArgs(COMMANDS.dovetail.commands.insights, ['proj-1', '50']), null);
+    assert.strictEqual(checkArgs(COMMANDS.dovetail.commands.insights, ['proj-1', '--all']), 'Unknown option --all');
+    assert.strictEqual(checkArgs(COMMANDS.jira.commands.read, ['AI-1', '--no-cache']), 'Unknown option --no-cache');
+  });
+
+  it('should generate help for tools and commands', () => {
+    assert.ok(formatHelp().includes('confluence'));
+    assert.ok(formatHelp('jira').includes('list-children'));
+    const help = formatHelp('confluence', 'search');
+    assert.ok(help.startsWith('Usage: pm confluence search <title>'));
+    assert.ok(help.includes('--exact'));
+    assert.ok(help.includes('--limit <n>'));
+    assert.ok(help.includes('--no-pii-filter'));
+  });
+
+  it('should forward commands to the skill script with flags as environment', async () => {
+    const profilesFile = path.join(skillsDir, '.env.profiles');
+    fs.writeFileSync(profilesFile, '[prod]\nPRODUCTBOARD_API_TOKEN=pb-token\n');
+    const code = await runPm(['productboard', 'all-notes', '--feature', 'feat-1', '--format', 'csv', '--fields', 'id,title', '--profile', 'prod', '--verbose'], { env: { PM_PROFILES_FILE: profilesFile } });
+    assert.strictEqual(code, 0);
+    assert.strictEqual(spawned.args[0], path.join(skillsDir, 'productboard', 'index.js'));
+    assert.deepStrictEqual(spawned.args.slice(1), ['all-notes', '--feature', 'feat-1']);
+    // pm renders the output itself, so the script always prints JSON
+    assert.strictEqual(spawned.env.PM_FORMAT, undefined);
+    assert.strictEqual(spawned.env.PM_FIELDS, undefined);
+    assert.strictEqual(spawned.env.PM_PROFILE, 'prod');
+    assert.strictEqual(spawned.env.HTTP_LOG, 'all');
+    assert.strictEqual(spawned.env.PII_FILTER_ENABLED, undefined);
+  });
+
+  it('should run a real skill script with its arguments and environment', async () => {
+    // Records what the skill script receives, then exits with a code of its own
+    const record = path.join(skillsDir, 'received.json');
+    fs.writeFileSync(path.join(skillsDir, 'dovetail.js'), [
+      "const fs = require('fs');",
+      'const { PM_FORMAT, PM_FIELDS, PM_PROFILE, HTTP_LOG, PII_FILTER_ENABLED, DOVETAIL_API_TOKEN, DOVETAIL_API_URL } = process.env;',
+      'const received = { PM_FORMAT, PM_FIELDS, PM_PROFILE, HTTP_LOG, PII_FILTER_ENABLED, DOVETAIL_API_TOKEN, DOVETAIL_API_URL };',
+      'fs.writeFileSync(process.env.RECORD_FILE, JSON.stringify({ args: process.argv.slice(2), ...received }));',
+      'process.exit(4);'
+    ].join('\n'));
+    const profilesFile = path.join(skillsDir, '.env.profiles');
+    fs.writeFileSync(profilesFile, '[labs]\nDOVETAIL_API_TOKEN=dvt-token\n');
+
+    const code = await runPm(['--profile', 'labs', 'dovetail', 'insights', 'proj-1', '--verbose', '10', '--fields', 'id,title'], {
+      spawn: undefined,
+      env: { RECORD_FILE: record, PM_PROFILES_FILE: profilesFile, HTTP_LOG: 'errors', DOVETAIL_API_TOKEN: 'dvt-prod', DOVETAIL_API_URL: 'https://dovetail.example.com' }
+    });
+    assert.strictEqual(code, 4);
+    // The profile replaces the whole Dovetail group, so the production URL is blanked, not inherited
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(record, 'utf8')), {
+      args: ['insights', 'proj-1', '10'],
+      PM_PROFILE: 'labs',
+      HTTP_LOG: 'all',
+      DOVETAIL_API_TOKEN: 'dvt-token',
+      DOVETAIL_API_URL: ''
+    });
+  });
+
+  it('should render the script output with --format and --fields', async () => {
+    const insights = { data: [{ id: 'ins-1', project_id: 'proj-1', title: 'Checkout, guest', tags: ['ux'], created_at: '2026-01-02' }] };
+    fs.writeFileSync(path.join(skillsDir, 'dovetail.js'), `console.log(JSON.stringify(${JSON.stringify(insights)}, null, 2));`);
+
+    assert.strictEqual(await runPm(['dovetail', 'insights', 'proj-1', '--format', 'csv'], { spawn: undefined }), 0);
+    assert.strictEqual(out.pop(), 'id,project_id,title,tags,created_at\nins-1,proj-1,"Checkout, guest",ux,2026-01-02');
+    assert.strictEqual(await runPm(['dovetail', 'insights', 'proj-1'], { spawn: undefined, env: { PM_FORMAT: 'md', PM_FIELDS: 'id,title' } }), 0);
+    assert.strictEqual(out.pop(), '| id | title |\n| --- | --- |\n| ins-1 | Checkout, guest |');
+
+    fs.writeFileSync(path.join(skillsDir, 'dovetail.js'), "console.log('✅ Tagged 2 highlights');");
+    assert.strictEqual(await runPm(['dovetail', 'tags', '--format', 'table'], { spawn: undefined }), 0);
+    assert.strictEqual(out.pop(), '✅ Tagged 2 highlights');
+
+    assert.strictEqual(await runPm(['dovetail', 'tags'], { env: { PM_FORMAT: 'xml' } }), 1);
+    assert.strictEqual(spawned, null);
+    assert.ok(err.pop().includes('Unknown format "xml"'));
+  });
+
+  it('should pass stored tokens to the skill script and mask them in its output', async () => {
+    const env = { PM_SECRETS_FILE: path.join(skillsDir, 'secrets.enc'), PM_SECRETS_KEY: 'test-passphrase', ATLASSIAN_SITE_URL: 'https://example.atlassian.net' };
+    const store = new SecretStore({ env });
+    store.set('ATLASSIAN_API_TOKEN', 'atl-stored-token-123');
+    store.save();
+    fs.writeFileSync(path.join(skillsDir, 'jira.js'), [
+      'const { ATLASSIAN_API_TOKEN, ATLASSIAN_SITE_URL } = process.env;',
+      "console.error(`GET ${ATLASSIAN_SITE_URL} failed for token ${ATLASSIAN_API_TOKEN}`);",
+      "console.log(JSON.stringify({ key: 'AI-1', fields: { summary: `Uses ${ATLASSIAN_API_TOKEN.length}-character token ${ATLASSIAN_API_TOKEN}` } }));"
+    ].join('\n'));
+
+    assert.strictEqual(await runPm(['jira', 'read', 'AI-1'], { spawn: undefined, env }), 0);
+    assert.deepStrictEqual(JSON.parse(out.pop()), { key: 'AI-1', fields: { summary: 'Uses 20-character token [REDACTED]' } });
+    assert.deepStrictEqual(err, ['GET https://example.atlassian.net failed for token [REDACTED]']);
+  });
+
+  it('should refuse unknown profiles before running the skill', async () => {
+    const profilesFile = path.join(skillsDir, '.env.profiles');
+    fs.writeFileSync(profilesFile, '[prod]\nPRODUCTBOARD_API_TOKEN=pb-token\n');
+    assert.strictEqual(await runPm(['jira', 'read', 'AI-1', '--profile', 'sandbox'], { env: { PM_PROFILES_FILE: profilesFile } }), 1);
+    assert.strictEqual(spawned, null);
+    assert.ok(err[0].includes('Unknown profile "sandbox"'));
+
+    assert.strictEqual(await runPm(['jira', 'read', 'AI-1'], { env: { PM_PROFILE: 'staging', PM_PROFILES_FILE: profilesFile } }), 1);
+    assert.ok(err[1].includes('Unknown profile "staging"'));
+  });
+
+  it('should pass the skill exit code through', async () => {
+    assert.strictEqual(await runPm(['jira', 'read', 'AI-1'], { spawn: fakeSpawn(3) }), 3);
+  });
+
+  it('should print usage instead of running on bad input', async () => {
+    assert.strictEqual(await runPm(['jira', 'create', 'AI']), 1);
+    assert.strictEqual(spawned, null);
+    assert.ok(err[0].includes('Missing <summary>'));
+
+    assert.strictEqual(await runPm(['github', 'read']), 1);
+    assert.strictEqual(await runPm(['jira', 'read', '--help']), 0);
+    assert.ok(out.pop().includes('Usage: pm jira read <issue-key>'));
+    assert.strictEqual(await runPm(['dovetail', 'projects']), 1);
+    assert.ok(err.pop().includes('Skill script for dovetail not found'));
+  });
+
+  it('should only disable PII filtering after confirmation', async () => {
+    assert.strictEqual(await runPm(['jira', 'read', 'AI-1', '--no-pii-filter'], { confirm: async () => false }), 1);
+    assert.strictEqual(spawned, null);
+
+    assert.strictEqual(await runPm(['jira', 'read', 'AI-1', '--no-pii-filter'], { confirm: async () => true }), 0);
+    assert.strictEqual(spawned.env.PII_FILTER_ENABLED, 'false');
+
+    assert.strictEqual(await runPm(['jira', 'read', 'AI-1', '--no-pii-filter', '--force'], { confirm: async () => assert.fail('should not ask') }), 0);
+    assert.strictEqual(commandEnv({ noPiiFilter: false }, { PII_FILTER_ENABLED: 'true' }).PII_FILTER_ENABLED, 'true');
+  });
+
+  it('should run the doctor with its own flags', async () => {
+    let options;
+    const doctor = async (given) => {
+      options = given;
+      return { findings: [{ level: 'error', group: 'jira', message: 'Jira: ATLASSIAN_USER_EMAIL is not set' }], exitCode: 1 };
+    };
+    assert.strictEqual(await runPm(['doctor', '--online'], { doctor }), 1);
+    assert.deepStrictEqual(options, { online: true });
+    assert.ok(out[0].includes('❌ Jira: ATLASSIAN_USER_EMAIL is not set'));
+
+    assert.strictEqual(await runPm(['doctor', '--json'], { doctor }), 1);
+    assert.strictEqual(JSON.parse(out[1])[0].group, 'jira');
+    assert.strictEqual(await runPm(['doctor', '--profile', 'sandbox'], { doctor }), 1);
+    assert.deepStrictEqual(options, { online: false, profile: 'sandbox' });
+    assert.strictEqual(await runPm(['doctor', '--fix'], { doctor }), 1);
+    assert.ok(err[0].includes('Unknown doctor option --fix'));
+  });
+
+  it('should manage secrets scoped to the selected profile', async () => {
+    const env = { PM_SECRETS_FILE: path.join(skillsDir, 'secrets.enc'), PM_SECRETS_KEY: 'test-passphrase' };
+    const readSecret = async () => 'atl-sandbox-token-123';
+    assert.strictEqual(await runPm(['secrets', 'set', 'ATLASSIAN_API_TOKEN', '--profile', 'sandbox'], { env, readSecret }), 0);
+    assert.ok(out.pop().includes('Saved ATLASSIAN_API_TOKEN (profile "sandbox")'));
+
+    assert.strictEqual(await runPm(['secrets', 'get', 'ATLASSIAN_API_TOKEN'], { env: { ...env, PM_PROFILE: 'sandbox' } }), 0);
+    assert.strictEqual(out.pop(), '****-123');
+    assert.strictEqual(await runPm(['secrets', 'get', 'ATLASSIAN_API_TOKEN'], { env }), 1);
+    assert.ok(!out.concat(err).join('\n').includes('atl-sandbox-token-123'));
+  });
+
+  it('should show and clear the response cache', async () => {
+    const cache = new ResponseCache({ dir: path.join(skillsDir, 'cache') });
+    cache.set('jira', 'issue', '/issue/AI-1', {}, { key: 'AI-1' });
+    cache.set('confluence', 'page', '/pages/1', {}, { title: 'PRD' });
+
+    assert.strictEqual(await runPm(['cache', 'stats'], { cache }), 0);
+    assert.ok(out.pop().includes('Entries: 2 (0 expired)'));
+    assert.strictEqual(await runPm(['cache', 'clear', 'jira'], { cache }), 0);
+    assert.strictEqual(out.pop(), '✅ Removed 1 cache entry for jira');
+    assert.strictEqual(await runPm(['cache', 'clear', '..'], { cache }), 1);
+    assert.ok(err[0].includes('Unknown cache source ".."'));
+    assert.strictEqual(cache.stats().entries, 1);
+  });
+
+  it('should generate bash and zsh completion scripts', async () => {
+    const bash = completionScript('bash');
+    assert.ok(bash.includes('complete -F _pm_complete pm'));
+    assert.ok(bash.includes('jira) COMPREPLY=($(compgen -W "read create update search list-children"'));
+    assert.ok(bash.includes('"confluence search") opts="--space --exact --limit"'));
+    assert.ok(completionScript('zsh').startsWith('# pm shell completion\nautoload -U +X bashcompinit'));
+    assert.throws(() => completionScript('fish'), /Unsupported shell/);
+
+    assert.strictEqual(await runPm(['completion', 'zsh']), 0);
+    assert.ok(out[0].includes('bashcompinit'));
+  });
+});
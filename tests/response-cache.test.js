@@ -0,0 +1,158 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../utils/response-cache');
+const PIIFilter = require('../utils/pii-filter');
+const { DEFAULT_POLICY_FILE } = require('../utils/pii-policy');
+const { DEFAULT_COMPANY_RULES_FILE } = require('../utils/company-rules');
+
+describe('ResponseCache', () => {
+  let dir;
+  let now;
+
+  const createCache = (options = {}) => new ResponseCache({ dir, now: () => now, ...options });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+    now = 1000000;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should return cached data until the resource TTL passes', async () => {
+    const cache = createCache();
+    let loads = 0;
+    const load = async () => ({ id: 'feat-1', name: `load ${++loads}` });
+
+    assert.deepStrictEqual(await cache.fetch('productboard', 'feature', '/features/feat-1', {}, load), { id: 'feat-1', name: 'load 1' });
+    now += 3599 * 1000;
+    assert.strictEqual((await cache.fetch('productboard', 'feature', '/features/feat-1', {}, load)).name, 'load 1');
+    now += 2000;
+    assert.strictEqual((await cache.fetch('productboard', 'feature', '/features/feat-1', {}, load)).name, 'load 2');
+    assert.strictEqual(cache.hits, 1);
+    assert.strictEqual(cache.misses, 2);
+  });
+
+  it('should key entries by endpoint, params, filter settings and profile', () => {
+    const cache = createCache();
+    cache.set('dovetail', 'insights', '/insights', { project_id: 'p1', limit: 50 }, ['a']);
+
+    assert.deepStrictEqual(cache.get('dovetail', 'insights', '/insights', { limit: 50, project_id: 'p1' }), ['a']);
+    assert.strictEqual(cache.get('dovetail', 'insights', '/insights', { project_id: 'p2', limit: 50 }), undefined);
+    assert.strictEqual(createCache({ variant: 'other-key' }).get('dovetail', 'insights', '/insights', { project_id: 'p1', limit: 50 }), undefined);
+    assert.strictEqual(createCache({ profile: 'sandbox' }).get('dovetail', 'insights', '/insights', { project_id: 'p1', limit: 50 }), undefined);
+  });
+
+  it('should never write endpoints or params to disk', () => {
+    const cache = createCache();
+    const file = cache.fileFor('productboard', 'notes', '/notes', { ownerEmail: 'sarah@acme.com' });
+    cache.set('productboard', 'notes', '/notes', { ownerEmail: 'sarah@acme.com' }, [{ title: 'Note from [USER_1]' }]);
+
+    assert.ok(!file.includes('acme'));
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('acme'));
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  });
+
+  it('should skip reads when refreshing and everything when disabled', async () => {
+    createCache().set('jira', 'issue', '/issue/AI-1', {}, { key: 'AI-1', v: 1 });
+
+    const refreshing = createCache({ refresh: true });
+    assert.strictEqual((await refreshing.fetch('jira', 'issue', '/issue/AI-1', {}, async () => ({ key: 'AI-1', v: 2 }))).v, 2);
+    assert.strictEqual(createCache().get('jira', 'issue', '/issue/AI-1', {}).v, 2);
+
+    const disabled = createCache({ enabled: false });
+    assert.strictEqual(disabled.get('jira', 'issue', '/issue/AI-1', {}), undefined);
+    disabled.set('jira', 'issue', '/issue/AI-2', {}, { key: 'AI-2' });
+    assert.strictEqual(createCache().get('jira', 'issue', '/issue/AI-2', {}), undefined);
+  });
+
+  it('should invalidate resources after writes', () => {
+    const cache = createCache();
+    cache.set('jira', 'issue', '/issue/AI-1', {}, {});
+    cache.set('jira', 'search', '/search', { jql: 'project = AI' }, []);
+    cache.set('jira', 'children', '/search', { jql: 'parent = AI-1' }, []);
+    cache.set('confluence', 'page', '/pages/1', {}, {});
+
+    assert.strictEqual(cache.invalidate('jira', ['search', 'children']), 2);
+    assert.ok(cache.get('jira', 'issue', '/issue/AI-1', {}));
+    assert.strictEqual(cache.invalidate('jira'), 1);
+    assert.ok(cache.get('confluence', 'page', '/pages/1', {}));
+  });
+
+  it('should report stats and clear by source or expiry', () => {
+    const cache = createCache();
+    cache.set('jira', 'search', '/search', {}, []);
+    cache.set('confluence', 'page', '/pages/1', {}, { title: 'PRD' });
+    cache.set('confluence', 'space', '/spaces', {}, []);
+    fs.writeFileSync(path.join(dir, 'confluence', 'page_0000.json'), 'not json');
+    now += 601 * 1000;
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.entries, 4);
+    assert.strictEqual(stats.expired, 3);
+    assert.deepStrictEqual(Object.keys(stats.sources).sort(), ['confluence', 'jira']);
+
+    assert.strictEqual(cache.clear({ expired: true }), 2);
+    assert.strictEqual(cache.clear({ source: 'jira' }), 0);
+    assert.strictEqual(cache.clear(), 1);
+    assert.strictEqual(cache.stats().entries, 1);
+    assert.ok(fs.existsSync(path.join(dir, 'confluence', 'page_0000.json')));
+  });
+
+  it('should only clear known sources and its own entries', () => {
+    const cache = createCache({ dir: path.join(dir, 'cache') });
+    cache.set('jira', 'issue', '/issue/AI-1', {}, {});
+    const outside = path.join(dir, 'settings.json');
+    fs.writeFileSync(outside, JSON.stringify({ expiresAt: 0 }));
+    fs.writeFileSync(path.join(dir, 'cache', 'jira', 'notes.json'), JSON.stringify({ version: 0, expiresAt: 0 }));
+
+    assert.throws(() => cache.clear({ source: '..' }), /Unknown cache source/);
+    assert.throws(() => cache.invalidate('../cache/jira'), /Unknown cache source/);
+    assert.strictEqual(cache.clear({ expired: true }), 0);
+    assert.strictEqual(cache.clear(), 1);
+    assert.ok(fs.existsSync(outside));
+    assert.ok(fs.existsSync(path.join(dir, 'cache', 'jira', 'notes.json')));
+  });
+
+  it('should change the filter fingerprint with settings that change output', () => {
+    const createFilter = options => new PIIFilter({ pseudonymStore: path.join(dir, 'pseudonyms.json'), persist: false, ...options });
+    const counter = createFilter({ tokenMode: 'counter' });
+    const hmac = createFilter({ tokenMode: 'hmac', pseudonymKey: 'k1' });
+
+    assert.strictEqual(counter.settingsFingerprint(), createFilter({ tokenMode: 'counter' }).settingsFingerprint());
+    assert.notStrictEqual(counter.settingsFingerprint(), hmac.settingsFingerprint());
+    assert.notStrictEqual(hmac.settingsFingerprint(), createFilter({ tokenMode: 'hmac', pseudonymKey: 'k2' }).settingsFingerprint());
+  });
+
+  it('should change the filter fingerprint with the policy, company rules, detectors and name threshold', () => {
+    const createFilter = options => new PIIFilter({ pseudonymStore: path.join(dir, 'pseudonyms.json'), persist: false, ...options });
+    const policyWith = strategies => {
+      const policy = JSON.parse(fs.readFileSync(DEFAULT_POLICY_FILE, 'utf8'));
+      policy.defaults.strategies = strategies;
+      return policy;
+    };
+    const companyRules = JSON.parse(fs.readFileSync(DEFAULT_COMPANY_RULES_FILE, 'utf8'));
+    companyRules.companies = { ...companyRules.companies, 'Fjordline AS': { size: 'enterprise' } };
+    const withoutCards = () => {
+      process.env.PII_DETECT_CARDS = 'false';
+      try {
+        return createFilter();
+      } finally {
+        delete process.env.PII_DETECT_CARDS;
+      }
+    };
+
+    const fingerprints = [
+      createFilter(),
+      createFilter({ policy: policyWith({ email: 'keep-domain' }) }),
+      createFilter({ companyRules }),
+      createFilter({ nameConfidence: 0.9 }),
+      withoutCards()
+    ].map(filter => filter.settingsFingerprint());
+
+    assert.strictEqual(new Set(fingerprints).size, fingerprints.length);
+  });
+});
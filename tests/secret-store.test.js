@@ -0,0 +1,141 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { SecretStore, maskValue, secretsIn, secretsInEnv, maskSecrets, secretsCommand } = require('../utils/secret-store');
+
+describe('SecretStore', () => {
+  let dir;
+  let env;
+
+  const token = 'pb_live_0123456789abcdef';
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-store-'));
+    env = { PM_SECRETS_FILE: path.join(dir, 'secrets.enc'), PM_SECRETS_KEY: 'correct horse battery staple' };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should round-trip secrets through an encrypted, owner-only file', () => {
+    const store = new SecretStore({ env });
+    store.set('PRODUCTBOARD_API_TOKEN', token);
+    store.set('ATLASSIAN_API_TOKEN', 'atl-sandbox-token', 'sandbox');
+    store.save();
+
+    const raw = fs.readFileSync(env.PM_SECRETS_FILE, 'utf8');
+    assert.ok(!raw.includes(token));
+    assert.ok(!raw.includes('PRODUCTBOARD_API_TOKEN'));
+    if (process.platform !== 'win32') assert.strictEqual(fs.statSync(env.PM_SECRETS_FILE).mode & 0o777, 0o600);
+
+    const reopened = new SecretStore({ env });
+    assert.strictEqual(reopened.get('PRODUCTBOARD_API_TOKEN'), token);
+    assert.strictEqual(reopened.get('ATLASSIAN_API_TOKEN'), undefined);
+    assert.deepStrictEqual(reopened.values('sandbox'), { ATLASSIAN_API_TOKEN: 'atl-sandbox-token' });
+    assert.deepStrictEqual(reopened.list().map(item => [item.profile, item.name]), [[null, 'PRODUCTBOARD_API_TOKEN'], ['sandbox', 'ATLASSIAN_API_TOKEN']]);
+    assert.deepStrictEqual(reopened.profiles(), ['sandbox']);
+  });
+
+  it('should refuse a wrong or missing key and non-credential names', () => {
+    const store = new SecretStore({ env });
+    store.set('DOVETAIL_API_TOKEN', 'dvt-token-123');
+    store.save();
+
+    assert.throws(() => new SecretStore({ env: { ...env, PM_SECRETS_KEY: 'wrong' } }), /Could not decrypt secret store/);
+    assert.throws(() => new SecretStore({ env: { PM_SECRETS_FILE: env.PM_SECRETS_FILE } }), /Secret store key not found/);
+    assert.throws(() => store.set('PII_VAULT_KEY', 'x'), /Invalid secret name "PII_VAULT_KEY"/);
+    assert.throws(() => store.set('DOVETAIL_API_TOKEN', 'a\nb'), /single non-empty line/);
+    assert.throws(() => store.set('DOVETAIL_API_TOKEN', 'x', 'a/b'), /Invalid profile name/);
+
+    const keyFile = path.join(dir, 'key');
+    fs.writeFileSync(keyFile, 'correct horse battery staple\n');
+    assert.strictEqual(new SecretStore({ env: { PM_SECRETS_FILE: env.PM_SECRETS_FILE, PM_SECRETS_KEY_FILE: keyFile } }).get('DOVETAIL_API_TOKEN'), 'dvt-token-123');
+  });
+
+  it('should never show values when inspected or serialized', () => {
+    const store = new SecretStore({ env });
+    store.set('PRODUCTBOARD_API_TOKEN', token);
+
+    assert.ok(!util.inspect(store).includes(token));
+    assert.ok(!JSON.stringify(store).includes(token));
+    assert.strictEqual(maskValue(token), '****cdef');
+    assert.strictEqual(maskValue('short-token'), '****');
+  });
+
+  it('should find credentials in request headers and mask them anywhere', () => {
+    const basic = `Basic ${Buffer.from('pm@example.com:atl-secret-token').toString('base64')}`;
+    const secrets = secretsIn({ Authorization: basic, 'X-Api-Key': 'key-1234567890', 'X-Request-Id': 'abcd1234', 'X-Version': '1' });
+    assert.ok(secrets.includes('atl-secret-token'));
+    assert.ok(secrets.includes('key-1234567890'));
+    assert.ok(!secrets.includes('abcd1234'));
+    assert.deepStrictEqual(secretsIn({ authorization: `Bearer ${token}` }), [token]);
+
+    assert.deepStrictEqual(
+      maskSecrets({ error: `bad token ${token}`, list: [token, 2], ok: true }, [token]),
+      { error: 'bad token [REDACTED]', list: ['[REDACTED]', 2], ok: true }
+    );
+    assert.strictEqual(maskSecrets('user pm@example.com:atl-secret-token', secrets), 'user [REDACTED]');
+    assert.strictEqual(maskSecrets('nothing to hide', []), 'nothing to hide');
+
+    assert.deepStrictEqual(secretsInEnv({
+      PRODUCTBOARD_API_TOKEN: token,
+      ATLASSIAN_SITE_URL: 'https://example.atlassian.net',
+      ATLASSIAN_USER_EMAIL: 'pm@example.com',
+      DOVETAIL_API_TOKEN: 'short',
+      PII_VAULT_KEY: 'not-a-credential-key'
+    }), [token]);
+  });
+
+  describe('commands', () => {
+    let out;
+    let err;
+    const run = (command, args = [], options = {}) => secretsCommand(command, args, {
+      env,
+      out: text => out.push(text),
+      err: text => err.push(text),
+      ...options
+    });
+
+    beforeEach(() => {
+      out = [];
+      err = [];
+    });
+
+    it('should set, list, get and delete without printing values unless revealed', async () => {
+      assert.strictEqual(await run('set', ['PRODUCTBOARD_API_TOKEN'], { readSecret: async () => token }), 0);
+      assert.strictEqual(await run('set', ['ATLASSIAN_API_TOKEN'], { profile: 'sandbox', readSecret: async () => 'atl-sandbox-token-1' }), 0);
+      assert.strictEqual(await run('list'), 0);
+      assert.ok(out.some(line => line.startsWith('PRODUCTBOARD_API_TOKEN  ****cdef')));
+      assert.ok(out.some(line => line.startsWith('sandbox/ATLASSIAN_API_TOKEN')));
+
+      assert.strictEqual(await run('get', ['PRODUCTBOARD_API_TOKEN']), 0);
+      assert.strictEqual(out.pop(), '****cdef');
+      assert.strictEqual(await run('get', ['PRODUCTBOARD_API_TOKEN', '--reveal']), 0);
+      assert.strictEqual(out.pop(), token);
+      assert.ok(!err.join('\n').includes(token));
+
+      assert.strictEqual(await run('delete', ['PRODUCTBOARD_API_TOKEN']), 0);
+      assert.strictEqual(await run('get', ['PRODUCTBOARD_API_TOKEN']), 1);
+      assert.strictEqual(err.pop(), '❌ No secret PRODUCTBOARD_API_TOKEN');
+      assert.strictEqual(await run('fetch'), 1);
+      assert.ok(err.pop().includes('Unknown secrets command "fetch"'));
+    });
+
+    it('should rotate to a new generated key file', async () => {
+      await run('set', ['DOVETAIL_API_TOKEN'], { readSecret: async () => 'dvt-token-123' });
+      const keyFile = path.join(dir, 'keys', 'secrets.key');
+
+      assert.strictEqual(await run('rotate'), 1);
+      assert.ok(err.pop().includes('PM_SECRETS_NEW_KEY'));
+      assert.strictEqual(await run('rotate', ['--new-key-file', keyFile]), 0);
+      assert.ok(out.pop().includes(`PM_SECRETS_KEY_FILE=${keyFile}`));
+
+      assert.throws(() => new SecretStore({ env }), /Could not decrypt/);
+      const rotated = new SecretStore({ env: { PM_SECRETS_FILE: env.PM_SECRETS_FILE, PM_SECRETS_KEY_FILE: keyFile } });
+      assert.strictEqual(rotated.get('DOVETAIL_API_TOKEN'), 'dvt-token-123');
+    });
+  });
+});
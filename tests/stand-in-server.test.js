@@ -0,0 +1,149 @@
+const assert = require('assert');
+const { HttpTransport, AuthError, NotFoundError, ValidationError } = require('../utils/http-transport');
+const { StandInServer, parseClauses } = require('../utils/stand-in-server');
+
+describe('Stand-in Server', () => {
+  let server;
+  let baseUrl;
+  let transport;
+
+  before(async () => {
+    server = new StandInServer();
+    baseUrl = await server.listen(0);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    server.reset();
+    transport = new HttpTransport({ headers: { Authorization: 'Bearer demo' }, maxRetries: 0, logLevel: 'off' });
+  });
+
+  it('should require an Authorization header', async () => {
+    const anonymous = new HttpTransport({ maxRetries: 0, logLevel: 'off' });
+    await assert.rejects(anonymous.request(`${baseUrl}/productboard/features`), AuthError);
+  });
+
+  it('should page Productboard features and notes with cursors', async () => {
+    const first = await transport.request(`${baseUrl}/productboard/features`, { params: { pageLimit: 2 } });
+    assert.deepStrictEqual(first.data.map(feature => feature.id), ['feat-1001', 'feat-1002']);
+    assert.ok(first.links.next.includes('pageLimit=2'));
+
+    const second = await transport.request(first.links.next);
+    assert.deepStrictEqual(second.data.map(feature => feature.id), ['feat-1003']);
+    assert.strictEqual(second.links.next, null);
+
+    const notes = await transport.request(`${baseUrl}/productboard/notes`, { params: { featureId: 'feat-1001', pageLimit: 1 } });
+    assert.strictEqual(notes.totalResults, 2);
+    assert.ok(notes.pageCursor);
+    const rest = await transport.request(`${baseUrl}/productboard/notes`, { params: { featureId: 'feat-1001', pageCursor: notes.pageCursor } });
+    assert.deepStrictEqual(rest.data.map(note => note.id), ['note-2003']);
+  });
+
+  it('should filter Dovetail lists by project and search insights and highlights', async () => {
+    const insights = await transport.request(`${baseUrl}/dovetail/api/v1/insights`, { params: { project_id: 'proj-302' } });
+    assert.deepStrictEqual(insights.data.map(insight => insight.id), ['ins-403']);
+    assert.strictEqual(insights.page.has_more, false);
+
+    const results = await transport.request(`${baseUrl}/dovetail/api/v1/search`, { method: 'POST', body: { query: 'checklist' } });
+    assert.deepStrictEqual(results.data.map(hit => `${hit.type}:${hit.id}`), ['insight:ins-403', 'highlight:hl-603']);
+
+    await assert.rejects(transport.request(`${baseUrl}/dovetail/api/v1/projects/proj-999`), NotFoundError);
+  });
+
+  it('should create, update and search Confluence pages', async () => {
+    const spaces = await transport.request(`${baseUrl}/wiki/api/v2/spaces`, { params: { keys: 'AIP' } });
+    const spaceId = spaces.results[0].id;
+
+    const created = await transport.request(`${baseUrl}/wiki/api/v2/pages`, {
+      method: 'POST',
+      body: { spaceId, status: 'current', title: 'PRD: Guest checkout', parentId: '100001', body: { representation: 'storage', value: '<p>Draft</p>' } }
+    });
+    assert.strictEqual(created.version.number, 1);
+
+    await assert.rejects(transport.request(`${baseUrl}/wiki/api/v2/pages/${created.id}`, {
+      method: 'PUT',
+      body: { id: created.id, status: 'current', title: created.title, body: { representation: 'storage', value: '<p>Stale</p>' }, version: { number: 1 } }
+    }), error => error.status === 409);
+
+    await transport.request(`${baseUrl}/wiki/api/v2/pages/${created.id}`, {
+      method: 'PUT',
+      body: { id: created.id, status: 'current', title: created.title, body: { representation: 'storage', value: '<p>Final</p>' }, version: { number: 2, message: 'Ready' } }
+    });
+    const page = await transport.request(`${baseUrl}/wiki/api/v2/pages/${created.id}`, { params: { 'body-format': 'storage' } });
+    assert.strictEqual(page.body.storage.value, '<p>Final</p>');
+    assert.strictEqual(page.version.message, 'Ready');
+
+    const search = await transport.request(`${baseUrl}/wiki/rest/api/search`, { params: { cql: 'space=AIP AND type=page AND title~"prd"', limit: 25 } });
+    assert.deepStrictEqual(search.results.map(result => result.content.id).sort(), ['100001', created.id].sort());
+  });
+
+  it('should create Jira issues and find them with JQL', async () => {
+    const created = await transport.request(`${baseUrl}/rest/api/3/issue`, {
+      method: 'POST',
+      body: { fields: { project: { key: 'AI' }, summary: 'Retry failed exports', issuetype: { name: 'Task' }, parent: { key: 'AI-100' }, labels: ['export'] } }
+    });
+    assert.strictEqual(created.key, 'AI-103');
+
+    await transport.request(`${baseUrl}/rest/api/3/issue/${created.key}`, { method: 'PUT', body: { fields: { priority: { name: 'High' } } } });
+    const issue = await transport.request(`${baseUrl}/rest/api/3/issue/${created.key}`);
+    assert.strictEqual(issue.fields.priority.name, 'High');
+    assert.strictEqual(issue.fields.parent.key, 'AI-100');
+
+    const children = await transport.request(`${baseUrl}/rest/api/3/search/jql`, { params: { jql: 'parent = AI-100 AND status != Done ORDER BY created DESC', fields: 'summary,status' } });
+    assert.deepStrictEqual(children.issues.map(child => child.key), ['AI-101', 'AI-103']);
+    assert.deepStrictEqual(Object.keys(children.issues[0].fields), ['summary', 'status']);
+    assert.strictEqual(children.isLast, true);
+
+    await assert.rejects(transport.request(`${baseUrl}/rest/api/3/issue`, { method: 'POST', body: { fields: { project: { key: 'AI' } } } }),
+      error => error instanceof ValidationError && error.body.errors.summary !== undefined);
+  });
+
+  it('should serve the requests the client unit tests pin', async () => {
+    // Base URLs as the CLI prints them, paths and queries as tests/<skill>.test.js expect
+    const env = {
+      PRODUCTBOARD_API_URL: `${baseUrl}/productboard`,
+      DOVETAIL_API_URL: `${baseUrl}/dovetail/api/v1`,
+      CONFLUENCE_BASE_URL: baseUrl,
+      ATLASSIAN_SITE_URL: baseUrl
+    };
+    const productboard = new HttpTransport({ headers: { Authorization: 'Bearer test-token-12345', 'X-Version': '1' }, maxRetries: 0, logLevel: 'off' });
+    const atlassian = new HttpTransport({
+      headers: { Authorization: `Basic ${Buffer.from('pm@example.com:atl-token').toString('base64')}` },
+      maxRetries: 0,
+      logLevel: 'off'
+    });
+
+    assert.strictEqual((await productboard.request(`${env.PRODUCTBOARD_API_URL}/features`)).data.length, 3);
+    assert.strictEqual((await productboard.request(`${env.PRODUCTBOARD_API_URL}/features/feat-1001`)).data.id, 'feat-1001');
+    assert.strictEqual((await productboard.request(`${env.PRODUCTBOARD_API_URL}/notes/note-2001`)).data.id, 'note-2001');
+
+    for (const endpoint of ['/projects', '/projects/proj-301', '/insights', '/highlights', '/tags']) {
+      assert.ok((await transport.request(`${env.DOVETAIL_API_URL}${endpoint}`)).data, endpoint);
+    }
+
+    const search = cql => atlassian.request(`${env.CONFLUENCE_BASE_URL}/wiki/rest/api/search`, { params: { cql, limit: 25 } });
+    assert.strictEqual((await search('type=page AND title~"PRD"')).results.length, 2);
+    assert.strictEqual((await search('type=page AND title="PRD: Bulk export"')).results.length, 1);
+    assert.strictEqual((await search('space=PROJ AND type=page AND title~"Test"')).results.length, 0);
+    assert.strictEqual((await search('type=page AND title~"Test & \\"Special\\" Characters"')).results.length, 0);
+    assert.strictEqual((await atlassian.request(`${env.CONFLUENCE_BASE_URL}/wiki/api/v2/spaces`)).results.length, 2);
+    assert.ok((await atlassian.request(`${env.CONFLUENCE_BASE_URL}/wiki/api/v2/pages`)).results.length > 0);
+
+    const issues = await atlassian.request(`${env.ATLASSIAN_SITE_URL}/rest/api/3/search/jql`, { params: { jql: 'project=AI', fields: 'key,summary' } });
+    assert.ok(issues.issues.every(issue => issue.key.startsWith('AI-')));
+  });
+
+  it('should reject query syntax it does not emulate', async () => {
+    await assert.rejects(transport.request(`${baseUrl}/rest/api/3/search`, { params: { jql: 'project = AI OR project = WEB' } }),
+      error => error instanceof ValidationError && /only AND/.test(error.body.errorMessages[0]));
+    assert.deepStrictEqual(parseClauses('status IN ("To Do", Done)', 'JQL'), [{ field: 'status', op: 'IN', values: ['To Do', 'Done'] }]);
+  });
+
+  it('should discard writes on reset', async () => {
+    await transport.request(`${baseUrl}/productboard/notes`, { method: 'POST', body: { title: 'Demo', content: 'Scratch note' } });
+    assert.strictEqual((await transport.request(`${baseUrl}/productboard/notes`)).totalResults, 4);
+    server.reset();
+    assert.strictEqual((await transport.request(`${baseUrl}/productboard/notes`)).totalResults, 3);
+  });
+});
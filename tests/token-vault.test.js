@@ -0,0 +1,175 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const TokenVault = require('../utils/token-vault');
+const PIIFilter = require('../utils/pii-filter');
+
+describe('TokenVault', () => {
+  let vaultDir;
+  let vaultPath;
+
+  beforeEach(() => {
+    vaultDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-vault-'));
+    vaultPath = path.join(vaultDir, 'vault.enc');
+  });
+
+  afterEach(() => {
+    fs.rmSync(vaultDir, { recursive: true, force: true });
+  });
+
+  describe('Constructor', () => {
+    it('should throw if no key is configured', () => {
+      const originalKey = process.env.PII_VAULT_KEY;
+      const originalKeyFile = process.env.PII_VAULT_KEY_FILE;
+      delete process.env.PII_VAULT_KEY;
+      delete process.env.PII_VAULT_KEY_FILE;
+      try {
+        assert.throws(() => new TokenVault({ vaultPath }), /PII vault key not found/);
+      } finally {
+        if (originalKey !== undefined) process.env.PII_VAULT_KEY = originalKey;
+        if (originalKeyFile !== undefined) process.env.PII_VAULT_KEY_FILE = originalKeyFile;
+      }
+    });
+
+    it('should read the passphrase from a key file', () => {
+      const keyFile = path.join(vaultDir, 'vault.key');
+      fs.writeFileSync(keyFile, 'from-file\n');
+      const vault = new TokenVault({ vaultPath, keyFile });
+      assert.strictEqual(vault.passphrase, 'from-file');
+    });
+  });
+
+  describe('Encryption', () => {
+    it('should round-trip entries through the encrypted file', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      vault.record('[EMAIL_1]', 'alice@test.com');
+      vault.save();
+
+      const reopened = new TokenVault({ vaultPath, passphrase: 'secret' });
+      assert.strictEqual(reopened.lookup('[EMAIL_1]'), 'alice@test.com');
+    });
+
+    it('should not store originals in plain text', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      vault.record('Participant 1', 'Sarah Jensen');
+      vault.save();
+
+      const contents = fs.readFileSync(vaultPath, 'utf8');
+      assert.ok(!contents.includes('Sarah Jensen'));
+      assert.ok(!contents.includes('Participant 1'));
+    });
+
+    it('should refuse to open with the wrong key', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      vault.record('[EMAIL_1]', 'alice@test.com');
+      vault.save();
+
+      assert.throws(() => new TokenVault({ vaultPath, passphrase: 'wrong' }), /Could not decrypt PII vault/);
+    });
+  });
+
+  describe('rehydrate', () => {
+    it('should replace known tokens with original values', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      vault.record('[EMAIL_3]', 'alice@test.com');
+      vault.record('Company 2', 'Globex');
+
+      const text = 'Contact [EMAIL_3] at Company 2 about renewal';
+      assert.strictEqual(vault.rehydrate(text), 'Contact alice@test.com at Globex about renewal');
+    });
+
+    it('should not replace a token inside a longer one', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      vault.record('Participant 1', 'Sarah Jensen');
+
+      assert.strictEqual(vault.rehydrate('Participant 12 and Participant 1'), 'Participant 12 and Sarah Jensen');
+    });
+
+    it('should leave ambiguous tokens untouched', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      vault.record('Participant 1', 'Sarah Jensen');
+      vault.record('Participant 1', 'Bob Smith');
+
+      assert.strictEqual(vault.rehydrate('Quote from Participant 1'), 'Quote from Participant 1');
+      assert.deepStrictEqual(vault.ambiguousTokens('Quote from Participant 1'), ['Participant 1']);
+    });
+
+    it('should treat spellings of one value as the same and keep the first', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      vault.record('[EMAIL_1]', 'Bob@Acme.com');
+      vault.record('[EMAIL_1]', 'bob@acme.com');
+      vault.record('Participant 1', 'Sarah  Jensen');
+      vault.record('Participant 1', 'sarah jensen');
+
+      assert.deepStrictEqual(vault.getStats(), { entries: 2, conflicts: 0 });
+      assert.strictEqual(vault.rehydrate('[EMAIL_1] / Participant 1'), 'Bob@Acme.com / Sarah  Jensen');
+    });
+  });
+
+  describe('Privacy', () => {
+    it('should never expose the mapping when serialized or inspected', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      vault.record('[EMAIL_1]', 'alice@test.com');
+
+      assert.ok(!JSON.stringify(vault).includes('alice@test.com'));
+      assert.ok(!util.inspect(vault).includes('alice@test.com'));
+      assert.deepStrictEqual(vault.getStats(), { entries: 1, conflicts: 0 });
+    });
+  });
+
+  describe('PIIFilter integration', () => {
+    it('should record tokens produced by the filter', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      const filter = new PIIFilter({ vault, persist: false });
+
+      const filtered = filter.filterObject({ name: 'Sarah Jensen', notes: 'Email sarah@globex.com' });
+      const draft = `${filtered.name} asked us to reply to ${filtered.notes.replace('Email ', '')}`;
+
+      assert.strictEqual(filter.rehydrate(draft), 'Sarah Jensen asked us to reply to sarah@globex.com');
+    });
+
+    it('should keep numbering consistent with the vault across runs', () => {
+      const first = new PIIFilter({ vault: new TokenVault({ vaultPath, passphrase: 'secret' }) });
+      first.anonymizeName('Bob Smith');
+      first.anonymizeName('Sarah Jensen');
+      first.save();
+
+      const second = new PIIFilter({ vault: new TokenVault({ vaultPath, passphrase: 'secret' }), persist: false });
+      assert.strictEqual(second.anonymizeName('New Person'), 'Participant 3');
+      assert.strictEqual(second.anonymizeName('Sarah Jensen'), 'Participant 2');
+    });
+
+    it('should not flag a conflict for the same person spelled differently', () => {
+      const vault = new TokenVault({ vaultPath, passphrase: 'secret' });
+      const filter = new PIIFilter({ vault, persist: false });
+
+      assert.strictEqual(filter.filterText('Mail Bob@Acme.com'), 'Mail [EMAIL_1]');
+      assert.strictEqual(filter.filterText('Mail bob@acme.com'), 'Mail [EMAIL_1]');
+      assert.deepStrictEqual(vault.getStats(), { entries: 1, conflicts: 0 });
+      assert.strictEqual(filter.rehydrate('Reply to [EMAIL_1]'), 'Reply to Bob@Acme.com');
+    });
+
+    it('should rehydrate a draft for write-back in a later session', () => {
+      // Fetch: filter what the API returned and save the vault
+      const fetched = new PIIFilter({ vault: new TokenVault({ vaultPath, passphrase: 'secret' }) });
+      const page = fetched.filterObject({
+        title: 'Interview notes',
+        body: '<p>Sarah Jensen (sarah@globex.com) wants SSO.</p>'
+      });
+      fetched.save();
+      assert.ok(!JSON.stringify(page).includes('sarah@globex.com'));
+
+      // Write-back: a new process turns the drafted update back into real values
+      const writer = new PIIFilter({ vault: new TokenVault({ vaultPath, passphrase: 'secret' }), persist: false });
+      const draft = page.body.replace('wants SSO', 'confirmed SSO is a blocker');
+      assert.strictEqual(writer.rehydrate(draft), '<p>Sarah Jensen (sarah@globex.com) confirmed SSO is a blocker.</p>');
+    });
+
+    it('should throw when rehydrating without a vault', () => {
+      const filter = new PIIFilter();
+      assert.throws(() => filter.rehydrate('Participant 1'), /PII vault not enabled/);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Company Rules
+ * Loads the company rule set (pii-company-rules.json) used to label and
+ * generalize company names.
+ *
+ * - sizes: size segment -> token label ("enterprise" -> "Enterprise Client")
+ * - keywords: name fragments that imply a size when a company isn't in the table
+ * - companies: local lookup table of known accounts, { "Globex Corp": { "size": "enterprise", "industry": "Manufacturing" } }
+ *
+ * The lookup table holds real account names, so keep a filled-in copy local
+ * (PII_COMPANY_RULES_FILE) rather than committing it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_COMPANY_RULES_FILE = path.join(__dirname, '..', 'pii-company-rules.json');
+const RULES_VERSION = 1;
+const DEFAULT_LABEL = 'Company';
+const UNSEGMENTED_LABEL = 'Unsegmented Client';
+
+/**
+ * Lookup key for a company name: case, punctuation and spacing don't matter
+ */
+function normalizeCompany(name) {
+  return String(name).normalize('NFKC').toLowerCase().replace(/[.,]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collect every problem with a rule set (empty array when valid)
+ */
+function validateCompanyRules(rules) {
+  const errors = [];
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['company rules must be a JSON object'];
+  }
+  if (rules.version !== RULES_VERSION) {
+    errors.push(`version must be ${RULES_VERSION}`);
+  }
+
+  const sizes = rules.sizes && typeof rules.sizes === 'object' ? rules.sizes : null;
+  if (!sizes) {
+    errors.push('sizes is required');
+  } else {
+    Object.entries(sizes).forEach(([size, label]) => {
+      if (typeof label !== 'string' || !label.trim()) errors.push(`sizes.${size} must be a label string`);
+    });
+  }
+  const knownSize = (size) => sizes && Object.prototype.hasOwnProperty.call(sizes, size);
+
+  if (!Array.isArray(rules.keywords)) {
+    errors.push('keywords must be an array');
+  } else {
+    rules.keywords.forEach((rule, index) => {
+      const at = `keywords[${index}]`;
+      if (!rule || !Array.isArray(rule.contains) || rule.contains.length === 0 ||
+          !rule.contains.every(word => typeof word === 'string' && word)) {
+        errors.push(`${at}.contains must be a non-empty array of strings`);
+      }
+      if (!rule || !knownSize(rule.size)) {
+        errors.push(`${at}.size must be one of the sizes`);
+      }
+    });
+  }
+
+  if (!rules.companies || typeof rules.companies !== 'object' || Array.isArray(rules.companies)) {
+    errors.push('companies must be an object');
+  } else {
+    Object.entries(rules.companies).forEach(([name, entry]) => {
+      const at = `companies["${name}"]`;
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (entry.size !== undefined && !knownSize(entry.size)) {
+        errors.push(`${at}.size must be one of the sizes`);
+      }
+      if (entry.industry !== undefined && (typeof entry.industry !== 'string' || !entry.industry.trim())) {
+        errors.push(`${at}.industry must be a non-empty string`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and compile a rule set for lookups
+ */
+function compileCompanyRules(rules, origin = 'company rules') {
+  const errors = validateCompanyRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${origin}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const companies = new Map();
+  Object.entries(rules.companies).forEach(([name, entry]) => companies.set(normalizeCompany(name), entry));
+
+  return {
+    sizes: { ...rules.sizes },
+    keywords: rules.keywords.map(rule => ({ contains: rule.contains.map(word => word.toLowerCase()), size: rule.size })),
+    companies,
+    labels: [...new Set([...Object.values(rules.sizes), DEFAULT_LABEL, UNSEGMENTED_LABEL])]
+  };
+}
+
+/**
+ * Load, validate and compile a rule set file. Throws when missing or invalid.
+ */
+function loadCompanyRules(file = process.env.PII_COMPANY_RULES_FILE || DEFAULT_COMPANY_RULES_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Company rules not found: ${file}. Restore pii-company-rules.json or set PII_COMPANY_RULES_FILE`);
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid company rules ${file}: ${e.message}`);
+  }
+
+  return compileCompanyRules(rules, `company rules ${file}`);
+}
+
+/**
+ * Size and industry of a company: lookup table first, then name keywords
+ */
+function classifyCompany(compiled, name) {
+  const entry = compiled.companies.get(normalizeCompany(name)) || {};
+  let size = entry.size || null;
+
+  if (!size) {
+    const lower = String(name).toLowerCase();
+    const rule = compiled.keywords.find(candidate => candidate.contains.some(word => lower.includes(word)));
+    size = rule ? rule.size : null;
+  }
+
+  return { size, industry: entry.industry || null };
+}
+
+/**
+ * Token label for a company, e.g. "Enterprise Client" (falls back to "Company")
+ */
+function companyLabel(compiled, name) {
+  const { size } = classifyCompany(compiled, name);
+  return size ? compiled.sizes[size] : DEFAULT_LABEL;
+}
+
+/**
+ * Number-free bucket for a company: its size label or "<Industry> Client"
+ */
+function companySegment(compiled, name, by) {
+  const { size, industry } = classifyCompany(compiled, name);
+  if (by === 'industry') {
+    return industry ? `${industry} Client` : UNSEGMENTED_LABEL;
+  }
+  return size ? compiled.sizes[size] : UNSEGMENTED_LABEL;
+}
+
+module.exports = {
+  DEFAULT_COMPANY_RULES_FILE,
+  loadCompanyRules,
+  compileCompanyRules,
+  validateCompanyRules,
+  classifyCompany,
+  companyLabel,
+  companySegment
+};
@@ -0,0 +1,258 @@
+/**
+ * Credentials
+ * The one place clients get their URLs, tokens and owner aliases from, instead of
+ * each reading process.env in its constructor. Values come from the environment
+ * (.env plus process.env), or with --profile / PM_PROFILE from a named section of
+ * the profiles file (.env.profiles in the project root, or PM_PROFILES_FILE):
+ *
+ *   [sandbox]
+ *   ATLASSIAN_API_TOKEN=...
+ *   ATLASSIAN_SITE_URL=https://example-sandbox.atlassian.net
+ *   ATLASSIAN_USER_EMAIL=pm@example.com
+ *   PII_POLICY_FILE=config/pii-policy.sandbox.json
+ *
+ * Section bodies use .env syntax. A profile that sets any variable of a credential
+ * group replaces that whole group, so a sandbox URL is never paired with a
+ * production token from .env; groups it doesn't mention fall back to .env. Other
+ * settings in a profile (PII_*, HTTP_*, CACHE_*) override .env one by one.
+ *
+ * Tokens saved with `pm secrets set` (secret-store.js) take precedence over .env,
+ * and profile-scoped ones over the profile section, whenever the store is unlocked.
+ * pm runs skill scripts with scriptEnv(), so clients that still read process.env
+ * see the same values.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { openSecretStore } = require('./secret-store');
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, '..', '.env.profiles');
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Variables replaced together when a profile sets any of them
+const CREDENTIAL_GROUPS = [
+  ['PRODUCTBOARD_'],
+  ['DOVETAIL_'],
+  ['CONFLUENCE_', 'ATLASSIAN_'],
+  ['OWNER_EMAIL_']
+];
+
+// Per service: credential -> variables in order of preference
+const SERVICES = {
+  productboard: {
+    label: 'Productboard',
+    token: ['PRODUCTBOARD_API_TOKEN'],
+    baseUrl: ['PRODUCTBOARD_API_URL'],
+    defaultUrl: 'https://api.productboard.com'
+  },
+  dovetail: {
+    label: 'Dovetail',
+    token: ['DOVETAIL_API_TOKEN'],
+    baseUrl: ['DOVETAIL_API_URL'],
+    defaultUrl: 'https://dovetail.com/api/v1'
+  },
+  confluence: {
+    label: 'Confluence',
+    token: ['CONFLUENCE_API_TOKEN', 'ATLASSIAN_API_TOKEN'],
+    baseUrl: ['CONFLUENCE_BASE_URL', 'ATLASSIAN_SITE_URL'],
+    email: ['CONFLUENCE_USER_EMAIL', 'ATLASSIAN_USER_EMAIL']
+  },
+  jira: {
+    label: 'Jira',
+    token: ['ATLASSIAN_API_TOKEN'],
+    baseUrl: ['ATLASSIAN_SITE_URL'],
+    email: ['ATLASSIAN_USER_EMAIL']
+  }
+};
+
+/**
+ * Parse a profiles file: { name: { VAR: value } }. Throws on malformed sections.
+ */
+function parseProfiles(text, source = 'profiles file') {
+  const profiles = {};
+  let current = null;
+  let body = [];
+
+  const finish = () => {
+    if (current) profiles[current] = dotenv.parse(body.join('\n'));
+  };
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    const section = trimmed.match(/^\[(.*)\]$/);
+    if (section) {
+      finish();
+      const name = section[1].trim();
+      if (!PROFILE_NAME_PATTERN.test(name)) throw new Error(`${source} line ${index + 1}: invalid profile name "${name}"`);
+      if (profiles[name]) throw new Error(`${source} line ${index + 1}: profile "${name}" is defined twice`);
+      current = name;
+      body = [];
+    } else if (current) {
+      body.push(line);
+    } else if (trimmed && !trimmed.startsWith('#')) {
+      throw new Error(`${source} line ${index + 1}: setting outside a [profile] section`);
+    }
+  });
+  finish();
+  return profiles;
+}
+
+/**
+ * Profiles from a file, or {} when the file doesn't exist
+ */
+function loadProfiles(file = process.env.PM_PROFILES_FILE || DEFAULT_PROFILES_FILE) {
+  if (!fs.existsSync(file)) return {};
+  return parseProfiles(fs.readFileSync(file, 'utf8'), file);
+}
+
+function groupOf(name) {
+  return CREDENTIAL_GROUPS.find(prefixes => prefixes.some(prefix => name.startsWith(prefix))) || null;
+}
+
+/**
+ * Effective environment for a profile. options: { profile, env, file, secrets }
+ * (profile defaults to env.PM_PROFILE; none means the environment plus stored
+ * secrets; secrets is a SecretStore, or null to skip the store). Throws when the
+ * profile isn't defined.
+ */
+function resolveEnv(options = {}) {
+  const env = options.env || process.env;
+  const store = options.secrets !== undefined ? options.secrets : openSecretStore(env);
+  const base = { ...env, ...(store ? store.values() : {}) };
+  const profile = options.profile !== undefined ? options.profile : env.PM_PROFILE;
+  if (!profile) return base;
+
+  const file = options.file || env.PM_PROFILES_FILE || DEFAULT_PROFILES_FILE;
+  const profiles = loadProfiles(file);
+  if (!profiles[profile] && !(store && store.profiles().includes(profile))) {
+    const available = [...new Set(Object.keys(profiles).concat(store ? store.profiles() : []))];
+    throw new Error(available.length > 0
+      ? `Unknown profile "${profile}" in ${file} (available: ${available.join(', ')})`
+      : `Profile "${profile}" not found: no profiles in ${file}`);
+  }
+
+  const values = { ...(profiles[profile] || {}), ...(store ? store.values(profile) : {}) };
+  const replaced = new Set(Object.keys(values).map(groupOf).filter(Boolean));
+  const result = {};
+  Object.entries(base).forEach(([name, value]) => {
+    if (!replaced.has(groupOf(name))) result[name] = value;
+  });
+  return { ...result, ...values, PM_PROFILE: profile };
+}
+
+/**
+ * Environment for a skill script run under a profile: resolveEnv() with the
+ * credentials the profile replaced set to '', so the script's own dotenv call
+ * can't load the production values back from .env. options as for resolveEnv.
+ */
+function scriptEnv(options = {}) {
+  const env = options.env || process.env;
+  const resolved = resolveEnv(options);
+  if (!resolved.PM_PROFILE) return resolved;
+
+  Object.keys(env).forEach(name => {
+    if (groupOf(name) && !(name in resolved)) resolved[name] = '';
+  });
+  return resolved;
+}
+
+/**
+ * Owner aliases from OWNER_EMAIL_* variables: { alice: 'alice@example.com' }
+ */
+function ownerAliases(env) {
+  const aliases = {};
+  Object.keys(env).filter(name => name.startsWith('OWNER_EMAIL_') && env[name]).forEach(name => {
+    aliases[name.slice('OWNER_EMAIL_'.length).toLowerCase()] = env[name];
+  });
+  return aliases;
+}
+
+/**
+ * Credentials for a service: { service, profile, token, baseUrl, email, ownerAliases }.
+ * options as for resolveEnv. Throws naming the missing variables, never their values.
+ */
+function credentialsFor(service, options = {}) {
+  const spec = SERVICES[service];
+  if (!spec) throw new Error(`Unknown service "${service}" (expected ${Object.keys(SERVICES).join(', ')})`);
+
+  const env = resolveEnv(options);
+  const lookup = names => (names || []).map(name => env[name]).find(Boolean);
+  const missing = ['token', 'baseUrl', 'email']
+    .filter(key => spec[key] && !lookup(spec[key]) && !(key === 'baseUrl' && spec.defaultUrl))
+    .map(key => spec[key].join(' or '));
+  if (missing.length > 0) {
+    const where = env.PM_PROFILE
+      ? `\`pm secrets set --profile ${env.PM_PROFILE} <NAME>\` or profile "${env.PM_PROFILE}"`
+      : '`pm secrets set <NAME>` or .env';
+    throw new Error(`${spec.label} credentials not found: set ${missing.join(', ')} with ${where}`);
+  }
+
+  return {
+    service,
+    profile: env.PM_PROFILE || null,
+    token: lookup(spec.token),
+    baseUrl: (lookup(spec.baseUrl) || spec.defaultUrl).replace(/\/+$/, ''),
+    email: lookup(spec.email) || null,
+    ownerAliases: ownerAliases(env)
+  };
+}
+
+/**
+ * Copy the selected profile's settings into the environment so PIIFilter, the
+ * policy loader and the transport pick them up. Credentials stay with
+ * credentialsFor(). Returns the profile name, or null when none is selected.
+ */
+function applyProfile(options = {}) {
+  const target = options.env || process.env;
+  const resolved = resolveEnv({ ...options, env: target });
+  if (!resolved.PM_PROFILE) return null;
+
+  Object.entries(resolved).forEach(([name, value]) => {
+    if (!groupOf(name)) target[name] = value;
+  });
+  return resolved.PM_PROFILE;
+}
+
+module.exports = {
+  DEFAULT_PROFILES_FILE,
+  SERVICES,
+  parseProfiles,
+  loadProfiles,
+  resolveEnv,
+  scriptEnv,
+  ownerAliases,
+  credentialsFor,
+  applyProfile
+};
+
+if (require.main === module) {
+  const [command, name] = process.argv.slice(2);
+
+  try {
+    if (command === 'list') {
+      const profiles = loadProfiles();
+      const names = Object.keys(profiles);
+      if (names.length === 0) console.log(`No profiles in ${process.env.PM_PROFILES_FILE || DEFAULT_PROFILES_FILE}`);
+      names.forEach(profile => console.log(`${profile}${profile === process.env.PM_PROFILE ? ' (selected)' : ''}: ${Object.keys(profiles[profile]).sort().join(', ')}`));
+    } else if (command === 'show') {
+      // Which service is configured for a profile; values are never printed
+      Object.keys(SERVICES).forEach(service => {
+        try {
+          const credentials = credentialsFor(service, { profile: name });
+          console.log(`✅ ${SERVICES[service].label}: ${new URL(credentials.baseUrl).host}`);
+        } catch (e) {
+          console.log(`➖ ${e.message}`);
+        }
+      });
+    } else {
+      console.log('Usage: node utils/credentials.js list | show [profile]');
+      process.exit(1);
+    }
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,424 @@
+/**
+ * Doctor
+ * Checks the environment (.env plus process.env, with the selected credential
+ * profile applied) against config/env-schema.json
+ * before a misconfiguration turns into a runtime error: missing or placeholder
+ * credentials, mixed CONFLUENCE_* and ATLASSIAN_* prefixes, malformed URLs and owner
+ * aliases, invalid values, and privacy settings that let PII through.
+ *
+ * With --online each configured service is called once (a cheap authenticated
+ * read) to check reachability and auth. Pointed at the stand-in server this works
+ * offline. Token values are never printed, only which variable they came from.
+ *
+ * Exit codes (pm doctor): 0 no errors (warnings allowed), 1 errors
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { HttpTransport, AuthError, NotFoundError, TimeoutError, NetworkError } = require('./http-transport');
+const { parseRegions } = require('./phone-parser');
+const { loadPolicy, DEFAULT_POLICY_FILE } = require('./pii-policy');
+const { DEFAULT_PROFILES_FILE, resolveEnv, credentialsFor } = require('./credentials');
+const { DEFAULT_SECRETS_FILE, openSecretStore } = require('./secret-store');
+
+const DEFAULT_SCHEMA_FILE = path.join(__dirname, '..', 'config', 'env-schema.json');
+const DEFAULT_ENV_FILE = path.join(process.cwd(), '.env');
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Values copied from .env.example or the README without being filled in
+const PLACEHOLDER_PATTERN = /^(?:your[_@-]|.*_here$|.*x{6,}|changeme$|todo$)/i;
+// Prefixes owned by this toolkit; unknown names under them are likely typos
+const KNOWN_PREFIXES = ['PRODUCTBOARD_', 'DOVETAIL_', 'CONFLUENCE_', 'ATLASSIAN_', 'PII_', 'HTTP_', 'CACHE_', 'PM_'];
+// Standard variables that share a prefix
+const FOREIGN_NAMES = ['HTTP_PROXY'];
+
+function loadSchema(file = DEFAULT_SCHEMA_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Effective environment: process.env wins over .env, as with dotenv.config()
+ */
+function loadEnv(envFile = DEFAULT_ENV_FILE, processEnv = process.env) {
+  const fromFile = fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)) : null;
+  return { env: { ...(fromFile || {}), ...processEnv }, envFile, envFileFound: Boolean(fromFile) };
+}
+
+/**
+ * Problem with one value for its schema type, or null
+ */
+function checkValue(name, value, spec) {
+  switch (spec.type) {
+    case 'token':
+      if (/\s/.test(value)) return `${name} contains whitespace`;
+      if (PLACEHOLDER_PATTERN.test(value)) return `${name} is still the example placeholder`;
+      return null;
+    case 'url': {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (e) {
+        return `${name} is not a valid URL`;
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) return `${name} must be an http(s) URL`;
+      if (url.username || url.password) return `${name} must not contain credentials`;
+      return null;
+    }
+    case 'email':
+      if (!EMAIL_PATTERN.test(value)) return `${name} is not a valid email address`;
+      if (PLACEHOLDER_PATTERN.test(value)) return `${name} is still the example placeholder`;
+      return null;
+    case 'boolean':
+      return ['true', 'false'].includes(value) ? null : `${name} must be true or false, got "${value}"`;
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (value.trim() === '' || Number.isNaN(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+        return `${name} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}, got "${value}"`;
+      }
+      if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+        return `${name} must be between ${spec.min !== undefined ? spec.min : '-∞'} and ${spec.max !== undefined ? spec.max : '∞'}, got ${value}`;
+      }
+      return null;
+    }
+    case 'enum':
+      return spec.values.includes(value) ? null : `${name} must be one of ${spec.values.join(', ')}, got "${value}"`;
+    case 'regions':
+      try {
+        parseRegions(value);
+        return null;
+      } catch (e) {
+        return `${name}: ${e.message}`;
+      }
+    case 'file':
+      return fs.existsSync(value) ? null : `${name} points to a missing file (${value})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Variable providing a requirement: a name, or the first set name of an [primary, fallback] pair
+ */
+function resolveRequirement(requirement, env) {
+  const names = [].concat(requirement);
+  return names.find(name => env[name]) || null;
+}
+
+/**
+ * Offline checks. Returns findings: { level: 'ok'|'info'|'warning'|'error', group, message }
+ */
+function checkConfig(env, options = {}) {
+  const schema = options.schema || loadSchema();
+  const findings = [];
+  // Shared ATLASSIAN_* values are checked for Confluence and Jira; report each problem once
+  const add = (level, group, message) => {
+    if (!findings.some(finding => finding.level === level && finding.message === message)) findings.push({ level, group, message });
+  };
+
+  if (options.envFileFound === false) {
+    add('warning', 'env', `No .env file at ${options.envFile}; using the process environment only`);
+  }
+
+  // Services: configured when any of their variables is set, then all requirements must be met
+  Object.entries(schema.services).forEach(([service, spec]) => {
+    const names = [...new Set(spec.required.flat().concat(Object.keys(spec.vars)))];
+    if (!names.some(name => env[name])) {
+      add('info', service, `${spec.label} not configured`);
+      return;
+    }
+
+    const missing = spec.required.filter(requirement => !resolveRequirement(requirement, env));
+    missing.forEach(requirement => add('error', service, `${spec.label}: ${[].concat(requirement).join(' or ')} is not set`));
+
+    const problems = [];
+    spec.required.flat().forEach(name => {
+      const varSpec = spec.vars[name] || findVarSpec(schema, name);
+      const problem = env[name] && varSpec ? checkValue(name, env[name], varSpec) : null;
+      if (problem) problems.push(problem);
+    });
+    Object.entries(spec.vars).forEach(([name, varSpec]) => {
+      if (!spec.required.flat().includes(name) && env[name]) {
+        const problem = checkValue(name, env[name], varSpec);
+        if (problem) problems.push(problem);
+      }
+    });
+    problems.forEach(problem => add('error', service, problem));
+
+    if (missing.length === 0 && problems.length === 0) add('ok', service, `${spec.label} credentials set`);
+  });
+
+  checkAtlassianPrefixes(env, add);
+
+  Object.entries(schema.settings).forEach(([name, spec]) => {
+    if (env[name] === undefined || env[name] === '') return;
+    const problem = checkValue(name, env[name], spec);
+    if (problem) add('error', 'settings', problem);
+  });
+
+  Object.keys(env).filter(name => name.startsWith('OWNER_EMAIL_')).sort().forEach(name => {
+    const problem = checkValue(name, env[name], schema.aliases.OWNER_EMAIL_);
+    if (problem) add('error', 'aliases', `${problem}; --owner ${name.slice('OWNER_EMAIL_'.length).toLowerCase()} will not match`);
+  });
+
+  checkPrivacy(env, schema, add, options);
+  checkUnknown(env, schema, add);
+  return findings;
+}
+
+function findVarSpec(schema, name) {
+  const service = Object.values(schema.services).find(spec => spec.vars[name]);
+  return service ? service.vars[name] : null;
+}
+
+/**
+ * Confluence reads CONFLUENCE_* first and falls back to ATLASSIAN_*; mixing them
+ * (or setting both differently) usually means two sites or accounts are combined
+ */
+function checkAtlassianPrefixes(env, add) {
+  const pairs = [['CONFLUENCE_API_TOKEN', 'ATLASSIAN_API_TOKEN'], ['CONFLUENCE_BASE_URL', 'ATLASSIAN_SITE_URL'], ['CONFLUENCE_USER_EMAIL', 'ATLASSIAN_USER_EMAIL']];
+  const used = pairs.map(pair => resolveRequirement(pair, env)).filter(Boolean);
+  const prefixes = new Set(used.map(name => name.split('_')[0]));
+
+  if (prefixes.size > 1) {
+    add('warning', 'confluence', `Confluence mixes prefixes (${used.join(', ')}); use all CONFLUENCE_* or all ATLASSIAN_*`);
+  }
+  pairs.forEach(([primary, fallback]) => {
+    if (env[primary] && env[fallback] && env[primary] !== env[fallback]) {
+      add('warning', 'confluence', `${primary} and ${fallback} differ; Confluence uses ${primary}, Jira uses ${fallback}`);
+    }
+  });
+}
+
+/**
+ * Settings that let PII or secrets reach the LLM, and privacy features missing their keys
+ */
+function checkPrivacy(env, schema, add, options) {
+  Object.entries(schema.settings).forEach(([name, spec]) => {
+    if (spec.privacy === undefined || env[name] !== spec.privacy) return;
+    add('warning', 'privacy', name === 'PII_FILTER_ENABLED'
+      ? 'PII_FILTER_ENABLED=false: every command sends raw names, emails and phone numbers to the LLM'
+      : `${name}=${spec.privacy} weakens PII filtering`);
+  });
+
+  if (env.PII_TOKEN_MODE === 'hmac' && !env.PII_PSEUDONYM_KEY) {
+    add('error', 'privacy', 'PII_TOKEN_MODE=hmac requires PII_PSEUDONYM_KEY');
+  }
+  if (env.PII_PSEUDONYM_KEY && env.PII_PSEUDONYM_KEY.length < 16) {
+    add('warning', 'privacy', 'PII_PSEUDONYM_KEY is shorter than 16 characters; tokens could be brute-forced');
+  }
+  if (env.PII_VAULT_ENABLED === 'true' && !env.PII_VAULT_KEY && !env.PII_VAULT_KEY_FILE) {
+    add('error', 'privacy', 'PII_VAULT_ENABLED=true requires PII_VAULT_KEY or PII_VAULT_KEY_FILE');
+  }
+  if (env.PII_VAULT_KEY) {
+    add('warning', 'privacy', 'PII_VAULT_KEY is stored in plain text; prefer PII_VAULT_KEY_FILE outside the project');
+  }
+
+  try {
+    loadPolicy(env.PII_POLICY_FILE || options.policyFile || DEFAULT_POLICY_FILE);
+  } catch (e) {
+    add('error', 'privacy', e.message);
+  }
+}
+
+/**
+ * Names under our prefixes that nothing reads, with a suggestion for likely typos
+ */
+function checkUnknown(env, schema, add) {
+  const known = new Set(Object.keys(schema.settings).concat(Object.values(schema.services).flatMap(spec =>
+    spec.required.flat().concat(Object.keys(spec.vars)))));
+
+  Object.keys(env).sort().forEach(name => {
+    if (known.has(name) || FOREIGN_NAMES.includes(name) || !KNOWN_PREFIXES.some(prefix => name.startsWith(prefix))) return;
+    const suggestion = [...known].find(candidate => editDistance(candidate, name) <= 2);
+    add('warning', 'settings', `${name} is not a known setting${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+  });
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * One cheap authenticated read per configured service
+ */
+function onlineProbes(env) {
+  const basic = (email, token) => `Basic ${Buffer.from(`${email}:${token}`).toString('base64')}`;
+  const configured = service => {
+    try {
+      // env is already resolved for the profile and the secret store
+      return credentialsFor(service, { env, profile: null, secrets: null });
+    } catch (e) {
+      return null;
+    }
+  };
+  const probes = [];
+
+  const productboard = configured('productboard');
+  if (productboard) {
+    probes.push({
+      group: 'productboard',
+      label: 'Productboard',
+      url: `${productboard.baseUrl}/features`,
+      params: { pageLimit: 1 },
+      headers: { Authorization: `Bearer ${productboard.token}`, 'X-Version': '1' }
+    });
+  }
+  const dovetail = configured('dovetail');
+  if (dovetail) {
+    probes.push({
+      group: 'dovetail',
+      label: 'Dovetail',
+      url: `${dovetail.baseUrl}/projects`,
+      params: { 'page[limit]': 1 },
+      headers: { Authorization: `Bearer ${dovetail.token}` }
+    });
+  }
+  const confluence = configured('confluence');
+  if (confluence) {
+    probes.push({
+      group: 'confluence',
+      label: 'Confluence',
+      url: `${confluence.baseUrl}/wiki/api/v2/spaces`,
+      params: { limit: 1 },
+      headers: { Authorization: basic(confluence.email, confluence.token) }
+    });
+  }
+  const jira = configured('jira');
+  if (jira) {
+    probes.push({
+      group: 'jira',
+      label: 'Jira',
+      url: `${jira.baseUrl}/rest/api/3/myself`,
+      headers: { Authorization: basic(jira.email, jira.token) }
+    });
+  }
+  return probes;
+}
+
+/**
+ * Online checks. Messages carry status and host only, never credentials or bodies.
+ */
+async function checkOnline(env, options = {}) {
+  const transport = options.transport || new HttpTransport({ name: 'doctor', timeoutMs: options.timeoutMs || 10000, maxRetries: 0, logLevel: 'off' });
+  const findings = [];
+
+  for (const probe of onlineProbes(env)) {
+    const host = new URL(probe.url).host;
+    try {
+      await transport.request(probe.url, { params: probe.params, headers: probe.headers });
+      findings.push({ level: 'ok', group: probe.group, message: `${probe.label} reachable and authenticated (${host})` });
+    } catch (e) {
+      let message;
+      if (e instanceof AuthError) message = `${probe.label} rejected the credentials (${e.status}) at ${host}`;
+      else if (e instanceof NotFoundError) message = `${probe.label} API not found at ${host}; check the URL`;
+      else if (e instanceof TimeoutError) message = `${probe.label} did not respond in time (${host})`;
+      else if (e instanceof NetworkError) message = `${probe.label} unreachable (${host})`;
+      else message = `${probe.label} check failed${e.status ? ` (${e.status})` : ''} at ${host}`;
+      findings.push({ level: 'error', group: probe.group, message });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Secret store state, and tokens still in plaintext next to their stored copy
+ */
+function checkSecretStore(env) {
+  const file = env.PM_SECRETS_FILE || DEFAULT_SECRETS_FILE;
+  if (!fs.existsSync(file)) return [];
+
+  const store = openSecretStore(env);
+  if (!store) {
+    return [{ level: 'warning', group: 'secrets', message: `Secret store ${file} is locked (set PM_SECRETS_KEY or PM_SECRETS_KEY_FILE); using .env only` }];
+  }
+  const findings = [{ level: 'ok', group: 'secrets', message: `Secret store unlocked (${store.entries.size} secret(s))` }];
+  store.list().filter(item => !item.profile && env[item.name]).forEach(item => {
+    findings.push({ level: 'warning', group: 'secrets', message: `${item.name} is in the secret store and in plaintext .env; remove it from .env` });
+  });
+  return findings;
+}
+
+/**
+ * Report grouped by level, errors first, ending with a summary line
+ */
+function formatDoctorReport(findings) {
+  const icons = { error: '❌', warning: '⚠️ ', ok: '✅', info: '➖' };
+  const order = ['error', 'warning', 'ok', 'info'];
+  const lines = [...findings]
+    .sort((a, b) => order.indexOf(a.level) - order.indexOf(b.level))
+    .map(finding => `${icons[finding.level]} ${finding.message}`);
+
+  const count = level => findings.filter(finding => finding.level === level).length;
+  lines.push('', `${count('error')} error(s), ${count('warning')} warning(s)`);
+  return lines.join('\n');
+}
+
+/**
+ * Run the doctor on .env with the selected profile (options.profile, else
+ * PM_PROFILE) applied; resolves to { findings, exitCode }
+ */
+async function runDoctor(options = {}) {
+  const loaded = options.env
+    ? { env: options.env, envFile: null, envFileFound: null }
+    : loadEnv(options.envFile);
+
+  // Check what the clients will see: .env with the selected profile applied
+  let env;
+  try {
+    env = resolveEnv({ env: loaded.env, profile: options.profile, file: options.profilesFile });
+  } catch (e) {
+    return { findings: [{ level: 'error', group: 'credentials', message: e.message }], exitCode: 1 };
+  }
+
+  const findings = checkConfig(env, { envFile: loaded.envFile, envFileFound: loaded.envFileFound, schema: options.schema });
+  if (env.PM_PROFILE) findings.unshift({ level: 'info', group: 'profile', message: `Using profile "${env.PM_PROFILE}"` });
+  findings.push(...checkSecretStore(loaded.env));
+  const profilesFile = options.profilesFile || env.PM_PROFILES_FILE || DEFAULT_PROFILES_FILE;
+  if (fs.existsSync(profilesFile) && process.platform !== 'win32' && (fs.statSync(profilesFile).mode & 0o077)) {
+    findings.push({ level: 'warning', group: 'profile', message: `${profilesFile} holds tokens but is readable by other users; run chmod 600` });
+  }
+  if (options.online) findings.push(...await checkOnline(env, options));
+  return { findings, exitCode: findings.some(finding => finding.level === 'error') ? 1 : 0 };
+}
+
+module.exports = {
+  DEFAULT_SCHEMA_FILE,
+  loadSchema,
+  loadEnv,
+  checkValue,
+  checkConfig,
+  checkOnline,
+  checkSecretStore,
+  formatDoctorReport,
+  runDoctor
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const envIndex = args.indexOf('--env');
+  const profileIndex = args.indexOf('--profile');
+  runDoctor({
+    online: args.includes('--online'),
+    envFile: envIndex !== -1 ? args[envIndex + 1] : undefined,
+    profile: profileIndex !== -1 ? args[profileIndex + 1] : undefined
+  })
+    .then(({ findings, exitCode }) => {
+      console.log(args.includes('--json') ? JSON.stringify(findings, null, 2) : formatDoctorReport(findings));
+      process.exit(exitCode);
+    })
+    .catch(e => {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,174 @@
+/**
+ * HTTP Fixtures
+ * Record/replay for HttpTransport so skill commands can run end-to-end offline (CI).
+ *
+ * - record: requests go to the real API; each response is saved as a fixture with
+ *   PII scrubbed by PIIFilter. Request headers (Authorization, API tokens) and
+ *   request bodies are never saved, and credentials echoed in a response are masked;
+ *   query values only count towards the file hash.
+ * - replay: responses come from the fixtures; a request without one fails.
+ *
+ * Fixtures live in <dir>/<host>/<method>_<path>_<hash>.json, where the hash covers
+ * method, full URL and body, so each distinct request gets its own file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Response } = require('node-fetch');
+const PIIFilter = require('./pii-filter');
+const { MemoryAuditLog } = require('./pii-audit');
+const { KNOWN_SOURCES } = require('./pii-policy');
+const { matchShape } = require('./value-shapes');
+const { secretsIn, maskSecrets } = require('./secret-store');
+
+const FIXTURE_MODES = ['record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'http');
+const FIXTURE_VERSION = 1;
+// Everything else (cookies, rate-limit account info) is dropped
+const KEPT_RESPONSE_HEADERS = ['content-type', 'retry-after', 'link'];
+
+class FixtureNotFoundError extends Error {
+  constructor(message, file) {
+    super(message);
+    this.name = 'FixtureNotFoundError';
+    this.file = file;
+  }
+}
+
+class FixtureStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.HTTP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    const source = KNOWN_SOURCES.includes(options.source) ? options.source : null;
+    // One filter per store keeps tokens consistent across a recording session
+    this.filter = options.filter || new PIIFilter({ source, persist: false, audit: new MemoryAuditLog() });
+  }
+
+  /**
+   * Fixture file for a request
+   */
+  fileFor(method, url, body) {
+    const target = new URL(url);
+    const hash = crypto.createHash('sha256')
+      .update(`${method} ${target.toString()}\n${body || ''}`)
+      .digest('hex')
+      .slice(0, 12);
+    return path.join(this.dir, target.host.replace(/[^A-Za-z0-9.-]/g, '_'), `${method.toLowerCase()}_${this.pathSlug(target.pathname)}_${hash}.json`);
+  }
+
+  /**
+   * Readable file name part for a URL path; segments that could be personal become "x"
+   */
+  pathSlug(pathname) {
+    const slug = pathname.split('/').filter(Boolean).map(segment => {
+      let decoded;
+      try {
+        decoded = decodeURIComponent(segment);
+      } catch (e) {
+        return 'x';
+      }
+      const plain = matchShape(['enum', 'id', 'uuid', 'issue-key'], decoded) && this.filter.detect(decoded).length === 0;
+      return plain ? decoded.replace(/[^A-Za-z0-9-]/g, '_') : 'x';
+    }).join('_');
+    return (slug || 'root').slice(0, 100);
+  }
+
+  read(method, url, body) {
+    const file = this.fileFor(method, url, body);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Save a scrubbed response: JSON bodies via filterObject, anything else via filterText
+   */
+  write(method, url, body, response) {
+    const file = this.fileFor(method, url, body);
+    const target = new URL(url);
+
+    const headers = {};
+    KEPT_RESPONSE_HEADERS.forEach(name => {
+      const value = response.headers[name];
+      if (value) headers[name] = name === 'link' ? this.filter.filterText(value) : value;
+    });
+
+    const fixture = {
+      version: FIXTURE_VERSION,
+      request: {
+        method,
+        host: target.host,
+        path: this.pathSlug(target.pathname),
+        query: [...new Set(target.searchParams.keys())].sort()
+      },
+      response: { status: response.status, statusText: response.statusText, headers }
+    };
+
+    let parsed;
+    try {
+      parsed = response.text ? JSON.parse(response.text) : undefined;
+    } catch (e) {
+      parsed = undefined;
+    }
+    if (parsed !== undefined) {
+      fixture.response.json = this.filter.filterObject(parsed);
+    } else {
+      fixture.response.text = this.filter.filterText(response.text || '');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+    return file;
+  }
+}
+
+/**
+ * Wrap a fetch function for record or replay
+ */
+function withFixtures(fetch, options = {}) {
+  const mode = options.mode;
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP_FIXTURES mode "${mode}" (expected ${FIXTURE_MODES.join(' or ')})`);
+  }
+  const store = options.store || new FixtureStore(options);
+
+  if (mode === 'replay') {
+    return async (url, init = {}) => {
+      const method = (init.method || 'GET').toUpperCase();
+      const fixture = store.read(method, url, init.body);
+      if (!fixture) {
+        const file = store.fileFor(method, url, init.body);
+        throw new FixtureNotFoundError(`No HTTP fixture for ${method} ${new URL(url).pathname} (${file}). Record it with HTTP_FIXTURES=record`, file);
+      }
+
+      const { status, statusText, headers, json, text } = fixture.response;
+      return new Response(json !== undefined ? JSON.stringify(json) : text, { status, statusText, headers });
+    };
+  }
+
+  return async (url, init = {}) => {
+    const method = (init.method || 'GET').toUpperCase();
+    const response = await fetch(url, init);
+    const text = await response.text();
+
+    const headers = {};
+    KEPT_RESPONSE_HEADERS.forEach(name => { headers[name] = response.headers.get(name); });
+    const secrets = secretsIn(init.headers);
+    store.write(method, url, init.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: maskSecrets(headers, secrets),
+      text: maskSecrets(text, secrets)
+    });
+
+    // The caller still gets the real response; only the fixture is scrubbed
+    return new Response(text, { status: response.status, statusText: response.statusText, headers: response.headers });
+  };
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  DEFAULT_FIXTURES_DIR,
+  FixtureStore,
+  FixtureNotFoundError,
+  withFixtures
+};
@@ -0,0 +1,315 @@
+/**
+ * HTTP Transport
+ * One request layer for the Productboard, Dovetail, Confluence and Jira clients.
+ *
+ * - Timeouts per request (AbortController)
+ * - Retries with exponential backoff and full jitter on 429 and 5xx, honouring Retry-After.
+ *   5xx, timeouts and network errors are only retried for idempotent methods unless
+ *   `retry: true` is passed, so a POST that may have reached the server is not repeated.
+ * - A concurrency limit per host, shared by every transport in the process
+ * - Typed errors: AuthError, NotFoundError, RateLimitError, ValidationError, ServerError,
+ *   TimeoutError, NetworkError (all HttpError)
+ * - A request ID per call, sent as X-Request-Id and shown in stderr logs. Logs carry
+ *   method, host and path only - query strings can hold emails and are never logged.
+ * - Credentials from the request headers are masked in error messages, error bodies
+ *   and logs, in case an API echoes them back. The body excerpt in error messages
+ *   (and so in logs) is run through PIIFilter; the raw body stays on error.body.
+ * - Record/replay fixtures for offline runs (HTTP_FIXTURES=record|replay, see http-fixtures.js)
+ */
+
+const crypto = require('crypto');
+const nodeFetch = require('node-fetch');
+const PIIFilter = require('./pii-filter');
+const { withFixtures, FixtureNotFoundError } = require('./http-fixtures');
+const { secretsIn, maskSecrets } = require('./secret-store');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const DEFAULTS = {
+  timeoutMs: 30000,
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  // Longer Retry-After waits fail fast instead of hanging the command
+  maxRetryAfterMs: 60000,
+  maxConcurrentPerHost: 4
+};
+// Server-side request IDs worth quoting to support (Atlassian, Productboard, Dovetail)
+const SERVER_REQUEST_ID_HEADERS = ['x-arequestid', 'atl-traceid', 'x-request-id', 'request-id'];
+
+class HttpError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status || null;
+    this.requestId = details.requestId || null;
+    this.serverRequestId = details.serverRequestId || null;
+    this.method = details.method || null;
+    this.path = details.path || null;
+    this.body = details.body;
+  }
+}
+
+class AuthError extends HttpError {}
+class NotFoundError extends HttpError {}
+class ValidationError extends HttpError {}
+class ServerError extends HttpError {}
+class TimeoutError extends HttpError {}
+class NetworkError extends HttpError {}
+class RateLimitError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs === undefined ? null : details.retryAfterMs;
+  }
+}
+
+/**
+ * Error class for an HTTP status
+ */
+function errorClassFor(status) {
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status === 429) return RateLimitError;
+  if (status === 400 || status === 409 || status === 422) return ValidationError;
+  if (status >= 500) return ServerError;
+  return HttpError;
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in milliseconds, or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+(?:\.\d+)?$/.test(value.trim())) return Math.round(Number(value) * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Full-jitter exponential backoff for a zero-based attempt
+ */
+function backoffDelay(attempt, options, random = Math.random) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+// host -> { active, waiting[] }, shared so all clients of one host queue together
+const hostSlots = new Map();
+
+/**
+ * Wait for a free slot on a host; resolves to a release function
+ */
+function acquireSlot(host, limit) {
+  if (!hostSlots.has(host)) hostSlots.set(host, { active: 0, waiting: [] });
+  const slots = hostSlots.get(host);
+
+  const release = () => {
+    slots.active--;
+    const next = slots.waiting.shift();
+    if (next) next();
+    else if (slots.active === 0) hostSlots.delete(host);
+  };
+
+  if (slots.active < limit) {
+    slots.active++;
+    return Promise.resolve(release);
+  }
+  return new Promise(resolve => slots.waiting.push(() => {
+    slots.active++;
+    resolve(release);
+  }));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Error bodies can echo emails and names back, and messages end up in stderr logs
+let detailFilter = null;
+
+/**
+ * Excerpt of an error response body for the error message, with the request's
+ * credentials masked and personal data filtered
+ */
+function errorDetail(body, secrets) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  if (!text) return '';
+  if (!detailFilter) detailFilter = new PIIFilter({ persist: false });
+  return detailFilter.filterText(maskSecrets(text.slice(0, 2000), secrets)).slice(0, 500);
+}
+
+/**
+ * Integer setting from the environment; unset or invalid values (`pm doctor` reports
+ * them) fall back to the default, so HTTP_MAX_RETRIES=abc can't mean retrying forever
+ */
+function envInteger(name, fallback, min) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isInteger(value) && value >= min ? value : fallback;
+}
+
+class HttpTransport {
+  constructor(options = {}) {
+    // Shown in logs, e.g. "jira"
+    this.name = options.name || 'http';
+    this.timeoutMs = options.timeoutMs || envInteger('HTTP_TIMEOUT_MS', DEFAULTS.timeoutMs, 1);
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : envInteger('HTTP_MAX_RETRIES', DEFAULTS.maxRetries, 0);
+    this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : DEFAULTS.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs || DEFAULTS.maxDelayMs;
+    this.maxRetryAfterMs = options.maxRetryAfterMs || DEFAULTS.maxRetryAfterMs;
+    this.maxConcurrentPerHost = options.maxConcurrentPerHost ||
+      envInteger('HTTP_MAX_CONCURRENCY_PER_HOST', DEFAULTS.maxConcurrentPerHost, 1);
+    // 'errors' (retries and failures), 'all' (every response) or 'off'
+    this.logLevel = options.logLevel || process.env.HTTP_LOG || 'errors';
+    this.headers = options.headers || {};
+
+    // Injectable for tests
+    this.fetch = options.fetch || nodeFetch;
+    const fixtures = options.fixtures || process.env.HTTP_FIXTURES;
+    if (fixtures) {
+      this.fetch = withFixtures(this.fetch, { mode: fixtures, dir: options.fixturesDir, source: this.name });
+    }
+    this.sleep = options.sleep || sleep;
+    this.random = options.random || Math.random;
+    this.log = options.log || (message => console.error(message));
+  }
+
+  /**
+   * Send a request and return the parsed body (JSON, text, or null for 204).
+   * options: method, headers, params (query), body (objects are sent as JSON),
+   * timeoutMs, retry (true to retry non-idempotent methods on 5xx/timeouts)
+   */
+  async request(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const target = new URL(url);
+    Object.entries(options.params || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) target.searchParams.append(name, String(value));
+    });
+
+    const requestId = crypto.randomUUID().slice(0, 8);
+    const context = { method, path: target.pathname, requestId, label: `${method} ${target.host}${target.pathname}` };
+    const retryAll = options.retry === true || IDEMPOTENT_METHODS.includes(method);
+
+    const headers = { 'X-Request-Id': requestId, ...this.headers, ...(options.headers || {}) };
+    const secrets = secretsIn(headers);
+    let body = options.body;
+    if (body !== undefined && body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        return await this.attempt(target, { method, headers, body }, options.timeoutMs || this.timeoutMs, context);
+      } catch (e) {
+        error = e;
+        error.message = maskSecrets(error.message, secrets);
+        error.stack = maskSecrets(error.stack, secrets);
+        if (error.body !== undefined) error.body = maskSecrets(error.body, secrets);
+      }
+
+      const retryable = error instanceof RateLimitError ||
+        (retryAll && (error instanceof ServerError || error instanceof TimeoutError || error instanceof NetworkError));
+      if (!retryable || attempt >= this.maxRetries) {
+        this.write('errors', `[${this.name} ${requestId}] ${context.label} failed: ${error.message}`);
+        throw error;
+      }
+
+      const retryAfter = error.retryAfterMs;
+      if (retryAfter !== null && retryAfter !== undefined && retryAfter > this.maxRetryAfterMs) {
+        this.write('errors', `[${this.name} ${requestId}] ${context.label} rate limited for ${Math.ceil(retryAfter / 1000)}s, giving up`);
+        throw error;
+      }
+
+      const delay = retryAfter !== null && retryAfter !== undefined ? retryAfter : backoffDelay(attempt, this, this.random);
+      this.write('errors', `[${this.name} ${requestId}] ${context.label} ${error.status || error.name}, ` +
+        `retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${this.maxRetries + 1})`);
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * One try: wait for a host slot, fetch with a timeout, map failures to typed errors
+   */
+  async attempt(target, init, timeoutMs, context) {
+    const release = await acquireSlot(target.host, this.maxConcurrentPerHost);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const started = Date.now();
+
+    try {
+      let response;
+      try {
+        response = await this.fetch(target.toString(), { ...init, signal: controller.signal });
+      } catch (e) {
+        // A missing fixture is a test setup problem, not something to retry
+        if (e instanceof FixtureNotFoundError) throw e;
+        if (controller.signal.aborted) {
+          throw new TimeoutError(`Request timed out after ${timeoutMs}ms`, context);
+        }
+        throw new NetworkError(`Network error: ${e.message}`, context);
+      }
+
+      const parsed = await this.readBody(response);
+      const serverRequestId = SERVER_REQUEST_ID_HEADERS.map(name => response.headers.get(name)).find(Boolean) || null;
+      this.write('all', `[${this.name} ${context.requestId}] ${context.label} → ${response.status} (${Date.now() - started}ms)`);
+
+      if (response.ok) return parsed;
+
+      const ErrorClass = errorClassFor(response.status);
+      const detail = errorDetail(parsed, secretsIn(init.headers));
+      throw new ErrorClass(`API Error: ${response.status} - ${response.statusText || 'Error'}${detail ? `: ${detail}` : ''}`, {
+        ...context,
+        status: response.status,
+        serverRequestId,
+        body: parsed,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    } catch (e) {
+      // Body reads can time out too
+      if (controller.signal.aborted && !(e instanceof HttpError) && !(e instanceof FixtureNotFoundError)) {
+        throw new TimeoutError(`Request timed out after ${timeoutMs}ms`, context);
+      }
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      release();
+    }
+  }
+
+  async readBody(response) {
+    if (response.status === 204) return null;
+    const text = await response.text();
+    if (!text) return null;
+
+    const type = response.headers.get('content-type') || '';
+    if (type.includes('json')) {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text;
+      }
+    }
+    return text;
+  }
+
+  write(level, message) {
+    if (this.logLevel === 'off') return;
+    if (level === 'all' && this.logLevel !== 'all') return;
+    this.log(message);
+  }
+}
+
+module.exports = {
+  HttpTransport,
+  HttpError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  parseRetryAfter,
+  backoffDelay
+};
@@ -0,0 +1,163 @@
+/**
+ * Leak Scanner
+ * Checks generated artifacts (workspace/ PRDs, reports, exports) for raw PII
+ * that slipped past PIIFilter, e.g. from a skill that wrote unfiltered output.
+ *
+ * Every PIIFilter detector runs in detect-only mode; findings carry file, line,
+ * column and type. Reports only ever show masked values. Offending files can be
+ * moved to workspace/.quarantine/ so they are not shared by accident.
+ *
+ * Exit codes (pii-filter.js scan): 0 clean, 1 findings, 2 scan error
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCAN_DIR = path.join(__dirname, '..', 'workspace');
+const SCANNED_EXTENSIONS = ['.md', '.markdown', '.html', '.htm', '.json', '.csv'];
+const QUARANTINE_DIR = '.quarantine';
+
+/**
+ * Files to scan under the given paths. Dotfiles and dot-directories (pseudonym
+ * store, vault, audit log, quarantine) are skipped when walking, not when named.
+ */
+function collectFiles(paths, extensions = SCANNED_EXTENSIONS) {
+  const files = [];
+
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        if (entry.name.startsWith('.')) return;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(full);
+        } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+          files.push(full);
+        }
+      });
+  };
+
+  paths.forEach(target => {
+    const stat = fs.statSync(target);
+    if (stat.isDirectory()) {
+      walk(target);
+    } else {
+      files.push(target);
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Show enough of a value to find it, not enough to leak it: "s**********m"
+ */
+function maskValue(type, value) {
+  if (type.startsWith('secret:')) return '[secret]';
+  if (value.length <= 2) return '*'.repeat(value.length);
+  return `${value[0]}${'*'.repeat(Math.min(value.length - 2, 10))}${value[value.length - 1]}`;
+}
+
+/**
+ * Findings in one text with 1-based line and column
+ */
+function scanText(filter, text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  let line = 0;
+  return filter.detect(text).map(finding => {
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= finding.start) line++;
+    return {
+      line: line + 1,
+      column: finding.start - lineStarts[line] + 1,
+      type: finding.type,
+      preview: maskValue(finding.type, finding.value)
+    };
+  });
+}
+
+/**
+ * Scan files; unreadable files are reported as errors rather than stopping the scan
+ */
+function scanFiles(filter, files) {
+  const results = { scanned: 0, findings: [], errors: [] };
+
+  files.forEach(file => {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      results.errors.push({ file, message: e.message });
+      return;
+    }
+    results.scanned++;
+    scanText(filter, text).forEach(finding => results.findings.push({ file, ...finding }));
+  });
+
+  return results;
+}
+
+/**
+ * Move a file into <root>/.quarantine/, keeping its path relative to root.
+ * Returns the new location.
+ */
+function quarantineFile(file, root) {
+  const relative = path.relative(root, file);
+  const inside = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  let target = path.join(root, QUARANTINE_DIR, inside ? relative : path.basename(file));
+
+  fs.mkdirSync(path.dirname(target), { recursive: true, mode: 0o700 });
+  if (fs.existsSync(target)) {
+    const ext = path.extname(target);
+    target = `${target.slice(0, target.length - ext.length)}.${Date.now()}${ext}`;
+  }
+  fs.renameSync(file, target);
+  return target;
+}
+
+/**
+ * Human-readable report: one line per finding, then a summary
+ */
+function formatScanReport(results, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const lines = [];
+
+  results.findings.forEach(finding => {
+    lines.push(`${path.relative(cwd, finding.file)}:${finding.line}:${finding.column}  ${finding.type}  ${finding.preview}`);
+  });
+  results.errors.forEach(error => {
+    lines.push(`${path.relative(cwd, error.file)}  error  ${error.message}`);
+  });
+
+  const files = new Set(results.findings.map(finding => finding.file)).size;
+  if (results.findings.length === 0) {
+    lines.push(`✅ No PII found in ${results.scanned} file(s)`);
+  } else {
+    const byType = {};
+    results.findings.forEach(finding => { byType[finding.type] = (byType[finding.type] || 0) + 1; });
+    const types = Object.entries(byType).map(([type, count]) => `${type}: ${count}`).join(', ');
+    lines.push(`❌ ${results.findings.length} finding(s) in ${files} of ${results.scanned} file(s) (${types})`);
+  }
+
+  (results.quarantined || []).forEach(({ from, to }) => {
+    lines.push(`   Quarantined ${path.relative(cwd, from)} → ${path.relative(cwd, to)}`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_SCAN_DIR,
+  SCANNED_EXTENSIONS,
+  QUARANTINE_DIR,
+  collectFiles,
+  maskValue,
+  scanText,
+  scanFiles,
+  quarantineFile,
+  formatScanReport
+};
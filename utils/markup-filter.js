@@ -0,0 +1,298 @@
+/**
+ * Markup Filter
+ * Structure-aware PII filtering for Confluence storage format (XHTML) and
+ * Jira Atlassian Document Format (ADF).
+ *
+ * Text nodes, mentions and link targets are filtered individually, and the
+ * result is re-serialized so it is still valid markup/ADF. Attribute values
+ * are never touched by plain-text regexes.
+ */
+
+// Attributes that identify a user in storage format (<ri:user ri:account-id="..."/>)
+const USER_ID_ATTRIBUTES = ['ri:account-id', 'ri:userkey', 'ri:username'];
+// Attributes holding a URL
+const URL_ATTRIBUTES = ['href', 'src', 'ri:value', 'cite'];
+// Attributes holding human-readable text
+const TEXT_ATTRIBUTES = ['title', 'alt', 'ri:content-title'];
+// ADF card nodes whose attrs.url is a link target
+const ADF_CARD_NODES = ['inlineCard', 'blockCard', 'embedCard'];
+
+const TAG = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Whether a string looks like XHTML (has at least one closing or self-closing tag)
+ */
+function looksLikeMarkup(text) {
+  return typeof text === 'string' &&
+    /<[A-Za-z][\w:.-]*(?:\s[^<>]*)?>/.test(text) &&
+    /<\/[A-Za-z][\w:.-]*\s*>|<[A-Za-z][\w:.-]*(?:\s[^<>]*)?\/>/.test(text);
+}
+
+/**
+ * Whether a value is an ADF document
+ */
+function isADFDocument(value) {
+  return Boolean(value) && typeof value === 'object' && value.type === 'doc' && Array.isArray(value.content);
+}
+
+/**
+ * Split XHTML into text, tag, comment, CDATA and declaration tokens
+ */
+function tokenize(markup) {
+  const tokens = [];
+  let position = 0;
+  let text = '';
+
+  const flushText = () => {
+    if (text) tokens.push({ kind: 'text', raw: text });
+    text = '';
+  };
+
+  const takeUntil = (kind, open, close) => {
+    const end = markup.indexOf(close, position + open.length);
+    const stop = end === -1 ? markup.length : end + close.length;
+    flushText();
+    tokens.push({ kind, raw: markup.slice(position, stop), open, close });
+    position = stop;
+  };
+
+  while (position < markup.length) {
+    if (markup[position] !== '<') {
+      const next = markup.indexOf('<', position);
+      const stop = next === -1 ? markup.length : next;
+      text += markup.slice(position, stop);
+      position = stop;
+      continue;
+    }
+
+    if (markup.startsWith('<!--', position)) {
+      takeUntil('comment', '<!--', '-->');
+    } else if (markup.startsWith('<![CDATA[', position)) {
+      takeUntil('cdata', '<![CDATA[', ']]>');
+    } else if (markup.startsWith('<!', position) || markup.startsWith('<?', position)) {
+      takeUntil('declaration', markup.slice(position, position + 2), '>');
+    } else {
+      TAG.lastIndex = position;
+      const match = TAG.exec(markup);
+      if (match) {
+        flushText();
+        tokens.push({
+          kind: 'tag',
+          raw: match[0],
+          closing: match[1] === '/',
+          name: match[2],
+          attributes: parseAttributes(match[3]),
+          selfClosing: match[4] === '/'
+        });
+        position = TAG.lastIndex;
+      } else {
+        // Stray "<" in text
+        text += '<';
+        position++;
+      }
+    }
+  }
+
+  flushText();
+  return tokens;
+}
+
+function parseAttributes(source) {
+  const attributes = [];
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    const quote = match[2] !== undefined ? '"' : match[3] !== undefined ? "'" : '';
+    const raw = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes.push({ name: match[1], value: raw === undefined ? null : decodeEntities(raw), quote });
+  }
+  return attributes;
+}
+
+/**
+ * Decode the XML entities and numeric references; other named entities (&nbsp;) stay as-is
+ */
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (match, entity) => {
+    switch (entity) {
+      case 'amp': return '&';
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'quot': return '"';
+      case 'apos': return "'";
+      default:
+        return entity[1] === 'x' || entity[1] === 'X'
+          ? String.fromCodePoint(parseInt(entity.slice(2), 16))
+          : String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+  });
+}
+
+/**
+ * Escape text for XHTML without double-encoding existing entities
+ */
+function encodeText(text) {
+  return text
+    .replace(/&(?![a-zA-Z][a-zA-Z0-9]*;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function encodeAttribute(value, quote) {
+  const encoded = encodeText(value);
+  return quote === "'" ? encoded.replace(/'/g, '&apos;') : encoded.replace(/"/g, '&quot;');
+}
+
+function serializeTag(token) {
+  if (token.closing) return `</${token.name}>`;
+
+  const attributes = token.attributes.map(attribute => {
+    if (attribute.value === null) return ` ${attribute.name}`;
+    const quote = attribute.quote || '"';
+    return ` ${attribute.name}=${quote}${encodeAttribute(attribute.value, quote)}${quote}`;
+  }).join('');
+
+  return `<${token.name}${attributes}${token.selfClosing ? ' /' : ''}>`;
+}
+
+/**
+ * Filter a link target: mailto addresses are pseudonymized, other URLs lose
+ * sensitive query parameters and secrets
+ */
+function filterLink(url, filter) {
+  if (typeof url !== 'string') return url;
+
+  const mailto = url.match(/^(mailto:)(.*)$/i);
+  if (mailto) {
+    return mailto[1] + filter.filterPlainText(mailto[2]);
+  }
+  return filter.filterSensitiveUrls(filter.filterSecrets(url));
+}
+
+/**
+ * Filter one attribute value by what it holds
+ */
+function filterAttribute(tagName, attribute, filter) {
+  const name = attribute.name.toLowerCase();
+
+  if (tagName.toLowerCase() === 'ri:user' && USER_ID_ATTRIBUTES.includes(name)) {
+    return filter.pseudonymize('account', attribute.value);
+  }
+  if (URL_ATTRIBUTES.includes(name)) {
+    return filterLink(attribute.value, filter);
+  }
+  if (TEXT_ATTRIBUTES.includes(name)) {
+    return filter.filterPlainText(attribute.value);
+  }
+  return attribute.value;
+}
+
+/**
+ * Filter Confluence storage format (XHTML) and return valid XHTML
+ */
+function filterStorageFormat(markup, filter) {
+  if (typeof markup !== 'string' || !markup) return markup;
+
+  return tokenize(markup).map(token => {
+    switch (token.kind) {
+      case 'text': {
+        const decoded = decodeEntities(token.raw);
+        const filtered = filter.filterPlainText(decoded);
+        return filtered === decoded ? token.raw : encodeText(filtered);
+      }
+      case 'cdata':
+      case 'comment': {
+        const body = token.raw.slice(token.open.length, token.raw.endsWith(token.close) ? -token.close.length : undefined);
+        const filtered = filter.filterPlainText(body);
+        return filtered === body ? token.raw : `${token.open}${filtered}${token.close}`;
+      }
+      case 'tag': {
+        if (token.closing || token.attributes.length === 0) return token.raw;
+
+        let changed = false;
+        token.attributes.forEach(attribute => {
+          if (attribute.value === null) return;
+          const filtered = filterAttribute(token.name, attribute, filter);
+          if (filtered !== attribute.value) {
+            attribute.value = filtered;
+            changed = true;
+          }
+        });
+        return changed ? serializeTag(token) : token.raw;
+      }
+      default:
+        return token.raw;
+    }
+  }).join('');
+}
+
+/**
+ * Filter a Jira ADF document and return a new, valid ADF document
+ */
+function filterADF(doc, filter) {
+  if (!isADFDocument(doc)) return doc;
+
+  // Mentioned people are known names for the rest of the document
+  collectMentions(doc).forEach(name => filter.nameDetector.learnName(name));
+  return filterADFNode(doc, filter);
+}
+
+function collectMentions(node, names = []) {
+  if (!node || typeof node !== 'object') return names;
+  if (node.type === 'mention' && node.attrs && typeof node.attrs.text === 'string') {
+    names.push(node.attrs.text.replace(/^@/, ''));
+  }
+  (node.content || []).forEach(child => collectMentions(child, names));
+  return names;
+}
+
+function filterADFNode(node, filter) {
+  if (!node || typeof node !== 'object') return node;
+
+  const filtered = { ...node };
+
+  if (node.type === 'text' && typeof node.text === 'string') {
+    filtered.text = filter.filterPlainText(node.text);
+  }
+
+  if (node.type === 'mention' && node.attrs) {
+    filtered.attrs = { ...node.attrs };
+    if (typeof node.attrs.text === 'string' && node.attrs.text) {
+      const name = node.attrs.text.replace(/^@/, '');
+      filtered.attrs.text = `@${filter.anonymizeName(name)}`;
+    }
+    if (node.attrs.id) {
+      filtered.attrs.id = filter.pseudonymize('account', String(node.attrs.id));
+    }
+  }
+
+  if (node.type === 'status' && node.attrs && typeof node.attrs.text === 'string') {
+    filtered.attrs = { ...node.attrs, text: filter.filterPlainText(node.attrs.text) };
+  }
+
+  if (ADF_CARD_NODES.includes(node.type) && node.attrs && node.attrs.url) {
+    filtered.attrs = { ...node.attrs, url: filterLink(node.attrs.url, filter) };
+  }
+
+  if (Array.isArray(node.marks)) {
+    filtered.marks = node.marks.map(mark => {
+      if (mark.type === 'link' && mark.attrs && mark.attrs.href) {
+        return { ...mark, attrs: { ...mark.attrs, href: filterLink(mark.attrs.href, filter) } };
+      }
+      return mark;
+    });
+  }
+
+  if (Array.isArray(node.content)) {
+    filtered.content = node.content.map(child => filterADFNode(child, filter));
+  }
+
+  return filtered;
+}
+
+module.exports = {
+  looksLikeMarkup,
+  isADFDocument,
+  tokenize,
+  filterStorageFormat,
+  filterADF
+};
@@ -0,0 +1,336 @@
+/**
+ * Name Detector
+ * Offline person and organization detection for free text.
+ * Combines names already seen in structured fields during the run with a bundled
+ * first-name/surname lexicon and capitalization heuristics. Each detection carries a
+ * confidence score; only detections at or above the threshold are returned.
+ */
+
+const lexicon = require('./name-lexicon.json');
+
+const DEFAULT_THRESHOLD = 0.7;
+
+// A run of capitalized words, e.g. "Sarah Jensen" or "Globex Corp."
+const CAPITALIZED_RUN = /(?<![\p{L}\p{N}])\p{Lu}[\p{L}'’-]*\.?(?:[ \t]+\p{Lu}[\p{L}'’-]*\.?)*/gu;
+// Possessive or closing quote at the end of a word (a following dot is kept)
+const TRAILING_QUOTE = /(?:['’]s|['’-]+)(\.?)$/u;
+// Letters and digits: the words known names are matched on
+const WORD = /[\p{L}\p{N}]/u;
+const WORDS = /[\p{L}\p{N}]+/gu;
+const WORD_AT = /[\p{L}\p{N}]+/uy;
+
+class NameDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold !== undefined
+      ? Number(options.threshold)
+      : Number(process.env.PII_NAME_CONFIDENCE || DEFAULT_THRESHOLD);
+
+    this.firstNames = new Set(lexicon.firstNames);
+    this.surnames = new Set(lexicon.surnames);
+    this.companySuffixes = new Set(lexicon.companySuffixes);
+    this.titles = new Set(lexicon.titles);
+    this.excluded = new Set(lexicon.excluded);
+
+    // Originals seen in structured fields during this run (memory only), indexed
+    // word by word so a text scan costs the same however many are known
+    this.knownNames = new Set();
+    this.knownCompanies = new Set();
+    this.knownTrie = new Map();
+    // First name -> the one known person with it (null when shared)
+    this.knownFirstNames = new Map();
+  }
+
+  /**
+   * Remember a person name seen in a structured field
+   */
+  learnName(name) {
+    if (typeof name !== 'string' || name.trim().length < 3 || this.knownNames.has(name.trim())) return;
+
+    const value = name.trim();
+    this.knownNames.add(value);
+    this.index('name', value);
+
+    const parts = value.split(/\s+/);
+    if (parts.length >= 2 && parts[0].length >= 3) {
+      this.knownFirstNames.set(parts[0], this.knownFirstNames.has(parts[0]) ? null : value);
+    }
+  }
+
+  /**
+   * Remember a company name seen in a structured field
+   */
+  learnCompany(company) {
+    if (typeof company !== 'string' || company.trim().length < 3 || this.knownCompanies.has(company.trim())) return;
+
+    this.knownCompanies.add(company.trim());
+    this.index('company', company.trim());
+  }
+
+  /**
+   * Add a known value to the trie: one level per word or separator, words lowercased.
+   * A name wins over a company spelled the same.
+   */
+  index(type, value) {
+    const parts = tokenize(value).map(part => part.word ? part.text.toLowerCase() : part.text);
+    // Leading punctuation isn't part of the name
+    while (parts.length > 0 && !WORD.test(parts[0])) parts.shift();
+    if (parts.length === 0) return;
+
+    let node = { children: this.knownTrie };
+    parts.forEach(part => {
+      if (!node.children.has(part)) node.children.set(part, { children: new Map(), entry: null });
+      node = node.children.get(part);
+    });
+    if (!node.entry || (type === 'name' && node.entry.type === 'company')) {
+      node.entry = { type, value };
+    }
+  }
+
+  /**
+   * Detect person and company names in text.
+   * Returns [{ type, value, start, end, confidence }] sorted by position, non-overlapping.
+   */
+  detect(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const candidates = [
+      ...this.detectKnown(text),
+      ...this.detectCapitalized(text)
+    ].filter(candidate => candidate.confidence >= this.threshold);
+
+    return this.resolveOverlaps(candidates);
+  }
+
+  /**
+   * Exact (case-insensitive) matches of names and companies already seen this run
+   */
+  detectKnown(text) {
+    const found = [];
+    if (this.knownTrie.size === 0) return found;
+
+    for (const match of text.matchAll(WORDS)) {
+      const start = match.index;
+
+      // Follow the trie word by word; every node with an entry is a match ending there
+      const first = this.knownTrie.get(match[0].toLowerCase());
+      const pending = first ? [{ node: first, position: start + match[0].length }] : [];
+      while (pending.length > 0) {
+        const { node, position } = pending.pop();
+        if (node.entry && !wordAt(text, position)) {
+          found.push({ ...node.entry, start, end: position, confidence: 1 });
+        }
+        pending.push(...this.continuations(node, text, position));
+      }
+
+      // A bare first name that belongs to exactly one known person maps to that person
+      const person = this.knownFirstNames.get(match[0]);
+      if (person) {
+        found.push({ type: 'name', value: person, start, end: start + match[0].length, confidence: 0.8 });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Children of a trie node that continue at position in text: [{ node, position }]
+   */
+  continuations(node, text, position) {
+    if (position >= text.length || node.children.size === 0) return [];
+
+    const word = wordAt(text, position);
+    if (word) {
+      const child = node.children.get(word.toLowerCase());
+      return child ? [{ node: child, position: position + word.length }] : [];
+    }
+    const next = [];
+    node.children.forEach((child, part) => {
+      if (!WORD.test(part) && text.startsWith(part, position)) {
+        next.push({ node: child, position: position + part.length });
+      }
+    });
+    return next;
+  }
+
+  /**
+   * Lexicon and capitalization heuristics over runs of capitalized words
+   */
+  detectCapitalized(text) {
+    const persons = [];
+    const runs = [];
+
+    for (const match of text.matchAll(CAPITALIZED_RUN)) {
+      runs.push(splitWords(match[0], match.index));
+    }
+
+    runs.forEach(words => {
+      for (let i = 0; i < words.length; i++) {
+        const person = this.scorePerson(text, words, i);
+        if (person) {
+          persons.push(person);
+          i += person.wordCount - 1;
+        }
+      }
+    });
+
+    const companies = [];
+    runs.forEach(words => {
+      const company = this.scoreCompany(text, words, persons);
+      if (company) companies.push(company);
+    });
+
+    return [...persons, ...companies];
+  }
+
+  /**
+   * Score a person name starting at word index i
+   */
+  scorePerson(text, words, i) {
+    const word = words[i];
+    const next = words[i + 1];
+    const cue = this.hasCue(text, word.start, lexicon.personCues) ? 0.15 : 0;
+
+    // "Dr. Jensen", "Ms Sarah Jensen"
+    if (this.titles.has(word.text) && next) {
+      const span = words[i + 2] && this.surnames.has(stripDot(words[i + 2].text)) ? 2 : 1;
+      return this.candidate('name', words.slice(i + 1, i + 1 + span), 0.9, span + 1, words[i].start);
+    }
+
+    const first = stripDot(word.text);
+    if (this.excluded.has(first)) return null;
+
+    if (this.firstNames.has(first)) {
+      if (!next) {
+        return this.candidate('name', [word], 0.4 + cue, 1);
+      }
+      const second = stripDot(next.text);
+      if (this.companySuffixes.has(next.text) || this.excluded.has(second)) return null;
+
+      let confidence = 0.5 + (this.surnames.has(second) ? 0.45 : 0.25) + cue;
+      let span = 2;
+      // Double-barrelled surnames: "Anna Berg Hansen"
+      if (words[i + 2] && this.surnames.has(stripDot(words[i + 2].text))) {
+        span = 3;
+      }
+      confidence = Math.min(confidence, 0.99);
+      return this.candidate('name', words.slice(i, i + span), confidence, span);
+    }
+
+    // Unknown first name followed by a known surname: "Øystein Berg"
+    if (next && this.surnames.has(stripDot(next.text)) && !this.companySuffixes.has(next.text)) {
+      return this.candidate('name', words.slice(i, i + 2), 0.6 + cue, 2);
+    }
+
+    return null;
+  }
+
+  /**
+   * Score a company name in a run of capitalized words
+   */
+  scoreCompany(text, words, persons) {
+    // "Globex Corp", "Initech GmbH"
+    const suffixIndex = words.findIndex((word, index) => index > 0 && this.companySuffixes.has(word.text));
+    if (suffixIndex > 0) {
+      return this.candidate('company', words.slice(0, suffixIndex + 1), 0.85, suffixIndex + 1);
+    }
+
+    // "... Sarah Jensen from Globex"
+    const start = words[0].start;
+    if (!this.hasCue(text, start, lexicon.companyCues)) return null;
+    if (persons.some(person => person.start <= start && person.end > start)) return null;
+    if (words.some(word => this.excluded.has(stripDot(word.text)))) return null;
+
+    const afterPerson = persons.some(person => person.end <= start && start - person.end <= 12);
+    const span = Math.min(words.length, 2);
+    return this.candidate('company', words.slice(0, span), afterPerson ? 0.75 : 0.55, span);
+  }
+
+  /**
+   * Build a detection from a slice of words
+   */
+  candidate(type, words, confidence, wordCount, start) {
+    const last = words[words.length - 1];
+    // Keep the dot of "Inc." / "Corp.", drop a sentence-ending one
+    const keepDot = type === 'company' && this.companySuffixes.has(last.text) && last.text.endsWith('.');
+    const value = words.map(word => word.text).join(' ');
+    const trimmed = keepDot ? value : value.replace(/\.$/, '');
+
+    return {
+      type,
+      value: trimmed,
+      start: start !== undefined ? start : words[0].start,
+      end: last.start + (keepDot ? last.text.length : stripDot(last.text).length),
+      confidence: Math.round(confidence * 100) / 100,
+      wordCount
+    };
+  }
+
+  /**
+   * Whether one of the cue phrases immediately precedes position
+   */
+  hasCue(text, position, cues) {
+    const before = text.slice(Math.max(0, position - 24), position).toLowerCase();
+    return cues.some(cue => new RegExp(`(?:^|[^\\p{L}])${escapeRegex(cue)}[\\s:,]+$`, 'u').test(before));
+  }
+
+  /**
+   * Keep the strongest detection where candidates overlap
+   */
+  resolveOverlaps(candidates) {
+    const ranked = candidates.slice().sort((a, b) =>
+      b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start)
+    );
+    const kept = [];
+
+    ranked.forEach(candidate => {
+      const overlaps = kept.some(other => candidate.start < other.end && other.start < candidate.end);
+      if (!overlaps) kept.push(candidate);
+    });
+
+    return kept
+      .sort((a, b) => a.start - b.start)
+      .map(({ type, value, start, end, confidence }) => ({ type, value, start, end, confidence }));
+  }
+}
+
+/**
+ * Split a capitalized run into words with absolute offsets. Closing quotes and
+ * possessives are not part of a word: "Doe'" and "Berg-Hansen's" become "Doe"
+ * and "Berg-Hansen".
+ */
+function splitWords(run, offset) {
+  const words = [];
+  for (const match of run.matchAll(/\S+/g)) {
+    words.push({ text: match[0].replace(TRAILING_QUOTE, '$1'), start: offset + match.index });
+  }
+  return words;
+}
+
+/**
+ * Split a value into word and separator parts: "Berg-Hansen AS" -> Berg, -, Hansen, " ", AS
+ */
+function tokenize(value) {
+  return Array.from(value.matchAll(/[\p{L}\p{N}]+|[^\p{L}\p{N}]+/gu), match => ({
+    text: match[0],
+    word: WORD.test(match[0])
+  }));
+}
+
+/**
+ * The word starting at position in text, or null
+ */
+function wordAt(text, position) {
+  WORD_AT.lastIndex = position;
+  const match = WORD_AT.exec(text);
+  return match ? match[0] : null;
+}
+
+function stripDot(word) {
+  return word.replace(/\.$/, '');
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = NameDetector;
@@ -0,0 +1,167 @@
+/**
+ * Output Format
+ * Renders skill results as json, ndjson, csv, md or table (--format), with the same
+ * --fields selection for every resource. Nested fields use dot paths
+ * ("status.name", "fields.assignee.displayName"); Jira's bare names ("summary")
+ * resolve inside `fields`. Without --fields each resource type has a fixed column
+ * order, so spreadsheets built from exports line up run after run.
+ *
+ * Formatting runs on already-filtered data; it never sees raw API responses.
+ */
+
+const FORMATS = ['json', 'ndjson', 'csv', 'md', 'table'];
+const MAX_TABLE_WIDTH = 40;
+
+// Default columns per resource type (<tool>.<resource>)
+const COLUMNS = {
+  'productboard.feature': ['id', 'name', 'type', 'status.name', 'owner.email', 'timeframe.startDate', 'timeframe.endDate', 'updatedAt'],
+  'productboard.note': ['id', 'title', 'company.name', 'owner.email', 'tags', 'createdAt'],
+  'dovetail.project': ['id', 'title', 'owner.name', 'created_at', 'updated_at'],
+  'dovetail.insight': ['id', 'project_id', 'title', 'tags', 'created_at'],
+  'dovetail.highlight': ['id', 'project_id', 'insight_id', 'text', 'participant.name', 'created_at'],
+  'dovetail.tag': ['id', 'project_id', 'name'],
+  'confluence.page': ['id', 'title', 'spaceId', 'parentId', 'status', 'version.number', 'createdAt'],
+  'confluence.search': ['content.id', 'title', 'url', 'lastModified'],
+  'jira.issue': ['key', 'fields.summary', 'fields.issuetype.name', 'fields.status.name', 'fields.priority.name', 'fields.assignee.displayName', 'fields.parent.key', 'fields.updated']
+};
+
+/**
+ * Value at a dot path; falls back to `record.fields.<path>` for Jira issues
+ */
+function getPath(record, fieldPath) {
+  const lookup = (value, parts) => parts.reduce((current, part) =>
+    (current !== null && current !== undefined ? current[part] : undefined), value);
+
+  const parts = fieldPath.split('.');
+  const value = lookup(record, parts);
+  if (value === undefined && record && typeof record.fields === 'object' && parts[0] !== 'fields') {
+    return lookup(record.fields, parts);
+  }
+  return value;
+}
+
+/**
+ * Flat { "a.b": value } map of an object's leaves; arrays of scalars stay whole
+ */
+function flatten(value, prefix = '', result = {}) {
+  const isScalarArray = Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+  if (value === null || typeof value !== 'object' || isScalarArray) {
+    if (prefix) result[prefix] = value;
+    return result;
+  }
+  Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, result));
+  return result;
+}
+
+/**
+ * Records in a response: list envelopes (data, results, issues, values) or a single object
+ */
+function recordsOf(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const list = ['data', 'results', 'issues', 'values'].find(key => Array.isArray(data[key]));
+    if (list) return data[list];
+    // Productboard wraps single items as { data: {...} }
+    if (data.data && typeof data.data === 'object') return [data.data];
+    return [data];
+  }
+  return [];
+}
+
+/**
+ * Columns: --fields, else the resource's defaults, else every leaf in first-seen order
+ */
+function columnsFor(records, options = {}) {
+  if (options.fields && options.fields.length > 0) return options.fields;
+  if (options.resource && COLUMNS[options.resource]) return COLUMNS[options.resource];
+
+  const columns = [];
+  records.forEach(record => Object.keys(flatten(record)).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return columns;
+}
+
+/**
+ * Cell text: arrays joined with ", ", objects as JSON, missing values empty
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(cellText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function csvCell(value) {
+  let text = cellText(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  return cellText(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function tableCell(value) {
+  const text = cellText(value).replace(/\s+/g, ' ');
+  return text.length > MAX_TABLE_WIDTH ? `${text.slice(0, MAX_TABLE_WIDTH - 1)}…` : text;
+}
+
+/**
+ * Selected fields of one record as { path: value }, in column order
+ */
+function pick(record, columns) {
+  const result = {};
+  columns.forEach(column => { result[column] = getPath(record, column); });
+  return result;
+}
+
+/**
+ * Render data in a format. options: { format, resource, fields }
+ */
+function formatOutput(data, options = {}) {
+  const format = options.format || 'json';
+  if (!FORMATS.includes(format)) throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+  const fields = options.fields && options.fields.length > 0 ? options.fields : null;
+
+  if (format === 'json') {
+    if (!fields) return JSON.stringify(data, null, 2);
+    const picked = recordsOf(data).map(record => pick(record, fields));
+    return JSON.stringify(Array.isArray(data) || picked.length !== 1 ? picked : picked[0], null, 2);
+  }
+
+  const records = recordsOf(data);
+  if (format === 'ndjson') {
+    return records.map(record => JSON.stringify(fields ? pick(record, fields) : record)).join('\n');
+  }
+
+  const columns = columnsFor(records, { ...options, fields });
+  const rows = records.map(record => columns.map(column => getPath(record, column)));
+
+  if (format === 'csv') {
+    return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+  }
+  if (format === 'md') {
+    return [
+      `| ${columns.map(markdownCell).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  const cells = [columns, ...rows.map(row => row.map(tableCell))];
+  const widths = columns.map((column, index) => Math.max(...cells.map(row => row[index].length)));
+  const line = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  return [line(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(line)].join('\n');
+}
+
+module.exports = {
+  FORMATS,
+  COLUMNS,
+  getPath,
+  flatten,
+  recordsOf,
+  columnsFor,
+  formatOutput
+};
@@ -0,0 +1,150 @@
+/**
+ * Pagination
+ * Async iterators over every list endpoint the skills use, one per paging style:
+ *
+ *   Productboard  links.next URL (or pageCursor)       features, notes
+ *   Dovetail      page.next_cursor → page[start_cursor] projects, insights, highlights, tags, search
+ *   Confluence    _links.next (v2), start/limit (v1)    pages, spaces, CQL search
+ *   Jira          nextPageToken (/search/jql), startAt  JQL search
+ *
+ * Each takes `request(url, { params })` (HttpTransport#request bound to a client)
+ * and yields items one at a time, fetching pages as needed:
+ *
+ *   for await (const note of paginateProductboard(request, `${apiUrl}/notes`, { featureId })) { ... }
+ *
+ * Options: pageSize (per request), limit (stop after n items), onPage(progress).
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Drive a paging loop: fetchPage(state) returns { items, next } where next is the
+ * state for the following request, or null on the last page
+ */
+async function* iteratePages(fetchPage, options = {}) {
+  const limit = options.limit || Infinity;
+  let state = options.start !== undefined ? options.start : null;
+  let fetched = 0;
+  let pages = 0;
+
+  while (fetched < limit) {
+    const page = await fetchPage(state);
+    pages++;
+    const items = (page.items || []).slice(0, limit - fetched);
+    fetched += items.length;
+    if (options.onPage) options.onPage({ pages, fetched, total: page.total === undefined ? null : page.total });
+
+    for (const item of items) yield item;
+    // An empty page with a cursor would loop forever
+    if (!page.next || (page.items || []).length === 0) return;
+    state = page.next;
+  }
+}
+
+/**
+ * Productboard: follows links.next, falling back to the pageCursor field (notes)
+ */
+function paginateProductboard(request, url, params = {}, options = {}) {
+  const first = { url, params: { ...params, pageLimit: options.pageSize || DEFAULT_PAGE_SIZE } };
+  return iteratePages(async (state) => {
+    const current = state || first;
+    const response = await request(current.url, { params: current.params });
+    const nextUrl = response.links && response.links.next;
+    let next = null;
+    if (nextUrl) {
+      // links.next carries every query parameter already
+      next = { url: nextUrl, params: {} };
+    } else if (response.pageCursor) {
+      next = { url, params: { ...first.params, pageCursor: response.pageCursor } };
+    }
+    return { items: response.data, next, total: response.totalResults };
+  }, options);
+}
+
+/**
+ * Dovetail: page.next_cursor while page.has_more
+ */
+function paginateDovetail(request, url, params = {}, options = {}) {
+  return iteratePages(async (cursor) => {
+    const pageParams = { ...params, 'page[limit]': options.pageSize || DEFAULT_PAGE_SIZE };
+    if (cursor) pageParams['page[start_cursor]'] = cursor;
+    const response = await request(url, { params: pageParams });
+    const page = response.page || {};
+    return { items: response.data, next: page.has_more ? page.next_cursor : null, total: page.total_count };
+  }, options);
+}
+
+/**
+ * Confluence: v2 `_links.next` (relative to the site, or to `_links.base` for v1),
+ * otherwise v1 start/limit with totalSize
+ */
+function paginateConfluence(request, url, params = {}, options = {}) {
+  const limit = options.pageSize || DEFAULT_PAGE_SIZE;
+  return iteratePages(async (state) => {
+    const current = state || { url, params: { ...params, limit } };
+    const response = await request(current.url, { params: current.params });
+    const links = response._links || {};
+    const items = response.results || [];
+    let next = null;
+
+    if (links.next) {
+      const site = new URL(url).origin;
+      const base = links.base || site;
+      next = { url: links.next.startsWith('/wiki/') ? `${site}${links.next}` : `${base}${links.next}`, params: {} };
+    } else if (response.totalSize !== undefined && response.start !== undefined) {
+      const start = response.start + items.length;
+      if (start < response.totalSize) next = { url, params: { ...params, limit, start } };
+    }
+    return { items, next, total: response.totalSize };
+  }, options);
+}
+
+/**
+ * Jira: nextPageToken (/search/jql) or startAt/total (/search). JQL and fields
+ * go in params: { jql, fields }.
+ */
+function paginateJira(request, url, params = {}, options = {}) {
+  const maxResults = options.pageSize || DEFAULT_PAGE_SIZE;
+  return iteratePages(async (state) => {
+    const response = await request(url, { params: { ...params, maxResults, ...(state || {}) } });
+    const issues = response.issues || [];
+    let next = null;
+
+    if (response.nextPageToken) {
+      next = { nextPageToken: response.nextPageToken };
+    } else if (response.total !== undefined && response.isLast === undefined) {
+      const startAt = (response.startAt || 0) + issues.length;
+      if (startAt < response.total) next = { startAt };
+    }
+    return { items: issues, next, total: response.total };
+  }, options);
+}
+
+/**
+ * All items of an iterator as an array
+ */
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+/**
+ * onPage callback printing "<label>: 200 of 1234 (page 2)" to stderr, so stdout stays JSON
+ */
+function progressReporter(label, write = message => process.stderr.write(message)) {
+  return ({ pages, fetched, total }) => {
+    write(`${label}: ${fetched}${total !== null ? ` of ${total}` : ''} (page ${pages})\n`);
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  iteratePages,
+  paginateProductboard,
+  paginateDovetail,
+  paginateConfluence,
+  paginateJira,
+  collect,
+  progressReporter
+};
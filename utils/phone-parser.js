@@ -0,0 +1,219 @@
+/**
+ * Phone Parser
+ * Offline, metadata-driven phone number detection for PIIFilter.
+ *
+ * International numbers (+47 912 34 567, 0044 20 7946 0958) are recognized for
+ * every region below; national formats (0171 1234567, (555) 123-4567) only for
+ * the configured regions (PII_PHONE_REGIONS, default US,GB,NO,DE), because a
+ * national number is only meaningful with its numbering plan.
+ *
+ * Candidates must pass the region's numbering plan, and national numbers must be
+ * written with separators (in the region's usual groupings where it has them) and
+ * not read as an amount, so numeric IDs, dates, year ranges, version strings and
+ * figures like "20 000 000 NOK" are left alone.
+ */
+
+// Numbering plans: calling code, trunk prefix dialled before national numbers,
+// the shape of the national significant number (NSN) and, where the NSN alone
+// matches too much, the digit groupings national numbers are written in
+const REGIONS = {
+  US: { code: '1', trunk: '1', optionalTrunk: true, nsn: /^[2-9]\d{9}$/ },
+  CA: { code: '1', trunk: '1', optionalTrunk: true, nsn: /^[2-9]\d{9}$/ },
+  GB: { code: '44', trunk: '0', nsn: /^(?:[1-3]\d{8,9}|7\d{9}|[589]\d{9})$/ },
+  IE: { code: '353', trunk: '0', nsn: /^[1-9]\d{6,8}$/ },
+  NO: { code: '47', trunk: null, nsn: /^[2-9]\d{7}$/, groups: /^(?:2 2 2 2|3 2 3|8)$/ },
+  SE: { code: '46', trunk: '0', nsn: /^[1-9]\d{6,8}$/ },
+  DK: { code: '45', trunk: null, nsn: /^[2-9]\d{7}$/, groups: /^(?:2 2 2 2|4 4|8)$/ },
+  FI: { code: '358', trunk: '0', nsn: /^[1-9]\d{5,9}$/ },
+  DE: { code: '49', trunk: '0', nsn: /^(?:1[5-7]\d{8,9}|[2-9]\d{5,10})$/ },
+  NL: { code: '31', trunk: '0', nsn: /^[1-9]\d{8}$/ },
+  FR: { code: '33', trunk: '0', nsn: /^[1-9]\d{8}$/ },
+  ES: { code: '34', trunk: null, nsn: /^[6-9]\d{8}$/ },
+  PL: { code: '48', trunk: null, nsn: /^[1-9]\d{8}$/ },
+  AU: { code: '61', trunk: '0', nsn: /^[2-478]\d{8}$/ },
+  IN: { code: '91', trunk: '0', nsn: /^[1-9]\d{9}$/ }
+};
+
+const DEFAULT_PHONE_REGIONS = ['US', 'GB', 'NO', 'DE'];
+
+// Calling codes without metadata above: +1 and +7 are one digit, these two, the rest three
+const TWO_DIGIT_CALLING_CODES = new Set([
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]);
+
+// Digits with optional +/( prefix and single separators; bounded so runs of numbers split
+const CANDIDATE_PATTERN = /(?<![\p{L}\p{N}_+.\-/:#@])(?:\+|\(\+?)?\d[\d ().-]{5,28}\d(?![\p{L}\p{N}_@]|[.\-/:]\p{N})/gu;
+const DATE_PATTERN = /^(?:\d{4}[-. ]\d{1,2}[-. ]\d{1,2}|\d{1,2}[-. ]\d{1,2}[-. ]\d{2,4})$/;
+// Year ranges and pairs ("2024-2025", "2024 2025")
+const YEAR_PAIR_PATTERN = /^(?:19|20)\d{2}[-–/ ](?:19|20)\d{2}$/;
+const VERSION_CONTEXT = /(?:\bv|\bversion|\brelease|\bbuild)\s*$/i;
+// IBAN-shaped text whose checksum failed ("GB82 WEST 1234 ...") is an account number, not a phone
+const IBAN_CONTEXT = /\b[A-Z]{2}\d{2}(?: [A-Z0-9]{4})* $/;
+// Amounts written in thousands ("20 000 000", "1.250.000"), and the currencies and units around them
+const THOUSANDS_PATTERN = /^\d{1,3}(?:([ .])\d{3})(?:\1\d{3})*$/;
+const CURRENCY_CODES = 'USD|EUR|GBP|NOK|SEK|DKK|CHF|JPY|CAD|AUD|INR|PLN';
+const AMOUNT_BEFORE = new RegExp(`(?:[$€£¥]|\\b(?:${CURRENCY_CODES})|\\b(?:kr|Rs)\\.?)\\s*$`);
+const AMOUNT_AFTER = new RegExp(`^\\s*(?:%|(?:${CURRENCY_CODES})\\b|(?:kr|kroner|kronor|dollars?|euros?|pounds?|million|billion|mill|mrd|bn|users?|customers?|seats?|units?|items?|requests?|rows?|km|kg|GB|MB|TB)\\b)`, 'i');
+
+/**
+ * Region codes from a list or comma-separated string ("us, gb"); throws on unknown regions
+ */
+function parseRegions(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const regions = list.map(region => String(region).trim().toUpperCase()).filter(Boolean);
+  const unknown = regions.filter(region => !REGIONS[region]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown phone region(s) ${unknown.join(', ')} (expected ${Object.keys(REGIONS).join(', ')})`);
+  }
+  return regions;
+}
+
+/**
+ * Split international digits into calling code and the rest
+ */
+function splitCallingCode(digits) {
+  const known = [...new Set(Object.values(REGIONS).map(region => region.code))].find(code => digits.startsWith(code));
+  if (known) return [known, digits.slice(known.length)];
+  if (digits[0] === '1' || digits[0] === '7') return [digits[0], digits.slice(1)];
+  const length = TWO_DIGIT_CALLING_CODES.has(digits.slice(0, 2)) ? 2 : 3;
+  return [digits.slice(0, length), digits.slice(length)];
+}
+
+/**
+ * Lengths of the digit groups in a formatted number ("912 34 567" -> "3 2 3")
+ */
+function groupLengths(text) {
+  return text.split(/[\s().-]+/).filter(Boolean).map(group => group.length).join(' ');
+}
+
+/**
+ * Parse a formatted number. Returns { countryCode, nationalNumber, region, international } or null.
+ */
+function parsePhone(value, regions = DEFAULT_PHONE_REGIONS) {
+  const text = String(value).trim();
+  const international = /^\(?(?:\+|00)/.test(text);
+  // "+44 (0)20 ..." - the bracketed trunk prefix is not dialled from abroad
+  const digits = text.replace(/\(0\)/, international ? '' : '0').replace(/^\(?(?:\+|00)/, '').replace(/[\s().-]/g, '');
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (international) {
+    if (digits.length < 8 || digits.length > 15) return null;
+    const [countryCode, nationalNumber] = splitCallingCode(digits);
+    const plans = Object.entries(REGIONS).filter(([, plan]) => plan.code === countryCode);
+    // No metadata for this code: E.164 length is the only check left
+    if (plans.length === 0) return { countryCode, nationalNumber, region: null, international };
+
+    const match = plans.find(([, plan]) => plan.nsn.test(nationalNumber));
+    return match ? { countryCode, nationalNumber, region: match[0], international } : null;
+  }
+
+  for (const region of regions) {
+    const plan = REGIONS[region];
+    if (plan.groups && !plan.groups.test(groupLengths(text))) continue;
+    const withTrunk = plan.trunk && digits.startsWith(plan.trunk) ? digits.slice(plan.trunk.length) : null;
+    if (withTrunk && plan.nsn.test(withTrunk)) {
+      return { countryCode: plan.code, nationalNumber: withTrunk, region, international };
+    }
+    if ((!plan.trunk || plan.optionalTrunk) && plan.nsn.test(digits)) {
+      return { countryCode: plan.code, nationalNumber: digits, region, international };
+    }
+  }
+  return null;
+}
+
+/**
+ * E.164 form (+4791234567) of a formatted number, or null
+ */
+function toE164(value, regions = DEFAULT_PHONE_REGIONS) {
+  const parsed = parsePhone(value, regions);
+  return parsed ? `+${parsed.countryCode}${parsed.nationalNumber}` : null;
+}
+
+/**
+ * Country calling code of an international number ("+44 20 7946 0958" -> "44"), or null
+ */
+function countryCallingCode(value) {
+  const parsed = parsePhone(value, []);
+  return parsed && parsed.international ? parsed.countryCode : null;
+}
+
+/**
+ * Whether a candidate is formatted like a phone number rather than a date, ID or version
+ */
+function looksLikePhone(candidate, text, offset) {
+  if (DATE_PATTERN.test(candidate) || YEAR_PAIR_PATTERN.test(candidate)) return false;
+  if (!/^\(?(?:\+|00)/.test(candidate)) {
+    // National numbers need separators: bare digit runs are IDs
+    if (!/[\s().-]/.test(candidate)) return false;
+    if (looksLikeAmount(candidate, text, offset)) return false;
+  }
+  if (/\./.test(candidate) && (VERSION_CONTEXT.test(text.slice(Math.max(0, offset - 10), offset)) ||
+      candidate.split(/[.\s]/).some(group => group.length < 2))) {
+    return false;
+  }
+  return (candidate.match(/[()]/g) || []).length % 2 === 0;
+}
+
+/**
+ * Whether a national candidate is an amount: next to a currency or unit, or grouped
+ * in thousands with a short leading group or a 000 group ("20 000 000", "120.000.000").
+ * Three-digit groups alone ("612 345 678") are how some regions write phone numbers.
+ */
+function looksLikeAmount(candidate, text, offset) {
+  if (AMOUNT_BEFORE.test(text.slice(Math.max(0, offset - 8), offset))) return true;
+  if (AMOUNT_AFTER.test(text.slice(offset + candidate.length, offset + candidate.length + 16))) return true;
+
+  if (!THOUSANDS_PATTERN.test(candidate)) return false;
+  const groups = candidate.split(/[ .]/);
+  return groups[0].length < 3 || groups.slice(1).includes('000');
+}
+
+/**
+ * Spans ({ start, end }) of valid phone numbers in text, in order
+ */
+function findPhoneNumbers(text, regions = DEFAULT_PHONE_REGIONS) {
+  const spans = [];
+
+  for (const match of text.matchAll(CANDIDATE_PATTERN)) {
+    if (IBAN_CONTEXT.test(text.slice(Math.max(0, match.index - 40), match.index))) continue;
+
+    // Several numbers can share one candidate ("555-123-4567 555-987-6543"):
+    // take the longest valid run of words from each position. A leading group that
+    // is no phone number means the digits belong to something else, so stop there.
+    const words = [...match[0].matchAll(/\S+/g)].map(word => ({
+      start: match.index + word.index,
+      end: match.index + word.index + word[0].length
+    }));
+
+    let i = 0;
+    while (i < words.length) {
+      let found = false;
+      for (let j = words.length; j > i; j--) {
+        const start = words[i].start;
+        const end = words[j - 1].end;
+        const candidate = text.slice(start, end);
+        if (looksLikePhone(candidate, text, start) && parsePhone(candidate, regions)) {
+          spans.push({ start, end });
+          i = j;
+          found = true;
+          break;
+        }
+      }
+      if (!found) break;
+    }
+  }
+
+  return spans;
+}
+
+module.exports = {
+  REGIONS,
+  DEFAULT_PHONE_REGIONS,
+  parseRegions,
+  parsePhone,
+  toE164,
+  countryCallingCode,
+  findPhoneNumbers
+};
@@ -0,0 +1,157 @@
+/**
+ * PII Audit Log
+ * Local NDJSON record of every redaction PIIFilter makes, for compliance reviews.
+ *
+ * Each line: { ts, run, source, path, detector, token, hash }
+ * - detector: entity type (email, name, card, ...), `secret:<kind>` or `policy:<action>`
+ * - hash: salted hash of the original value (never the value itself)
+ *
+ * The log is only ever written to disk, never to stdout.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_AUDIT_LOG = path.join(__dirname, '..', 'workspace', '.pii-audit.ndjson');
+
+// One run per process, shared by every PIIFilter instance
+const RUN_ID = crypto.randomUUID();
+
+class AuditLog {
+  constructor(options = {}) {
+    this.logPath = options.logPath || process.env.PII_AUDIT_LOG || DEFAULT_AUDIT_LOG;
+    this.runId = options.runId || RUN_ID;
+  }
+
+  /**
+   * Append one redaction to the log
+   */
+  record(entry) {
+    const line = JSON.stringify({
+      ts: new Date().toISOString(),
+      run: this.runId,
+      source: entry.source || null,
+      path: entry.path || null,
+      detector: entry.detector,
+      token: entry.token === undefined ? null : entry.token,
+      hash: entry.hash || null
+    });
+
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, line + '\n', { mode: 0o600 });
+  }
+}
+
+/**
+ * In-memory audit log, used by dry runs that must not touch the real log
+ */
+class MemoryAuditLog {
+  constructor() {
+    this.entries = [];
+  }
+
+  record(entry) {
+    this.entries.push(entry);
+  }
+}
+
+/**
+ * Read an audit log. Malformed lines are counted, not fatal.
+ */
+function readAuditLog(file = process.env.PII_AUDIT_LOG || DEFAULT_AUDIT_LOG) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`PII audit log not found: ${file}. Enable it with PII_AUDIT_ENABLED=true`);
+  }
+
+  const entries = [];
+  let malformed = 0;
+
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      malformed++;
+    }
+  });
+
+  return { entries, malformed };
+}
+
+/**
+ * Redaction counts per run, per source and per detector
+ */
+function summarizeAudit(entries) {
+  const bump = (counts, key) => { counts[key] = (counts[key] || 0) + 1; };
+  const runs = new Map();
+  const sources = {};
+  const detectors = {};
+
+  entries.forEach(entry => {
+    const source = entry.source || '(none)';
+
+    if (!runs.has(entry.run)) {
+      runs.set(entry.run, { run: entry.run, started: entry.ts, ended: entry.ts, total: 0, sources: {}, detectors: {} });
+    }
+    const run = runs.get(entry.run);
+    run.total++;
+    if (entry.ts < run.started) run.started = entry.ts;
+    if (entry.ts > run.ended) run.ended = entry.ts;
+    bump(run.sources, source);
+    bump(run.detectors, entry.detector);
+
+    if (!sources[source]) sources[source] = { total: 0, detectors: {} };
+    sources[source].total++;
+    bump(sources[source].detectors, entry.detector);
+
+    bump(detectors, entry.detector);
+  });
+
+  return {
+    total: entries.length,
+    runs: Array.from(runs.values()).sort((a, b) => (a.started < b.started ? -1 : 1)),
+    sources,
+    detectors
+  };
+}
+
+/**
+ * Human-readable report of a summary
+ */
+function formatAuditReport(summary) {
+  const counts = (object) => Object.entries(object)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => `${key}: ${count}`)
+    .join(', ');
+
+  const lines = [`PII audit report: ${summary.total} redaction(s) in ${summary.runs.length} run(s)`, ''];
+
+  lines.push('Runs:');
+  summary.runs.forEach(run => {
+    lines.push(`  ${run.run}  ${run.started} → ${run.ended}  ${run.total} redaction(s)`);
+    lines.push(`    sources: ${counts(run.sources)}`);
+    lines.push(`    detectors: ${counts(run.detectors)}`);
+  });
+
+  lines.push('', 'Sources:');
+  Object.entries(summary.sources).forEach(([source, data]) => {
+    lines.push(`  ${source}: ${data.total} (${counts(data.detectors)})`);
+  });
+
+  lines.push('', 'Detectors:');
+  Object.entries(summary.detectors)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([detector, count]) => lines.push(`  ${detector}: ${count}`));
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  AuditLog,
+  MemoryAuditLog,
+  DEFAULT_AUDIT_LOG,
+  readAuditLog,
+  summarizeAudit,
+  formatAuditReport
+};
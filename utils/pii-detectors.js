@@ -0,0 +1,207 @@
+/**
+ * PII Detectors
+ * Registry of pattern-based detectors applied by PIIFilter.filterText.
+ *
+ * Each detector has:
+ * - type: stats/pseudonym key (e.g. 'card')
+ * - label: token prefix (e.g. 'CARD' -> [CARD_1])
+ * - env: environment toggle (set to 'false' to disable)
+ * - patterns: global regexes run in order, or
+ * - find(text): parser returning [{ start, end }] spans, for shapes a regex can't validate
+ * - validate(match, text, offset): optional check to reject false positives
+ */
+
+const net = require('net');
+const { findPhoneNumbers, DEFAULT_PHONE_REGIONS } = require('./phone-parser');
+
+/**
+ * Luhn checksum used by payment card numbers
+ */
+function luhnCheck(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19 || /^0+$/.test(digits)) return false;
+
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 mod-97 checksum used by IBANs
+ */
+function ibanCheck(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Norwegian national identity number (fødselsnummer) with both mod-11 control digits
+ */
+function fnrCheck(value) {
+  const digits = value.replace(/\D/g, '').split('').map(Number);
+  if (digits.length !== 11) return false;
+
+  const control = (weights) => {
+    const sum = weights.reduce((total, weight, i) => total + weight * digits[i], 0);
+    const result = 11 - (sum % 11);
+    return result === 11 ? 0 : result;
+  };
+
+  const k1 = control([3, 7, 6, 1, 8, 9, 4, 5, 2]);
+  const k2 = control([5, 4, 3, 2, 7, 6, 5, 4, 3, 2]);
+  return k1 !== 10 && k2 !== 10 && k1 === digits[9] && k2 === digits[10];
+}
+
+// Issuer prefixes: Visa, Mastercard (51-55, 2221-2720), Amex, Diners, JCB,
+// Discover, Maestro and UnionPay; year lists ("2023 2024 2025 2026") start elsewhere
+const CARD_PREFIX = /^(?:4|5[0-5]|2(?:22[1-9]|2[3-9]\d|[3-6]\d\d|7[01]\d|720)|3[47]|3(?:0[0-5]|[689])|35(?:2[89]|[3-8]\d)|5[6-9]|6)/;
+
+/**
+ * Reject matches that look like a version string ("v1.2.3.4", "version 10.0.0.1")
+ */
+function notVersion(match, text, offset) {
+  const before = text.slice(Math.max(0, offset - 9), offset).toLowerCase();
+  return !/(?:\bv|version\s?)$/.test(before);
+}
+
+const DEFAULT_DETECTORS = [
+  {
+    type: 'card',
+    label: 'CARD',
+    env: 'PII_DETECT_CARDS',
+    // Printed card groupings (4-4-4-4, 4-4-4-4-3, Amex 4-6-5) or 13-19 unbroken digits
+    patterns: [/\b(?:\d{4}([ -])\d{4}\1\d{4}\1\d{4}(?:\1\d{3})?|\d{4}([ -])\d{6}\2\d{5}|\d{13,19})\b/g],
+    validate: (match) => CARD_PREFIX.test(match) && luhnCheck(match)
+  },
+  {
+    type: 'iban',
+    label: 'IBAN',
+    env: 'PII_DETECT_IBAN',
+    patterns: [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g],
+    validate: (match) => ibanCheck(match)
+  },
+  {
+    type: 'email',
+    label: 'EMAIL',
+    option: 'anonymizeEmails',
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g]
+  },
+  {
+    type: 'ip',
+    label: 'IP',
+    env: 'PII_DETECT_IP',
+    patterns: [
+      /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
+      /(?<![\w:])(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}(?![\w:])/g
+    ],
+    validate: (match, text, offset) => {
+      if (net.isIPv4(match)) return notVersion(match, text, offset);
+      // Require real hex groups so "12:30:45" style timestamps never match
+      return net.isIPv6(match) && (match.match(/[0-9A-Fa-f]+/g) || []).length >= 3;
+    }
+  },
+  {
+    type: 'ssn',
+    label: 'SSN',
+    env: 'PII_DETECT_SSN',
+    // US SSN, hyphenated only; area 000/666/9xx, group 00 and serial 0000 are never issued
+    patterns: [/\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g]
+  },
+  {
+    type: 'nino',
+    label: 'NINO',
+    env: 'PII_DETECT_NINO',
+    // UK National Insurance number, excluding prefixes HMRC never allocates
+    patterns: [/\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g]
+  },
+  {
+    type: 'fnr',
+    label: 'FNR',
+    env: 'PII_DETECT_FNR',
+    // Norwegian fødselsnummer: DDMMYY + 5 digits
+    patterns: [/\b[0-7]\d[01]\d{3} ?\d{5}\b/g],
+    validate: (match) => fnrCheck(match)
+  },
+  {
+    type: 'phone',
+    label: 'PHONE',
+    option: 'anonymizePhone',
+    // E.164 and national formats checked against numbering plans (see phone-parser.js)
+    find: (text, options) => findPhoneNumbers(text, options.phoneRegions)
+  },
+  {
+    type: 'address',
+    label: 'ADDRESS',
+    env: 'PII_DETECT_ADDRESSES',
+    patterns: [
+      // "221B Baker Street", "1600 Pennsylvania Ave."
+      /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][a-z]+\.?\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Court|Ct|Way|Place|Pl|Terrace|Close)\b\.?/g,
+      // "Storgata 12", "Hauptstraße 5a", "Drottninggatan 8"
+      /(?<!\p{L})\p{Lu}\p{Ll}*(?:gata|gate|gaten|veien|vegen|vei|straße|strasse|weg|gasse|platz|vägen|gatan)\s+\d{1,4}[A-Za-z]?\b/gu
+    ]
+  }
+];
+
+/**
+ * Fresh copies of the default detectors with their env toggles resolved.
+ * options.phoneRegions: regions whose national phone formats are recognized
+ */
+function createDefaultDetectors(options = {}) {
+  const settings = { phoneRegions: options.phoneRegions || DEFAULT_PHONE_REGIONS };
+
+  return DEFAULT_DETECTORS.map(detector => ({
+    ...detector,
+    ...(detector.find ? { find: text => detector.find(text, settings) } : {}),
+    enabled: detector.env ? process.env[detector.env] !== 'false' : true
+  }));
+}
+
+/**
+ * Check a detector definition before it is registered
+ */
+function validateDetector(detector) {
+  if (!detector || typeof detector.type !== 'string' || !/^[a-z][a-zA-Z0-9]*$/.test(detector.type)) {
+    throw new Error('Detector requires a camelCase "type"');
+  }
+  if (typeof detector.label !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(detector.label)) {
+    throw new Error(`Detector "${detector.type}" requires an uppercase "label"`);
+  }
+  if (detector.find !== undefined) {
+    if (typeof detector.find !== 'function') {
+      throw new Error(`Detector "${detector.type}" has a non-function "find"`);
+    }
+  } else if (!Array.isArray(detector.patterns) || detector.patterns.length === 0 ||
+      !detector.patterns.every(pattern => pattern instanceof RegExp && pattern.global)) {
+    throw new Error(`Detector "${detector.type}" requires at least one global RegExp in "patterns" (or a "find" function)`);
+  }
+  if (detector.validate !== undefined && typeof detector.validate !== 'function') {
+    throw new Error(`Detector "${detector.type}" has a non-function "validate"`);
+  }
+}
+
+module.exports = {
+  createDefaultDetectors,
+  validateDetector,
+  luhnCheck,
+  ibanCheck,
+  fnrCheck
+};
@@ -0,0 +1,199 @@
+/**
+ * PII Diff
+ * Original vs. filtered comparison for the `pii-filter.js --diff` and `--explain`
+ * dry-run modes. Output contains original values, so it is only for the local terminal.
+ */
+
+const { formatPath } = require('./pii-policy');
+
+// Above this many line pairs, multi-line values are shown as a whole instead of diffed
+const MAX_LINE_DIFF_CELLS = 4000000;
+
+const COLORS = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  reset: '\x1b[0m'
+};
+
+/**
+ * Leaf-level differences between an original and a filtered value.
+ * Returns [{ path, before, after }]; `after` is undefined for dropped fields.
+ */
+function diffValues(original, filtered, path = []) {
+  const isObject = (value) => value !== null && typeof value === 'object';
+
+  if (isObject(original) && isObject(filtered)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(original), ...Object.keys(filtered)]);
+    keys.forEach(key => {
+      const segment = Array.isArray(original) ? Number(key) : key;
+      changes.push(...diffValues(original[key], filtered[key], path.concat(segment)));
+    });
+    return changes;
+  }
+
+  if (original === filtered) return [];
+  return [{ path: formatPath(path), before: original, after: filtered }];
+}
+
+/**
+ * Copy of filtered output with an empty slot put back for every array item the
+ * policy dropped (from the audit's policy:drop entries), so paths into it use the
+ * original indices again. Entries are in document order, so earlier drops in an
+ * array are restored before later ones and before drops nested deeper.
+ */
+function alignDropped(filtered, redactions) {
+  if (filtered === null || typeof filtered !== 'object') return filtered;
+
+  const aligned = structuredClone(filtered);
+  redactions
+    .filter(entry => entry.detector === 'policy:drop' && entry.path)
+    .forEach(entry => {
+      const segments = parseFieldPath(entry.path);
+      const index = segments.pop();
+      const parent = getAtPath(aligned, segments);
+      if (typeof index === 'number' && Array.isArray(parent)) parent.splice(index, 0, undefined);
+    });
+  return aligned;
+}
+
+/**
+ * Line diff (longest common subsequence).
+ * Returns [{ op: ' ' | '-' | '+', line }]
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  if (a.length * b.length > MAX_LINE_DIFF_CELLS) {
+    return [...a.map(line => ({ op: '-', line })), ...b.map(line => ({ op: '+', line }))];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ op: '-', line: a[i++] });
+    } else {
+      result.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ op: '-', line: a[i++] });
+  while (j < b.length) result.push({ op: '+', line: b[j++] });
+
+  return result;
+}
+
+/**
+ * Detectors that fired, grouped by JSON path, from recorded redactions
+ */
+function detectorsByPath(redactions) {
+  const byPath = new Map();
+  redactions.forEach(entry => {
+    const key = entry.path || '';
+    if (!byPath.has(key)) byPath.set(key, new Set());
+    byPath.get(key).add(entry.detector);
+  });
+  return byPath;
+}
+
+function display(value) {
+  if (value === undefined) return '(dropped)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Unified diff of changes, each headed by its path and the detectors that fired
+ */
+function formatDiff(changes, redactions, options = {}) {
+  const paint = (color, text) => (options.color ? `${COLORS[color]}${text}${COLORS.reset}` : text);
+  const byPath = detectorsByPath(redactions);
+  const lines = [paint('red', '--- original'), paint('green', '+++ filtered')];
+
+  changes.forEach(change => {
+    const detectors = byPath.get(change.path || '') || new Set();
+    const label = change.path || '(text)';
+    lines.push(paint('cyan', `@@ ${label}${detectors.size ? ` [${Array.from(detectors).join(', ')}]` : ''}`));
+
+    const before = display(change.before);
+    const after = display(change.after);
+    const multiline = before.includes('\n') || after.includes('\n');
+    const lineDiff = multiline
+      ? diffLines(before, after)
+      : [{ op: '-', line: before }, { op: '+', line: after }];
+
+    lineDiff.forEach(({ op, line }) => {
+      if (op === '-') lines.push(paint('red', `- ${line}`));
+      else if (op === '+') lines.push(paint('green', `+ ${line}`));
+      else lines.push(paint('dim', `  ${line}`));
+    });
+  });
+
+  lines.push('', `${changes.length} change(s)`);
+  return lines.join('\n');
+}
+
+/**
+ * Runtime path segments (keys and numeric indices) from "fields.comment[0].body"
+ */
+function parseFieldPath(text) {
+  const segments = [];
+  const tokenRegex = /\[(\d+)\]|([^.[\]]+)/g;
+  let match;
+  while ((match = tokenRegex.exec(text)) !== null) {
+    segments.push(match[1] !== undefined ? Number(match[1]) : match[2]);
+  }
+  if (segments.length === 0 || segments.some(segment => segment === '*' || segment === '**')) {
+    throw new Error(`--explain needs a concrete path like fields.comment or data[0].name, got "${text}"`);
+  }
+  return segments;
+}
+
+/**
+ * Value at a path, or undefined
+ */
+function getAtPath(value, segments) {
+  return segments.reduce((node, segment) => (node !== null && typeof node === 'object' ? node[segment] : undefined), value);
+}
+
+/**
+ * Explanation of one field: the rule that applied, before/after and detectors
+ */
+function formatExplanation({ path, reason, before, after, redactions }) {
+  const detectors = new Set();
+  redactions
+    .filter(entry => entry.path === path || (entry.path || '').startsWith(`${path}.`) || (entry.path || '').startsWith(`${path}[`))
+    .forEach(entry => detectors.add(entry.detector));
+  return [
+    `Path:      ${path}`,
+    `Rule:      ${reason}`,
+    `Original:  ${display(before)}`,
+    `Filtered:  ${display(after)}`,
+    `Detectors: ${detectors.size ? Array.from(detectors).join(', ') : '(none)'}`
+  ].join('\n');
+}
+
+module.exports = {
+  diffValues,
+  alignDropped,
+  diffLines,
+  formatDiff,
+  parseFieldPath,
+  getAtPath,
+  formatExplanation
+};
@@ -7,36 +7,591 @@
 
 require('dotenv').config();
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const TokenVault = require('./token-vault');
+const NameDetector = require('./name-detector');
+const { createDefaultDetectors, validateDetector } = require('./pii-detectors');
+const { DEFAULT_PHONE_REGIONS, parseRegions, toE164, countryCallingCode } = require('./phone-parser');
+const { SECRET_DETECTORS, isSecretKey } = require('./secret-detectors');
+const { matchShape } = require('./value-shapes');
+const { loadPolicy, compilePolicy, findRule, findStrategy, formatPath, DEFAULT_POLICY_FILE } = require('./pii-policy');
+const { loadCompanyRules, compileCompanyRules, companyLabel, companySegment } = require('./company-rules');
+const { AuditLog, MemoryAuditLog, readAuditLog, summarizeAudit, formatAuditReport } = require('./pii-audit');
+const { looksLikeMarkup, isADFDocument, filterStorageFormat, filterADF } = require('./markup-filter');
+const { diffValues, alignDropped, formatDiff, parseFieldPath, getAtPath, formatExplanation } = require('./pii-diff');
+const { NdjsonFilterStream, JsonFilterStream } = require('./pii-stream');
+const { DEFAULT_SCAN_DIR, collectFiles, scanFiles, quarantineFile, formatScanReport } = require('./leak-scanner');
+
+const ENTITY_TYPES = ['email', 'name', 'phone', 'company', 'account', 'domain'];
+const DEFAULT_PSEUDONYM_STORE = path.join(__dirname, '..', 'workspace', '.pii-pseudonyms.json');
+const TOKEN_MODES = ['counter', 'hmac'];
+const DEFAULT_TOKEN_LENGTH = 8;
+// URL parameters that carry personal identifiers; group 1 is kept
+const SENSITIVE_URL_PARAM_PATTERN = /([?&](?:email|user_id|userId|uid)=)[^&\s]+/g;
+
+// Filters with pseudonyms or vault entries not yet written, held weakly so callers
+// that never save still release them; one exit hook saves those still alive
+const unsavedFilters = new Set();
+const releasedFilters = new FinalizationRegistry(ref => unsavedFilters.delete(ref));
+let exitHookInstalled = false;
+
+function saveUnsavedFilters() {
+  unsavedFilters.forEach(ref => {
+    const filter = ref.deref();
+    // A store directory removed since (a cleaned-up temp dir) is not recreated
+    if (filter && filter.storePaths().every(file => fs.existsSync(path.dirname(file)))) filter.save();
+  });
+}
+
+/**
+ * JSON.stringify replacer for settingsFingerprint: compiled policies and rules hold
+ * Maps, Sets and RegExps, which would otherwise all serialize as {}
+ */
+function fingerprintValue(key, value) {
+  if (value instanceof Map) return Array.from(value);
+  if (value instanceof Set) return Array.from(value);
+  if (value instanceof RegExp) return String(value);
+  return value;
+}
+
 class PIIFilter {
   constructor(options = {}) {
     this.enabled = process.env.PII_FILTER_ENABLED !== 'false';
     this.anonymizeEmails = process.env.PII_ANONYMIZE_EMAILS !== 'false';
     this.anonymizeNames = process.env.PII_ANONYMIZE_NAMES !== 'false';
     this.anonymizePhone = process.env.PII_ANONYMIZE_PHONE !== 'false';
+    this.detectNames = process.env.PII_DETECT_NAMES !== 'false';
+    this.scrubSecrets = process.env.PII_SCRUB_SECRETS !== 'false';
 
-    // Counters for anonymization
-    this.counters = {
-      email: 0,
-      name: 0,
-      phone: 0,
-      company: 0
-    };
+    // Declarative rules (pii-policy.json); source picks the per-source rules
+    this.policy = options.policy ? compilePolicy(options.policy) : loadPolicy(options.policyFile);
+    this.source = options.source || null;
+    // Company size/industry lookup and labels (pii-company-rules.json)
+    this.companyRules = options.companyRules
+      ? compileCompanyRules(options.companyRules)
+      : loadCompanyRules(options.companyRulesFile);
+    this.runSalt = crypto.randomBytes(16);
+
+    // Free-text person/company detection (threshold via PII_NAME_CONFIDENCE)
+    this.nameDetector = new NameDetector({ threshold: options.nameConfidence });
+
+    // Pattern detectors applied by filterText, in order (see utils/pii-detectors.js)
+    // Regions whose national phone formats are recognized (international numbers always are)
+    this.phoneRegions = parseRegions(options.phoneRegions || process.env.PII_PHONE_REGIONS || DEFAULT_PHONE_REGIONS);
+    this.detectors = createDefaultDetectors({ phoneRegions: this.phoneRegions });
+
+    // Occurrence counters (every replacement bumps these)
+    this.counters = this.emptyCounters();
+
+    // Secrets found, by kind (aws_access_key, jwt, ...)
+    this.secretKinds = {};
+    this.warnedSecretKinds = new Set();
+
+    // With a stable key, pseudonyms are keyed by HMAC and persisted so the
+    // same person keeps the same token across sessions
+    this.pseudonymKey = options.pseudonymKey || process.env.PII_PSEUDONYM_KEY || null;
+    this.pseudonymStore = options.pseudonymStore || process.env.PII_PSEUDONYM_STORE || DEFAULT_PSEUDONYM_STORE;
+
+    // counter: [EMAIL_1] in order of appearance; hmac: [EMAIL_a93f12c0] derived from the
+    // keyed hash, so the same value gets the same token in every fetch and every source
+    this.tokenMode = options.tokenMode || process.env.PII_TOKEN_MODE || 'counter';
+    this.tokenLength = Number(options.tokenLength || process.env.PII_TOKEN_LENGTH || DEFAULT_TOKEN_LENGTH);
+    if (!TOKEN_MODES.includes(this.tokenMode)) {
+      throw new Error(`Unknown PII_TOKEN_MODE "${this.tokenMode}" (expected ${TOKEN_MODES.join(' or ')})`);
+    }
+    if (this.tokenMode === 'hmac' && !this.pseudonymKey) {
+      throw new Error('PII_TOKEN_MODE=hmac requires PII_PSEUDONYM_KEY (a long random local secret)');
+    }
+    if (!Number.isInteger(this.tokenLength) || this.tokenLength < 4 || this.tokenLength > 64) {
+      throw new Error('PII_TOKEN_LENGTH must be an integer between 4 and 64');
+    }
+
+    this.pseudonyms = this.loadPseudonyms();
+    this.pseudonymsDirty = false;
+    // Highest number and every id handed out per type, so a new entity costs O(1) to number
+    this.maxPseudonym = {};
+    this.usedIds = {};
+    Object.entries(this.pseudonyms).forEach(([type, map]) => map.forEach(id => this.notePseudonym(type, id)));
+
+    // Optional encrypted vault of token -> original, for re-identification on write-back
+    this.vault = options.vault || (process.env.PII_VAULT_ENABLED === 'true' ? new TokenVault() : null);
+    if (this.vault && this.tokenMode === 'counter') {
+      this.seedFromVault();
+    }
+
+    // Entities seen during this run, for unique-entity stats
+    this.seen = this.emptyEntitySets();
+
+    // Optional NDJSON audit trail of every redaction (PII_AUDIT_ENABLED)
+    this.audit = options.audit || (process.env.PII_AUDIT_ENABLED === 'true' ? new AuditLog() : null);
+    // Source and JSON path of the value being filtered (audit entries, per-source strategies)
+    this.context = null;
+
+    // Dry runs (persist: false) never write pseudonyms or vault entries
+    this.persist = options.persist !== false;
+  }
+
+  /**
+   * Queue this filter for the exit-time save (only when something would be written)
+   */
+  markUnsaved() {
+    if (!this.persist || !(this.pseudonymKey || this.vault)) return;
+
+    if (!this.unsavedRef) {
+      this.unsavedRef = new WeakRef(this);
+      releasedFilters.register(this, this.unsavedRef);
+    }
+    unsavedFilters.add(this.unsavedRef);
+    if (!exitHookInstalled) {
+      process.once('exit', saveUnsavedFilters);
+      exitHookInstalled = true;
+    }
+  }
+
+  /**
+   * Files save() writes: the pseudonym store (with a stable key) and the vault
+   */
+  storePaths() {
+    return [this.pseudonymKey ? this.pseudonymStore : null, this.vault ? this.vault.vaultPath : null].filter(Boolean);
+  }
+
+  /**
+   * All entity types: the structured ones plus every registered detector
+   */
+  entityTypes() {
+    const types = ENTITY_TYPES.slice();
+    this.detectors.forEach(detector => {
+      if (!types.includes(detector.type)) types.push(detector.type);
+    });
+    return types;
+  }
+
+  /**
+   * Zeroed occurrence counter per entity type
+   */
+  emptyCounters() {
+    const counters = {};
+    this.entityTypes().forEach(type => { counters[type] = 0; });
+    counters.secret = 0;
+    return counters;
+  }
+
+  /**
+   * Build one empty Set per entity type
+   */
+  emptyEntitySets() {
+    const sets = {};
+    this.entityTypes().forEach(type => { sets[type] = new Set(); });
+    return sets;
+  }
+
+  /**
+   * Pseudonym map for a type (created on first use)
+   */
+  entityMap(type) {
+    if (!this.pseudonyms[type]) {
+      this.pseudonyms[type] = new Map();
+    }
+    return this.pseudonyms[type];
+  }
+
+  /**
+   * Normalize a value so trivial variations map to the same entity
+   */
+  normalizeValue(type, value) {
+    const text = String(value).normalize('NFKC').trim();
+
+    if (type === 'email') {
+      return text.toLowerCase();
+    }
+    if (type === 'phone') {
+      return toE164(text, this.phoneRegions) || text.replace(/(?!^\+)[^\d]/g, '');
+    }
+    if (['card', 'iban', 'ssn', 'nino', 'fnr'].includes(type)) {
+      return text.replace(/[\s-]/g, '').toUpperCase();
+    }
+    return text.toLowerCase().replace(/[.,]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Lookup key for an entity - keyed HMAC when a stable key is configured
+   */
+  entityKey(type, value) {
+    const normalized = this.normalizeValue(type, value);
+    if (!this.pseudonymKey) return normalized;
+
+    return crypto
+      .createHmac('sha256', this.pseudonymKey)
+      .update(`${type}:${normalized}`)
+      .digest('hex');
+  }
+
+  /**
+   * Return the pseudonym number (or hash id in hmac mode) for a value,
+   * assigning one on first sight
+   */
+  pseudonymFor(type, value) {
+    const key = this.entityKey(type, value);
+    const entities = this.entityMap(type);
+
+    if (!entities.has(key)) {
+      const id = this.tokenMode === 'hmac' ? this.hashId(type, key) : this.nextPseudonym(type);
+      entities.set(key, id);
+      this.notePseudonym(type, id);
+      this.pseudonymsDirty = true;
+      this.markUnsaved();
+    }
+
+    if (!this.seen[type]) {
+      this.seen[type] = new Set();
+    }
+    this.seen[type].add(key);
+    return entities.get(key);
+  }
+
+  /**
+   * Ids (numbers or hash prefixes) assigned for a type
+   */
+  idsInUse(type) {
+    if (!this.usedIds[type]) {
+      this.usedIds[type] = new Set();
+    }
+    return this.usedIds[type];
+  }
+
+  /**
+   * Next unused pseudonym number for a type
+   */
+  nextPseudonym(type) {
+    return (this.maxPseudonym[type] || 0) + 1;
+  }
+
+  /**
+   * Track an assigned number (or hash id) for nextPseudonym and hashId
+   */
+  notePseudonym(type, id) {
+    this.idsInUse(type).add(id);
+    if (typeof id === 'number' && id > (this.maxPseudonym[type] || 0)) {
+      this.maxPseudonym[type] = id;
+    }
+  }
+
+  /**
+   * Hash id for hmac mode: a prefix of the keyed hash, lengthened when it
+   * collides with another value's id (the assignment is then persisted)
+   */
+  hashId(type, key) {
+    const used = this.idsInUse(type);
+
+    for (let length = this.tokenLength; length < key.length; length += 4) {
+      const id = key.slice(0, length);
+      if (!used.has(id)) {
+        if (length > this.tokenLength) {
+          console.error(`⚠️  PII token collision for ${type}; using a longer token`);
+        }
+        return id;
+      }
+    }
+    return key;
+  }
+
+  /**
+   * Replace a value with its consistent token and count the occurrence
+   */
+  pseudonymize(type, value) {
+    this.counters[type] = (this.counters[type] || 0) + 1;
+    const number = this.pseudonymFor(type, value);
+    const token = this.formatToken(type, number, value);
+
+    // Generalized company buckets stand for many companies and can't be rehydrated
+    if (this.vault && !(type === 'company' && this.strategyFor('company') !== 'label')) {
+      this.vault.record(token, value, this.normalizeValue(type, value));
+      this.markUnsaved();
+    }
+    this.auditRedaction(type, token, value);
+
+    return token;
+  }
+
+  /**
+   * Record a redaction in the audit log (no-op unless auditing is on)
+   */
+  auditRedaction(detector, token, original) {
+    if (!this.audit) return;
+
+    const context = this.context || {};
+    this.audit.record({
+      source: context.source || this.source,
+      path: context.path ? formatPath(context.path) : null,
+      detector,
+      token,
+      hash: original === undefined ? null : this.hashValue(original)
+    });
+  }
+
+  /**
+   * Parse a token back into its entity type and number
+   */
+  parseToken(token) {
+    // Counter tokens carry a number, hmac tokens a hex id
+    const id = (text) => (/^\d+$/.test(text) ? Number(text) : text);
+
+    let match = token.match(/^\[([A-Z][A-Z0-9_]*)_([0-9a-f]+)\]$/);
+    const detector = match && this.detectors.find(candidate => candidate.label === match[1]);
+    if (detector) {
+      return { type: detector.type, number: id(match[2]) };
+    }
+    if (match && match[1] === 'ACCOUNT') {
+      return { type: 'account', number: id(match[2]) };
+    }
+
+    // Format-preserving forms: `[USER_3]@acme.com`, `[USER_3]@[DOMAIN_1]`, `+44 [PHONE_1]`
+    match = token.match(/^\[USER_([0-9a-f]+)\]@(?:\[DOMAIN_[0-9a-f]+\]|[^\s@[\]]+)$/);
+    if (match) {
+      return { type: 'email', number: id(match[1]) };
+    }
+    match = token.match(/^\+\d{1,3} \[PHONE_([0-9a-f]+)\]$/);
+    if (match) {
+      return { type: 'phone', number: id(match[1]) };
+    }
+
+    match = token.match(/^Participant(?: (\d+)|-([0-9a-f]+))$/);
+    if (match) {
+      return { type: 'name', number: id(match[1] || match[2]) };
+    }
+
+    const labels = this.companyRules.labels.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    match = token.match(new RegExp(`^(?:${labels.join('|')})(?: (\\d+)|-([0-9a-f]+))$`));
+    if (match) {
+      return { type: 'company', number: id(match[1] || match[2]) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reuse the numbers already recorded in the vault so new runs don't
+   * hand out a token that already means someone else
+   */
+  seedFromVault() {
+    for (const [token, original] of this.vault.tokens()) {
+      const parsed = this.parseToken(token);
+      if (!parsed || typeof parsed.number !== 'number') continue;
+
+      const key = this.entityKey(parsed.type, original);
+      const entities = this.entityMap(parsed.type);
+      if (!entities.has(key) && !this.idsInUse(parsed.type).has(parsed.number)) {
+        entities.set(key, parsed.number);
+        this.notePseudonym(parsed.type, parsed.number);
+      }
+    }
+  }
+
+  /**
+   * Replace tokens in LLM output with the original values from the vault.
+   * Only for write-back to Confluence/Jira - never print the result to stdout.
+   */
+  rehydrate(text) {
+    if (!this.vault) {
+      throw new Error('PII vault not enabled. Set PII_VAULT_ENABLED=true and PII_VAULT_KEY in .env');
+    }
+
+    const ambiguous = this.vault.ambiguousTokens(text);
+    if (ambiguous.length > 0) {
+      console.error(`⚠️  ${ambiguous.length} token(s) map to more than one value and were left as-is`);
+    }
+
+    return this.vault.rehydrate(text);
+  }
+
+  /**
+   * Re-issue vault tokens in text under the current key and token mode.
+   * Used after rotating PII_PSEUDONYM_KEY or switching PII_TOKEN_MODE, so saved
+   * outputs can still be joined with new ones. Unknown tokens are left as-is.
+   */
+  rekey(text) {
+    if (!this.vault) {
+      throw new Error('PII vault not enabled. Rekeying needs the vault to recover original values');
+    }
+    if (!text) return text;
+
+    // Longest first so `Participant 12` wins over `Participant 1`
+    const tokens = Array.from(this.vault.tokens())
+      .filter(([token]) => text.includes(token) && this.parseToken(token))
+      .sort((a, b) => b[0].length - a[0].length);
+    if (tokens.length === 0) return text;
+
+    const replacements = new Map(tokens.map(([token, original]) => [token, this.pseudonymize(this.parseToken(token).type, original)]));
+    const pattern = new RegExp(
+      tokens.map(([token]) => {
+        const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return /\w$/.test(token) ? `${escaped}(?![0-9A-Za-z])` : escaped;
+      }).join('|'),
+      'g'
+    );
+    return text.replace(pattern, (match) => replacements.get(match));
+  }
+
+  /**
+   * Persist pseudonyms and vault entries
+   */
+  save() {
+    if (!this.persist) return;
+
+    this.savePseudonyms();
+    if (this.vault) {
+      this.vault.save();
+    }
+    if (this.unsavedRef) unsavedFilters.delete(this.unsavedRef);
+  }
+
+  /**
+   * Render the token for an entity number (or hash id in hmac mode)
+   */
+  formatToken(type, number, value) {
+    const separator = typeof number === 'number' ? ' ' : '-';
+    switch (type) {
+      case 'name':
+        return `Participant${separator}${number}`;
+      case 'company': {
+        const strategy = this.strategyFor('company');
+        if (strategy !== 'label') return companySegment(this.companyRules, value, strategy);
+        return `${this.companyLabel(value)}${separator}${number}`;
+      }
+      case 'email': {
+        const strategy = this.strategyFor('email');
+        const at = value.lastIndexOf('@');
+        if (strategy === 'token' || at === -1) return `[EMAIL_${number}]`;
+
+        const domain = value.slice(at + 1).toLowerCase();
+        const shownDomain = strategy === 'pseudonymize-domain' ? `[DOMAIN_${this.pseudonymFor('domain', domain)}]` : domain;
+        return `[USER_${number}]@${shownDomain}`;
+      }
+      case 'phone': {
+        const code = this.strategyFor('phone') === 'keep-country' ? countryCallingCode(value) : null;
+        return code ? `+${code} [PHONE_${number}]` : `[PHONE_${number}]`;
+      }
+      default: {
+        const detector = this.getDetector(type);
+        return `[${detector ? detector.label : type.toUpperCase()}_${number}]`;
+      }
+    }
+  }
+
+  /**
+   * Token strategy for a type under the source being filtered (see pii-policy.json `strategies`)
+   */
+  strategyFor(type) {
+    const source = (this.context && this.context.source) || this.source;
+    return findStrategy(this.policy, source, type);
   }
 
   /**
-   * Filter PII from text
+   * Load persisted pseudonyms (only used when a stable key is configured)
+   */
+  loadPseudonyms() {
+    const pseudonyms = {};
+
+    if (!this.pseudonymKey || !fs.existsSync(this.pseudonymStore)) {
+      return pseudonyms;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.pseudonymStore, 'utf8'));
+      if (stored.keyFingerprint !== this.keyFingerprint()) {
+        console.error('⚠️  PII pseudonym store was written with a different PII_PSEUDONYM_KEY; starting fresh');
+        return pseudonyms;
+      }
+      if ((stored.tokenMode || 'counter') !== this.tokenMode) {
+        console.error(`⚠️  PII pseudonym store was written in ${stored.tokenMode || 'counter'} mode; starting fresh`);
+        return pseudonyms;
+      }
+      Object.entries(stored.entities || {}).forEach(([type, entries]) => {
+        pseudonyms[type] = new Map(Object.entries(entries));
+      });
+    } catch (e) {
+      console.error(`⚠️  Could not read PII pseudonym store: ${e.message}`);
+    }
+
+    return pseudonyms;
+  }
+
+  /**
+   * Persist pseudonyms so tokens stay stable across sessions.
+   * Only keyed hashes and numbers are written, never original values.
+   */
+  savePseudonyms() {
+    if (!this.pseudonymKey || !this.pseudonymsDirty) return;
+
+    const entities = {};
+    Object.entries(this.pseudonyms).forEach(([type, map]) => {
+      entities[type] = Object.fromEntries(map);
+    });
+
+    fs.mkdirSync(path.dirname(this.pseudonymStore), { recursive: true });
+    fs.writeFileSync(
+      this.pseudonymStore,
+      JSON.stringify({ version: 1, keyFingerprint: this.keyFingerprint(), tokenMode: this.tokenMode, entities }, null, 2),
+      { mode: 0o600 }
+    );
+    this.pseudonymsDirty = false;
+  }
+
+  /**
+   * Short fingerprint of the pseudonym key, used to detect key changes
+   */
+  keyFingerprint() {
+    return crypto.createHash('sha256').update(String(this.pseudonymKey)).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Short hash of the settings that change filtered output, so cached results
+   * (ResponseCache) produced under other settings are not reused
+   */
+  settingsFingerprint() {
+    const settings = [
+      this.enabled, this.anonymizeEmails, this.anonymizeNames, this.anonymizePhone, this.detectNames,
+      this.scrubSecrets, this.source, this.tokenMode, this.tokenLength, this.keyFingerprint(), this.phoneRegions,
+      this.policy, this.companyRules, this.nameDetector.threshold,
+      this.detectors.map(detector => [detector.type, this.isDetectorEnabled(detector), detector.patterns])
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(settings, fingerprintValue)).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Filter PII from text. Confluence storage-format XHTML is parsed so only
+   * text nodes, user references and link targets are filtered.
    */
   filterText(text) {
     if (!this.enabled || !text) return text;
 
+    if (looksLikeMarkup(text)) {
+      return this.filterStorageFormat(text);
+    }
+    return this.filterPlainText(text);
+  }
+
+  /**
+   * Filter PII from text that contains no markup
+   */
+  filterPlainText(text) {
+    if (!this.enabled || !text) return text;
+
     let filtered = text;
 
-    if (this.anonymizeEmails) {
-      filtered = this.filterEmails(filtered);
-    }
+    // Credentials first, so their digits/letters can't be half-matched as PII
+    filtered = this.filterSecrets(filtered);
 
-    if (this.anonymizePhone) {
-      filtered = this.filterPhoneNumbers(filtered);
+    this.detectors.forEach(detector => {
+      if (this.isDetectorEnabled(detector)) {
+        filtered = this.applyDetector(detector, filtered);
+      }
+    });
+
+    if (this.anonymizeNames && this.detectNames) {
+      filtered = this.filterNames(filtered);
     }
 
     // Filter URLs that might contain personal info
@@ -45,43 +600,159 @@ class PIIFilter {
     return filtered;
   }
 
+  /**
+   * Find PII and secrets in text without replacing them (detect-only, for scanning
+   * generated files). Runs the same detectors as filterPlainText; nothing is counted,
+   * pseudonymized or audited. Returns [{ type, start, end, value }] in text order.
+   */
+  detect(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const findings = [];
+    // Earlier detectors win, as when filterPlainText replaces in sequence
+    const add = (type, start, end) => {
+      if (findings.some(finding => start < finding.end && end > finding.start)) return;
+      findings.push({ type, start, end, value: text.slice(start, end) });
+    };
+
+    if (this.scrubSecrets) {
+      SECRET_DETECTORS.forEach(detector => {
+        detector.patterns.forEach(pattern => {
+          for (const match of text.matchAll(pattern)) {
+            const prefix = typeof match[1] === 'string' ? match[1] : '';
+            if (detector.validate && !detector.validate(match[0], match[0].slice(prefix.length))) continue;
+            add(`secret:${detector.kind}`, match.index + prefix.length, match.index + match[0].length);
+          }
+        });
+      });
+    }
+
+    this.detectors.filter(detector => this.isDetectorEnabled(detector)).forEach(detector => {
+      if (detector.find) {
+        detector.find(text).forEach(span => add(detector.type, span.start, span.end));
+        return;
+      }
+      detector.patterns.forEach(pattern => {
+        for (const match of text.matchAll(pattern)) {
+          if (detector.validate && !detector.validate(match[0], text, match.index)) continue;
+          add(detector.type, match.index, match.index + match[0].length);
+        }
+      });
+    });
+
+    if (this.anonymizeNames && this.detectNames) {
+      this.nameDetector.detect(text).forEach(detection => add(detection.type, detection.start, detection.end));
+    }
+
+    for (const match of text.matchAll(SENSITIVE_URL_PARAM_PATTERN)) {
+      const start = match.index + match[1].length;
+      if (text.slice(start, match.index + match[0].length) !== '[REDACTED]') {
+        add('url_parameter', start, match.index + match[0].length);
+      }
+    }
+
+    return findings.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Filter Confluence storage format (XHTML), keeping it valid XHTML
+   */
+  filterStorageFormat(markup) {
+    if (!this.enabled) return markup;
+    return filterStorageFormat(markup, this);
+  }
+
+  /**
+   * Filter a Jira ADF document (text, mentions, links), keeping it valid ADF
+   */
+  filterADF(doc) {
+    if (!this.enabled) return doc;
+    return filterADF(doc, this);
+  }
+
+  /**
+   * Redact API tokens, keys, JWTs, private keys and Authorization headers
+   */
+  filterSecrets(text) {
+    if (!this.enabled || !this.scrubSecrets || !text) return text;
+
+    let filtered = text;
+
+    SECRET_DETECTORS.forEach(detector => {
+      detector.patterns.forEach(pattern => {
+        filtered = filtered.replace(pattern, (match, ...args) => {
+          // Keep a leading capture group such as "Authorization: " or "password="
+          const prefix = typeof args[0] === 'string' ? args[0] : '';
+          const secret = match.slice(prefix.length);
+          if (detector.validate && !detector.validate(match, secret)) {
+            return match;
+          }
+          return prefix + this.redactSecret(detector.kind, secret);
+        });
+      });
+    });
+
+    return filtered;
+  }
+
+  /**
+   * Count a secret and return its token.
+   * Secrets are never pseudonymized, persisted or recorded in the vault.
+   */
+  redactSecret(kind, value) {
+    this.counters.secret = (this.counters.secret || 0) + 1;
+    this.secretKinds[kind] = (this.secretKinds[kind] || 0) + 1;
+
+    if (!this.warnedSecretKinds.has(kind)) {
+      this.warnedSecretKinds.add(kind);
+      console.error(`⚠️  Secret detected and redacted (${kind}). If it is real, rotate it at the source.`);
+    }
+
+    const token = `[SECRET_${this.counters.secret}]`;
+    this.auditRedaction(`secret:${kind}`, token, value);
+    return token;
+  }
+
   /**
    * Filter emails with anonymization
    */
   filterEmails(text) {
-    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
-    return text.replace(emailRegex, (match) => {
-      this.counters.email++;
-      return `[EMAIL_${this.counters.email}]`;
-    });
+    return this.applyDetector(this.getDetector('email'), text);
   }
 
   /**
    * Filter phone numbers
-   * More specific patterns to avoid matching UUIDs, dates, and other numeric data
+   * Checked against numbering plans so IDs, dates and version strings are left alone
    */
   filterPhoneNumbers(text) {
-    // Only match actual phone number patterns with clear formatting
-    // Avoid matching UUIDs, dates, or random numeric sequences
-    const phonePatterns = [
-      // US format: (123) 456-7890 or 123-456-7890
-      /\b\(?\d{3}\)?[-.\s]\d{3}[-.\s]\d{4}\b/g,
-      // International: +1 234 567 8900 or +44 20 7946 0958
-      /\b\+\d{1,3}\s\d{2,4}\s\d{3,4}\s\d{4}\b/g,
-      // Format with dots: 123.456.7890
-      /\b\d{3}\.\d{3}\.\d{4}\b/g
-    ];
+    return this.applyDetector(this.getDetector('phone'), text);
+  }
+
+  /**
+   * Run one detector over text, replacing validated matches with tokens
+   */
+  applyDetector(detector, text) {
+    if (detector.find) {
+      // Assign tokens in reading order, then splice from the end so offsets stay valid
+      const spans = detector.find(text);
+      const tokens = spans.map(span => this.pseudonymize(detector.type, text.slice(span.start, span.end)));
+      let filtered = text;
+      for (let i = spans.length - 1; i >= 0; i--) {
+        filtered = filtered.slice(0, spans[i].start) + tokens[i] + filtered.slice(spans[i].end);
+      }
+      return filtered;
+    }
 
     let filtered = text;
-    phonePatterns.forEach(pattern => {
-      filtered = filtered.replace(pattern, (match) => {
-        // Additional check: make sure it's not part of a UUID or timestamp
-        // UUIDs have letters, timestamps have colons
-        if (!/[a-f]/i.test(match) && !/:/.test(match)) {
-          this.counters.phone++;
-          return `[PHONE_${this.counters.phone}]`;
+
+    detector.patterns.forEach(pattern => {
+      filtered = filtered.replace(pattern, (match, ...args) => {
+        const offset = args[args.length - 2];
+        const source = args[args.length - 1];
+        if (detector.validate && !detector.validate(match, source, offset)) {
+          return match;
         }
-        return match;
+        return this.pseudonymize(detector.type, match);
       });
     });
 
@@ -89,28 +760,82 @@ class PIIFilter {
   }
 
   /**
-   * Filter URLs that might contain personal identifiers
+   * Whether a detector is switched on (email/phone follow the legacy PII_ANONYMIZE_* flags)
    */
-  filterSensitiveUrls(text) {
-    // Remove email parameters from URLs
-    const urlWithEmailRegex = /([?&]email=)[^&\s]+/g;
-    let filtered = text.replace(urlWithEmailRegex, '$1[REDACTED]');
+  isDetectorEnabled(detector) {
+    return detector.option ? this[detector.option] : detector.enabled;
+  }
+
+  /**
+   * Look up a registered detector by type
+   */
+  getDetector(type) {
+    return this.detectors.find(detector => detector.type === type);
+  }
+
+  /**
+   * Register an additional detector.
+   * Runs before the detector named in options.before, otherwise last.
+   */
+  registerDetector(detector, options = {}) {
+    validateDetector(detector);
+    if (this.getDetector(detector.type)) {
+      throw new Error(`Detector "${detector.type}" is already registered`);
+    }
 
-    // Remove user ID-like parameters
-    const userIdRegex = /([?&](?:user_id|userId|uid)=)[^&\s]+/g;
-    filtered = filtered.replace(userIdRegex, '$1[REDACTED]');
+    const entry = { enabled: true, ...detector };
+    const index = options.before
+      ? this.detectors.findIndex(existing => existing.type === options.before)
+      : -1;
+
+    if (index === -1) {
+      this.detectors.push(entry);
+    } else {
+      this.detectors.splice(index, 0, entry);
+    }
+
+    this.counters[entry.type] = this.counters[entry.type] || 0;
+    return entry;
+  }
+
+  /**
+   * Filter person and company names detected in free text
+   */
+  filterNames(text) {
+    const detections = this.nameDetector.detect(text);
+    if (detections.length === 0) return text;
+
+    // Assign tokens in reading order, then splice from the end so offsets stay valid
+    const tokens = detections.map(detection => this.pseudonymize(detection.type, detection.value));
+    let filtered = text;
+    for (let i = detections.length - 1; i >= 0; i--) {
+      filtered = filtered.slice(0, detections[i].start) + tokens[i] + filtered.slice(detections[i].end);
+    }
 
     return filtered;
   }
 
+  /**
+   * Filter URLs that might contain personal identifiers
+   */
+  filterSensitiveUrls(text) {
+    const redact = (match, parameter) => {
+      this.auditRedaction('url_parameter', '[REDACTED]', match.slice(parameter.length));
+      return `${parameter}[REDACTED]`;
+    };
+
+    // Remove email and user ID-like parameters
+    return text.replace(SENSITIVE_URL_PARAM_PATTERN, redact);
+  }
+
   /**
    * Anonymize person names in structured data
    */
   anonymizeName(name) {
     if (!this.enabled || !this.anonymizeNames || !name) return name;
 
-    this.counters.name++;
-    return `Participant ${this.counters.name}`;
+    this.nameDetector.learnName(name);
+    return this.pseudonymize('name', name);
   }
 
   /**
@@ -119,45 +844,131 @@ class PIIFilter {
   anonymizeCompany(company) {
     if (!this.enabled || !company) return company;
 
-    this.counters.company++;
-    // Try to preserve company size/type hints
-    if (company.toLowerCase().includes('enterprise') || company.toLowerCase().includes('corp')) {
-      return `Enterprise Client ${this.counters.company}`;
-    } else if (company.toLowerCase().includes('startup')) {
-      return `Startup Client ${this.counters.company}`;
-    } else {
-      return `Company ${this.counters.company}`;
-    }
+    this.nameDetector.learnCompany(company);
+    return this.pseudonymize('company', company);
   }
 
+  /**
+   * Company token label from the company rule set (size label, else "Company")
+   */
+  companyLabel(company) {
+    return companyLabel(this.companyRules, company);
+  }
+
+
   /**
    * Filter PII from a nested object recursively
+   * options.source selects the per-source rules from the PII policy
+   * options.path is where obj sits in a larger document (e.g. ['data', 12] when streaming)
    */
-  filterObject(obj, fieldRules = {}) {
+  filterObject(obj, fieldRules = {}, options = {}) {
     if (!this.enabled || !obj) return obj;
 
-    const filtered = Array.isArray(obj) ? [] : {};
+    const source = options.source || this.source;
+    const path = options.path || [];
+
+    // Learn names/companies from structured fields first so free text
+    // anywhere in the object can be matched against them
+    this.learnEntities(obj, path, source);
+
+    const previousContext = this.context;
+    this.context = { source, path };
+    try {
+      const inherited = path.length > 0 ? findRule(this.policy, source, path) : null;
+      return this.filterNode(obj, fieldRules, path, source, inherited);
+    } finally {
+      this.context = previousContext;
+    }
+  }
+
+  /**
+   * Collect names and companies from structured fields (policy rules and PII keys)
+   */
+  learnEntities(obj, path = [], source = this.source) {
+    if (!obj || typeof obj !== 'object') return;
 
     for (const key in obj) {
       const value = obj[key];
+      const childPath = path.concat(Array.isArray(obj) ? Number(key) : key);
+
+      if (value && typeof value === 'object') {
+        this.learnEntities(value, childPath, source);
+      } else if (typeof value === 'string') {
+        const rule = findRule(this.policy, source, childPath);
+        const type = rule ? (rule.action === 'pseudonymize' ? rule.as : null) : this.piiFieldType(key);
+        if (type === 'name') {
+          this.nameDetector.learnName(value);
+        } else if (type === 'company') {
+          this.nameDetector.learnCompany(value);
+        }
+      }
+    }
+  }
+
+  /**
+   * PII type of a key according to the policy defaults (email, phone, name, company)
+   */
+  piiFieldType(key) {
+    const lower = String(key).toLowerCase();
+    return Object.keys(this.policy.piiFields).find(type => this.policy.piiFields[type].has(lower)) || null;
+  }
+
+  /**
+   * Filter one node of an object tree.
+   * `inherited` is a keep/pseudonymize/hash rule that matched an ancestor object.
+   */
+  filterNode(obj, fieldRules, path = [], source = this.source, inherited = null) {
+    if (!obj) return obj;
+
+    const isArray = Array.isArray(obj);
+    const filtered = isArray ? [] : {};
+
+    for (const key in obj) {
+      let value = obj[key];
+      const childPath = path.concat(isArray ? Number(key) : key);
+      const rule = findRule(this.policy, source, childPath) || inherited;
+      if (this.context) {
+        this.context.path = childPath;
+      }
+
+      if (rule && rule.action === 'drop') {
+        this.auditRedaction('policy:drop', null);
+        continue;
+      }
+
+      // ADF documents (Jira descriptions, comment bodies) are filtered as a whole
+      if (!rule && isADFDocument(value)) {
+        filtered[key] = this.filterADF(value);
+        continue;
+      }
 
       // Handle nested objects
       if (value && typeof value === 'object') {
-        filtered[key] = this.filterObject(value, fieldRules);
+        if (rule && rule.action === 'redact') {
+          this.auditRedaction('policy:redact', '[REDACTED]');
+          filtered[key] = '[REDACTED]';
+        } else {
+          filtered[key] = this.filterNode(value, fieldRules, childPath, source, rule);
+        }
         continue;
       }
 
       // Handle string values
       if (typeof value === 'string') {
-        // Skip fields that are known safe (IDs, timestamps, UUIDs, URLs, etc.)
-        const safeFields = [
-          'id', 'uuid', 'guid', 'self', 'html', 'url', 'href', 'link',
-          'createdat', 'updatedat', 'deletedat', 'timestamp', 'date',
-          'type', 'status', 'state', 'role', 'archived', 'granularity',
-          'startdate', 'enddate', 'timeframe', 'code', 'key'
-        ];
-
-        if (safeFields.includes(key.toLowerCase())) {
+        // Credential fields are redacted whole, whatever their shape or policy
+        if (this.scrubSecrets && value && isSecretKey(key)) {
+          filtered[key] = this.redactSecret('secret_field', value);
+          continue;
+        }
+
+        // Secrets are scrubbed everywhere, including safe, kept and structured fields
+        value = this.filterSecrets(value);
+
+        if (rule) {
+          filtered[key] = this.applyPolicyRule(rule, value);
+        }
+        // Keep safe fields (IDs, timestamps, URLs, etc.) only when the value has the expected shape
+        else if (this.safeShape(key, value)) {
           filtered[key] = value;
         }
         // Apply field-specific rules
@@ -165,51 +976,147 @@ class PIIFilter {
           filtered[key] = fieldRules[key](value, this);
         }
         // Check for common PII field names
-        else if (['email', 'email_address', 'user_email'].includes(key.toLowerCase())) {
-          this.counters.email++;
-          filtered[key] = `[EMAIL_${this.counters.email}]`;
-        }
-        else if (['phone', 'phone_number', 'mobile'].includes(key.toLowerCase())) {
-          this.counters.phone++;
-          filtered[key] = `[PHONE_${this.counters.phone}]`;
-        }
-        else if (['name', 'full_name', 'display_name', 'user_name', 'customer_name'].includes(key.toLowerCase())) {
+        else if (this.piiFieldType(key) === 'name') {
           filtered[key] = this.anonymizeName(value);
         }
-        else if (['company', 'company_name', 'organization'].includes(key.toLowerCase())) {
+        else if (this.piiFieldType(key) === 'company') {
           filtered[key] = this.anonymizeCompany(value);
         }
+        else if (this.piiFieldType(key)) {
+          filtered[key] = this.pseudonymize(this.piiFieldType(key), value);
+        }
         else {
           // Apply text filtering for any other string fields
           filtered[key] = this.filterText(value);
         }
+      } else if (rule && value !== null && value !== undefined && typeof value !== 'boolean') {
+        // Numbers under a policy rule (e.g. numeric account IDs)
+        filtered[key] = this.applyPolicyRule(rule, value);
       } else {
         filtered[key] = value;
       }
     }
 
-    return filtered;
+    // Dropped array items must not leave holes
+    return isArray ? filtered.filter(() => true) : filtered;
+  }
+
+  /**
+   * Shape that makes a safe field's value safe to keep (e.g. 'uuid'), or null
+   */
+  safeShape(key, value) {
+    const shapes = this.policy.safeFields.get(String(key).toLowerCase());
+    return shapes ? matchShape(shapes, value) : null;
+  }
+
+  /**
+   * Describe how filterObject treats the value at a path (for `--explain`)
+   */
+  explainPath(pathSegments, source = this.source, value) {
+    const key = String(pathSegments.filter(segment => typeof segment === 'string').pop() || '');
+
+    for (let i = pathSegments.length; i > 0; i--) {
+      const rule = findRule(this.policy, source, pathSegments.slice(0, i));
+      if (rule) {
+        const as = rule.as ? ` as ${rule.as}` : '';
+        const inherited = i < pathSegments.length ? `, inherited from ${formatPath(pathSegments.slice(0, i))}` : '';
+        return `policy rule "${rule.path}" (${source}) → ${rule.action}${as}${inherited}`;
+      }
+    }
+
+    if (this.scrubSecrets && isSecretKey(key)) {
+      return 'credential field → redacted as a secret';
+    }
+    const shapes = this.policy.safeFields.get(key.toLowerCase());
+    if (shapes && value === undefined) {
+      return `safe field → kept if ${shapes.join(' or ')}, else free text`;
+    }
+    if (shapes && this.safeShape(key, value)) {
+      return `safe field (${this.safeShape(key, value)}) → kept (secrets still scrubbed)`;
+    }
+    const unexpected = shapes ? `safe field, but not ${shapes.join(' or ')} → ` : '';
+
+    const type = this.piiFieldType(key);
+    if (type) {
+      return `PII field → pseudonymized as ${type}`;
+    }
+    return `${unexpected}free text → secrets, detectors and name detection`;
+  }
+
+  /**
+   * Apply a policy rule action to a single value
+   */
+  applyPolicyRule(rule, value) {
+    switch (rule.action) {
+      case 'keep':
+        return value;
+      case 'redact':
+        this.auditRedaction('policy:redact', '[REDACTED]', value);
+        return '[REDACTED]';
+      case 'hash': {
+        const hash = this.hashValue(value);
+        this.auditRedaction('policy:hash', hash, value);
+        return hash;
+      }
+      default:
+        if (rule.as === 'name') return this.anonymizeName(String(value));
+        if (rule.as === 'company') return this.anonymizeCompany(String(value));
+        return this.pseudonymize(rule.as, String(value));
+    }
+  }
+
+  /**
+   * Keyed hash of a value - stable across runs when PII_PSEUDONYM_KEY is set,
+   * otherwise stable within this run only
+   */
+  hashValue(value) {
+    const digest = crypto
+      .createHmac('sha256', this.pseudonymKey || this.runSalt)
+      .update(String(value))
+      .digest('hex');
+    return `hash_${digest.slice(0, 16)}`;
   }
 
   /**
    * Reset counters (useful for batch processing)
+   * Pseudonym assignments are kept so tokens stay consistent across batches.
    */
   resetCounters() {
-    this.counters = {
-      email: 0,
-      name: 0,
-      phone: 0,
-      company: 0
-    };
+    this.counters = this.emptyCounters();
+    this.secretKinds = {};
+    this.seen = this.emptyEntitySets();
+  }
+
+  /**
+   * Forget all pseudonym assignments (next entity becomes number 1 again)
+   */
+  resetPseudonyms() {
+    Object.values(this.pseudonyms).forEach(map => map.clear());
+    this.maxPseudonym = {};
+    this.usedIds = {};
+    this.pseudonymsDirty = true;
+    this.markUnsaved();
+    this.resetCounters();
   }
 
   /**
    * Get filtering statistics
+   * itemsFiltered counts occurrences, uniqueEntities counts distinct people/companies
    */
   getStats() {
+    const uniqueEntities = {};
+    this.entityTypes().forEach(type => {
+      uniqueEntities[type] = this.seen[type] ? this.seen[type].size : 0;
+    });
+
     return {
       enabled: this.enabled,
-      itemsFiltered: this.counters
+      itemsFiltered: this.counters,
+      uniqueEntities,
+      secrets: {
+        total: this.counters.secret || 0,
+        byKind: { ...this.secretKinds }
+      }
     };
   }
 }
@@ -218,21 +1125,178 @@ module.exports = PIIFilter;
 
 // CLI usage
 if (require.main === module) {
-  const filter = new PIIFilter();
+  const args = process.argv.slice(2);
+
+  if (args[0] === 'validate-policy') {
+    const file = args[1] || process.env.PII_POLICY_FILE || DEFAULT_POLICY_FILE;
+    try {
+      const policy = loadPolicy(file);
+      const sources = Object.keys(policy.sources);
+      const rules = sources.reduce((total, source) => total + policy.sources[source].length, 0);
+      console.log(`✅ PII policy valid: ${file} (${rules} rules across ${sources.join(', ')})`);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args[0] === 'rekey') {
+    // Rewrite saved outputs (stdin) to tokens under the current key/mode
+    const filter = new PIIFilter();
+    let input = '';
+    process.stdin.on('data', chunk => input += chunk);
+    process.stdin.on('end', () => {
+      try {
+        process.stdout.write(filter.rekey(input));
+        filter.save();
+      } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+      }
+    });
+    return;
+  }
+
+  if (args[0] === 'report') {
+    const logIndex = args.indexOf('--log');
+    const runIndex = args.indexOf('--run');
+    try {
+      const { entries, malformed } = readAuditLog(logIndex !== -1 ? args[logIndex + 1] : undefined);
+      const selected = runIndex !== -1 ? entries.filter(entry => entry.run === args[runIndex + 1]) : entries;
+      console.log(formatAuditReport(summarizeAudit(selected)));
+      if (malformed > 0) {
+        console.error(`⚠️  Skipped ${malformed} malformed line(s)`);
+      }
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args[0] === 'scan') {
+    // Detect-only check of generated files: exit 0 clean, 1 findings, 2 scan error
+    const targets = args.slice(1).filter(arg => !arg.startsWith('--'));
+    const paths = targets.length > 0 ? targets : [DEFAULT_SCAN_DIR];
+    let results;
+    try {
+      results = scanFiles(new PIIFilter({ persist: false }), collectFiles(paths));
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(2);
+    }
+
+    if (args.includes('--quarantine')) {
+      const root = paths.length === 1 && fs.statSync(paths[0]).isDirectory() ? paths[0] : DEFAULT_SCAN_DIR;
+      const offending = [...new Set(results.findings.map(finding => finding.file))];
+      results.quarantined = offending.map(file => ({ from: file, to: quarantineFile(file, root) }));
+    }
+
+    console.log(args.includes('--json') ? JSON.stringify(results, null, 2) : formatScanReport(results));
+    process.exit(results.errors.length > 0 ? 2 : results.findings.length > 0 ? 1 : 0);
+  }
+
+  const sourceIndex = args.indexOf('--source');
+  const source = sourceIndex !== -1 ? args[sourceIndex + 1] : undefined;
+  const explainIndex = args.indexOf('--explain');
+  const explainPath = explainIndex !== -1 ? args[explainIndex + 1] : null;
+  const diffMode = args.includes('--diff');
+
+  // --diff and --explain print original values: local terminal only
+  if ((diffMode || explainIndex !== -1) && !process.stdout.isTTY && !args.includes('--force')) {
+    console.error('❌ --diff and --explain print original values and only write to a terminal. Use --force to override.');
+    process.exit(1);
+  }
+  if (explainIndex !== -1 && !explainPath) {
+    console.error('❌ Usage: node utils/pii-filter.js --explain <path> [--source <name>] < input.json');
+    process.exit(1);
+  }
+
+  // Dry runs record redactions in memory instead of the audit log
+  const dryRun = diffMode || explainPath;
+  const filter = new PIIFilter(dryRun ? { source, audit: new MemoryAuditLog(), persist: false } : { source });
+
+  const printStats = () => {
+    const stats = filter.getStats();
+    console.error(`\nFiltering stats: ${JSON.stringify(stats)}`);
+    if (stats.secrets.total > 0) {
+      console.error(`⚠️  ${stats.secrets.total} secret(s) redacted: ${Object.keys(stats.secrets.byKind).join(', ')}`);
+    }
+  };
+
+  // Large exports: filter NDJSON line by line, or JSON arrays element by element
+  if (args.includes('--ndjson') || args.includes('--stream')) {
+    if (dryRun) {
+      console.error('❌ --diff and --explain cannot be combined with --ndjson or --stream');
+      process.exit(1);
+    }
+
+    const stream = args.includes('--ndjson')
+      ? new NdjsonFilterStream(filter, { source })
+      : new JsonFilterStream(filter, { source });
+
+    stream.on('error', e => {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    });
+    stream.on('end', () => {
+      filter.save();
+      printStats();
+    });
+    process.stdin.pipe(stream).pipe(process.stdout);
+    return;
+  }
 
   // Read from stdin
   let input = '';
   process.stdin.on('data', chunk => input += chunk);
   process.stdin.on('end', () => {
+    let data;
     try {
-      const data = JSON.parse(input);
-      const filtered = filter.filterObject(data);
-      console.log(JSON.stringify(filtered, null, 2));
-      console.error(`\nFiltering stats: ${JSON.stringify(filter.getStats())}`);
+      data = JSON.parse(input);
     } catch (e) {
+      data = undefined;
+    }
+
+    const filtered = data !== undefined ? filter.filterObject(data) : filter.filterText(input);
+
+    if (explainPath) {
+      if (data === undefined) {
+        console.error('❌ --explain needs JSON input');
+        process.exit(1);
+      }
+      try {
+        const segments = parseFieldPath(explainPath);
+        if (getAtPath(data, segments) === undefined) {
+          console.error(`❌ Path not found in input: ${explainPath}`);
+          process.exit(1);
+        }
+        console.log(formatExplanation({
+          path: formatPath(segments),
+          reason: filter.explainPath(segments, source, getAtPath(data, segments)),
+          before: getAtPath(data, segments),
+          after: getAtPath(alignDropped(filtered, filter.audit.entries), segments),
+          redactions: filter.audit.entries
+        }));
+      } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+      }
+    } else if (diffMode) {
+      // Dropped array items would shift the paths of their siblings
+      const aligned = data !== undefined ? alignDropped(filtered, filter.audit.entries) : filtered;
+      console.log(formatDiff(diffValues(data !== undefined ? data : input, aligned), filter.audit.entries, {
+        color: process.stdout.isTTY
+      }));
+    } else if (data !== undefined) {
+      console.log(JSON.stringify(filtered, null, 2));
+    } else {
       // Treat as plain text
-      const filtered = filter.filterText(input);
       console.log(filtered);
     }
+
+    filter.save();
+    printStats();
   });
 }
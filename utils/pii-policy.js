@@ -0,0 +1,355 @@
+/**
+ * PII Policy
+ * Loads and validates the declarative PII policy (pii-policy.json).
+ *
+ * The policy declares which keys are safe or known PII everywhere (`defaults`) and,
+ * per source (productboard, dovetail, jira, confluence), path rules saying whether a
+ * value is kept, redacted, pseudonymized, hashed or dropped.
+ *
+ * Safe fields map a key to the value shape(s) it must have to be kept as-is
+ * (`"id": "id"`, `"key": ["issue-key", "enum"]`, see value-shapes.js). Values of
+ * any other shape are filtered like free text.
+ *
+ * `strategies` (in defaults or per source) pick how tokens look:
+ * - email: token ([EMAIL_1]), keep-domain ([USER_1]@acme.com), pseudonymize-domain ([USER_1]@[DOMAIN_1])
+ * - phone: token ([PHONE_1]), keep-country (+44 [PHONE_1])
+ * - company: label (Enterprise Client 1), size (Enterprise Client), industry (Fintech Client)
+ *
+ * Path patterns:
+ * - `fields.reporter.displayName` - exact path from the root
+ * - `*`    - any single key or array index (`fields.*.emailAddress`)
+ * - `*_name` - glob inside a key
+ * - `[*]`  - any array index, `[0]` a specific one (`data[*].participants[*].name`)
+ * - `**`   - any number of segments (`**.owner.email`)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDefaultDetectors } = require('./pii-detectors');
+const { SHAPE_NAMES } = require('./value-shapes');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'pii-policy.json');
+const POLICY_VERSION = 1;
+const ACTIONS = ['keep', 'redact', 'pseudonymize', 'hash', 'drop'];
+const KNOWN_SOURCES = ['productboard', 'dovetail', 'jira', 'confluence'];
+const PII_FIELD_TYPES = ['email', 'phone', 'name', 'company'];
+// First entry is the default
+const STRATEGIES = {
+  email: ['token', 'keep-domain', 'pseudonymize-domain'],
+  phone: ['token', 'keep-country'],
+  company: ['label', 'size', 'industry']
+};
+
+/**
+ * Split a path pattern into segments
+ */
+function parsePathPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new Error('path must be a non-empty string');
+  }
+
+  const segments = [];
+  const tokenRegex = /\[(\*|\d+)\]|([^.[\]]+)|(\.)/g;
+  let expectKey = true;
+  let position = 0;
+  let match;
+
+  while ((match = tokenRegex.exec(pattern)) !== null) {
+    if (match.index !== position) {
+      throw new Error(`unexpected "${pattern.slice(position, match.index)}" in path "${pattern}"`);
+    }
+    position = tokenRegex.lastIndex;
+
+    if (match[1] !== undefined) {
+      segments.push({ index: match[1] === '*' ? '*' : Number(match[1]) });
+      expectKey = false;
+    } else if (match[2] !== undefined) {
+      if (!expectKey) {
+        throw new Error(`missing "." before "${match[2]}" in path "${pattern}"`);
+      }
+      segments.push(match[2] === '**' ? { any: true } : { key: match[2], glob: globToRegex(match[2]) });
+      expectKey = false;
+    } else {
+      if (expectKey) {
+        throw new Error(`empty segment in path "${pattern}"`);
+      }
+      expectKey = true;
+    }
+  }
+
+  if (position !== pattern.length || expectKey) {
+    throw new Error(`path "${pattern}" is malformed`);
+  }
+
+  return segments;
+}
+
+/**
+ * Key glob (`*_name`) to an anchored regex; plain `*` matches anything
+ */
+function globToRegex(key) {
+  if (!key.includes('*')) return null;
+  const escaped = key.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Whether a runtime path (array of keys and numeric indices) matches parsed segments
+ */
+function matchPath(segments, pathSegments, i = 0, j = 0) {
+  if (i === segments.length) return j === pathSegments.length;
+
+  const segment = segments[i];
+  if (segment.any) {
+    for (let k = j; k <= pathSegments.length; k++) {
+      if (matchPath(segments, pathSegments, i + 1, k)) return true;
+    }
+    return false;
+  }
+
+  if (j === pathSegments.length) return false;
+  const actual = pathSegments[j];
+
+  let ok;
+  if (segment.index !== undefined) {
+    ok = typeof actual === 'number' && (segment.index === '*' || segment.index === actual);
+  } else if (segment.key === '*') {
+    ok = true;
+  } else if (segment.glob) {
+    ok = typeof actual === 'string' && segment.glob.test(actual);
+  } else {
+    ok = typeof actual === 'string' && actual.toLowerCase() === segment.key.toLowerCase();
+  }
+
+  return ok && matchPath(segments, pathSegments, i + 1, j + 1);
+}
+
+/**
+ * Render a runtime path as a string, e.g. data[0].participants[1].name
+ */
+function formatPath(pathSegments) {
+  return pathSegments.reduce((text, segment) => {
+    if (typeof segment === 'number') return `${text}[${segment}]`;
+    return text ? `${text}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Collect every problem with a policy object (empty array when valid)
+ */
+function validatePolicy(policy) {
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['policy must be a JSON object'];
+  }
+  if (policy.version !== POLICY_VERSION) {
+    errors.push(`version must be ${POLICY_VERSION}`);
+  }
+
+  const defaults = policy.defaults;
+  if (!defaults || typeof defaults !== 'object') {
+    errors.push('defaults is required');
+  } else {
+    errors.push(...validateSafeFields(defaults.safeFields));
+    if (!defaults.piiFields || typeof defaults.piiFields !== 'object') {
+      errors.push('defaults.piiFields is required');
+    } else {
+      Object.entries(defaults.piiFields).forEach(([type, keys]) => {
+        if (!PII_FIELD_TYPES.includes(type)) {
+          errors.push(`defaults.piiFields.${type}: unknown type (expected ${PII_FIELD_TYPES.join(', ')})`);
+        } else if (!isStringArray(keys)) {
+          errors.push(`defaults.piiFields.${type} must be an array of strings`);
+        }
+      });
+    }
+  }
+
+  if (defaults && defaults.strategies !== undefined) {
+    errors.push(...validateStrategies(defaults.strategies, 'defaults.strategies'));
+  }
+
+  if (!policy.sources || typeof policy.sources !== 'object') {
+    errors.push('sources is required');
+    return errors;
+  }
+
+  Object.entries(policy.sources).forEach(([source, config]) => {
+    const where = `sources.${source}`;
+    if (!KNOWN_SOURCES.includes(source)) {
+      errors.push(`${where}: unknown source (expected ${KNOWN_SOURCES.join(', ')})`);
+    }
+    if (!config || !Array.isArray(config.rules)) {
+      errors.push(`${where}.rules must be an array`);
+      return;
+    }
+    if (config.strategies !== undefined) {
+      errors.push(...validateStrategies(config.strategies, `${where}.strategies`));
+    }
+
+    config.rules.forEach((rule, index) => {
+      const at = `${where}.rules[${index}]`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      try {
+        parsePathPattern(rule.path);
+      } catch (e) {
+        errors.push(`${at}: ${e.message}`);
+      }
+      if (!ACTIONS.includes(rule.action)) {
+        errors.push(`${at}: action "${rule.action}" must be one of ${ACTIONS.join(', ')}`);
+      }
+      if (rule.as !== undefined && rule.action !== 'pseudonymize') {
+        errors.push(`${at}: "as" is only valid with action "pseudonymize"`);
+      }
+      if (rule.as !== undefined && !pseudonymTypes().includes(rule.as)) {
+        errors.push(`${at}: "as" must be one of ${pseudonymTypes().join(', ')}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Problems with defaults.safeFields ({ key: shape or [shapes] })
+ */
+function validateSafeFields(safeFields) {
+  if (!safeFields || typeof safeFields !== 'object' || Array.isArray(safeFields)) {
+    return ['defaults.safeFields must map keys to value shapes, e.g. { "id": "id", "createdAt": "datetime" }'];
+  }
+
+  const errors = [];
+  Object.entries(safeFields).forEach(([key, shapes]) => {
+    const list = Array.isArray(shapes) ? shapes : [shapes];
+    if (list.length === 0) {
+      errors.push(`defaults.safeFields.${key} needs at least one shape`);
+    }
+    list.filter(shape => !SHAPE_NAMES.includes(shape)).forEach(shape => {
+      errors.push(`defaults.safeFields.${key}: shape "${shape}" must be one of ${SHAPE_NAMES.join(', ')}`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * Problems with a strategies block ({ email: 'keep-domain', ... })
+ */
+function validateStrategies(strategies, where) {
+  if (!strategies || typeof strategies !== 'object' || Array.isArray(strategies)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  Object.entries(strategies).forEach(([type, strategy]) => {
+    if (!STRATEGIES[type]) {
+      errors.push(`${where}.${type}: unknown type (expected ${Object.keys(STRATEGIES).join(', ')})`);
+    } else if (!STRATEGIES[type].includes(strategy)) {
+      errors.push(`${where}.${type}: "${strategy}" must be one of ${STRATEGIES[type].join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate and compile a policy object for fast lookups
+ */
+function compilePolicy(policy, origin = 'PII policy') {
+  const errors = validatePolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${origin}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const piiFields = {};
+  PII_FIELD_TYPES.forEach(type => {
+    piiFields[type] = new Set((policy.defaults.piiFields[type] || []).map(key => key.toLowerCase()));
+  });
+
+  const strategies = { defaults: { ...(policy.defaults.strategies || {}) }, sources: {} };
+  const sources = {};
+  Object.entries(policy.sources).forEach(([source, config]) => {
+    strategies.sources[source] = { ...(config.strategies || {}) };
+    sources[source] = config.rules.map(rule => ({
+      path: rule.path,
+      segments: parsePathPattern(rule.path),
+      action: rule.action,
+      as: rule.as || (rule.action === 'pseudonymize' ? 'name' : undefined)
+    }));
+  });
+
+  return {
+    version: policy.version,
+    // lowercased key -> allowed value shapes
+    safeFields: new Map(Object.entries(policy.defaults.safeFields)
+      .map(([key, shapes]) => [key.toLowerCase(), Array.isArray(shapes) ? shapes : [shapes]])),
+    piiFields,
+    strategies,
+    sources
+  };
+}
+
+/**
+ * Load, validate and compile a policy file. Throws when missing or invalid.
+ */
+function loadPolicy(file = process.env.PII_POLICY_FILE || DEFAULT_POLICY_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`PII policy not found: ${file}. Restore pii-policy.json or set PII_POLICY_FILE`);
+  }
+
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid PII policy ${file}: ${e.message}`);
+  }
+
+  return compilePolicy(policy, `PII policy ${file}`);
+}
+
+/**
+ * First rule for the source whose pattern matches the path
+ */
+function findRule(compiled, source, pathSegments) {
+  const rules = (source && compiled.sources[source]) || [];
+  return rules.find(rule => matchPath(rule.segments, pathSegments)) || null;
+}
+
+/**
+ * Token strategy for a type: the source's, else the default, else the built-in default
+ */
+function findStrategy(compiled, source, type) {
+  const bySource = (source && compiled.strategies.sources[source]) || {};
+  return bySource[type] || compiled.strategies.defaults[type] || STRATEGIES[type][0];
+}
+
+/**
+ * Entity types a rule can pseudonymize as
+ */
+function pseudonymTypes() {
+  const types = PII_FIELD_TYPES.slice();
+  createDefaultDetectors().forEach(detector => {
+    if (!types.includes(detector.type)) types.push(detector.type);
+  });
+  return types;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+module.exports = {
+  DEFAULT_POLICY_FILE,
+  ACTIONS,
+  STRATEGIES,
+  KNOWN_SOURCES,
+  loadPolicy,
+  compilePolicy,
+  validatePolicy,
+  parsePathPattern,
+  matchPath,
+  formatPath,
+  findRule,
+  findStrategy
+};
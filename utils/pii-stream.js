@@ -0,0 +1,332 @@
+/**
+ * PII Stream
+ * Bounded-memory filtering for large exports (full Dovetail projects,
+ * multi-thousand-note Productboard dumps).
+ *
+ * - NdjsonFilterStream: one JSON value per line, filtered line by line
+ * - JsonFilterStream: a top-level JSON array, or an object whose array members
+ *   (e.g. `data`), is filtered element by element without parsing the whole document
+ *
+ * Both share one PIIFilter, so pseudonyms stay consistent across the stream.
+ * Names are learned as elements go by: a name first seen in element 500 is not
+ * recognized in free text of element 10.
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { findRule } = require('./pii-policy');
+
+/**
+ * Filter one JSON value found at `path` in a larger document
+ */
+function filterElement(filter, value, path, source) {
+  if (value !== null && typeof value === 'object') {
+    return filter.filterObject(value, {}, { source, path });
+  }
+  if (typeof value !== 'string') return value;
+  if (path.length === 0) return filter.filterText(value);
+
+  // Wrap array items so path rules apply exactly as in filterObject
+  return filter.filterObject([value], {}, { source, path: path.slice(0, -1) })[0];
+}
+
+class NdjsonFilterStream extends Transform {
+  constructor(filter, options = {}) {
+    super();
+    this.filter = filter;
+    this.source = options.source || filter.source;
+    this.decoder = new StringDecoder('utf8');
+    this.pending = '';
+  }
+
+  _transform(chunk, encoding, callback) {
+    const lines = (this.pending + this.decoder.write(chunk)).split('\n');
+    this.pending = lines.pop();
+    lines.forEach(line => this.filterLine(line));
+    callback();
+  }
+
+  _flush(callback) {
+    const rest = this.pending + this.decoder.end();
+    if (rest) this.filterLine(rest);
+    callback();
+  }
+
+  /**
+   * JSON lines are filtered as objects, anything else as text
+   */
+  filterLine(line) {
+    const text = line.replace(/\r$/, '');
+    if (!text.trim()) return;
+
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (e) {
+      this.push(this.filter.filterText(text) + '\n');
+      return;
+    }
+    this.push(JSON.stringify(filterElement(this.filter, value, [], this.source)) + '\n');
+  }
+}
+
+class JsonFilterStream extends Transform {
+  constructor(filter, options = {}) {
+    super();
+    this.filter = filter;
+    this.source = options.source || filter.source;
+    this.decoder = new StringDecoder('utf8');
+
+    this.state = 'start';
+    // Array being streamed: { path, index, first }
+    this.array = null;
+    // Top-level object member bookkeeping
+    this.key = null;
+    this.firstMember = true;
+    // Value currently being collected (see collect())
+    this.collector = null;
+    // Whole input when it is neither an array nor an object
+    this.raw = [];
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.scan(this.decoder.write(chunk));
+      callback();
+    } catch (e) {
+      callback(e);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.scan(this.decoder.end());
+      if (this.state === 'raw') {
+        this.filterRaw(this.raw.join(''));
+      }
+      if (this.state !== 'end' || this.collector) {
+        throw new Error('Unexpected end of JSON input');
+      }
+      this.push('\n');
+      callback();
+    } catch (e) {
+      callback(e);
+    }
+  }
+
+  scan(text) {
+    let i = 0;
+    while (i < text.length) {
+      if (this.collector) {
+        i = this.collect(text, i);
+        continue;
+      }
+      if (this.state === 'raw') {
+        this.raw.push(text.slice(i));
+        return;
+      }
+
+      const char = text[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      switch (this.state) {
+        case 'start':
+          if (char === '[') {
+            this.push('[');
+            this.array = { path: [], index: 0, first: true, topLevel: true };
+            this.state = 'array';
+            i++;
+          } else if (char === '{') {
+            this.push('{');
+            this.state = 'key';
+            i++;
+          } else {
+            this.state = 'raw';
+          }
+          break;
+
+        case 'array':
+          if (char === ',') {
+            i++;
+          } else if (char === ']') {
+            this.push(this.array.first ? ']' : '\n]');
+            this.state = this.array.topLevel ? 'end' : 'key';
+            this.array = null;
+            i++;
+          } else {
+            this.startCollector('element', char);
+          }
+          break;
+
+        case 'key':
+          if (char === ',') {
+            i++;
+          } else if (char === '}') {
+            this.push(this.firstMember ? '}' : '\n}');
+            this.state = 'end';
+            i++;
+          } else if (char === '"') {
+            this.startCollector('key', char);
+          } else {
+            throw new Error(`Unexpected "${char}" in JSON object`);
+          }
+          break;
+
+        case 'colon':
+          if (char !== ':') throw new Error(`Expected ":" after key "${this.key}"`);
+          this.state = 'member';
+          i++;
+          break;
+
+        case 'member': {
+          const rule = findRule(this.filter.policy, this.source, [this.key]);
+          const removed = rule && (rule.action === 'drop' || rule.action === 'redact');
+          if (char === '[' && !removed) {
+            // Large arrays (e.g. `data`) are streamed element by element
+            this.push(`${this.memberSeparator()}${JSON.stringify(this.key)}: [`);
+            this.array = { path: [this.key], index: 0, first: true, topLevel: false };
+            this.state = 'array';
+            i++;
+          } else {
+            this.startCollector('member', char, rule && rule.action === 'drop');
+          }
+          break;
+        }
+
+        case 'end':
+          throw new Error(`Unexpected "${char}" after end of JSON`);
+
+        default:
+          throw new Error(`Unknown state ${this.state}`);
+      }
+    }
+  }
+
+  memberSeparator() {
+    const separator = this.firstMember ? '\n' : ',\n';
+    this.firstMember = false;
+    return separator;
+  }
+
+  /**
+   * Begin collecting one JSON value. Dropped values are scanned but not kept.
+   */
+  startCollector(kind, firstChar, discard = false) {
+    this.collector = {
+      kind,
+      discard,
+      parts: [],
+      depth: 0,
+      inString: false,
+      escape: false,
+      literal: !['"', '{', '['].includes(firstChar)
+    };
+  }
+
+  /**
+   * Scan the current value from text[start]; returns the index to continue at
+   */
+  collect(text, start) {
+    const value = this.collector;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (value.inString) {
+        if (value.escape) {
+          value.escape = false;
+        } else if (char === '\\') {
+          value.escape = true;
+        } else if (char === '"') {
+          value.inString = false;
+          if (value.depth === 0) return this.completeAt(text, start, i + 1);
+        }
+      } else if (value.literal) {
+        if (/[\s,\]}]/.test(char)) return this.completeAt(text, start, i);
+      } else if (char === '"') {
+        value.inString = true;
+      } else if (char === '{' || char === '[') {
+        value.depth++;
+      } else if (char === '}' || char === ']') {
+        value.depth--;
+        if (value.depth === 0) return this.completeAt(text, start, i + 1);
+      }
+    }
+
+    if (!value.discard) value.parts.push(text.slice(start));
+    return text.length;
+  }
+
+  completeAt(text, start, end) {
+    this.finishCollector(text.slice(start, end));
+    return end;
+  }
+
+  finishCollector(lastPart) {
+    const value = this.collector;
+    this.collector = null;
+    const json = value.discard ? null : value.parts.join('') + lastPart;
+
+    switch (value.kind) {
+      case 'key':
+        this.key = JSON.parse(json);
+        this.state = 'colon';
+        break;
+
+      case 'element': {
+        const path = this.array.path.concat(this.array.index);
+        const filtered = filterElement(this.filter, this.parse(json, path), path, this.source);
+        this.push(`${this.array.first ? '\n' : ',\n'}${JSON.stringify(filtered)}`);
+        this.array.first = false;
+        this.array.index++;
+        break;
+      }
+
+      case 'member': {
+        this.state = 'key';
+        // Dropped members were never kept; filterObject still applies (and audits) the drop
+        const parsed = value.discard ? null : this.parse(json, [this.key]);
+        const member = this.filter.filterObject({ [this.key]: parsed }, {}, { source: this.source });
+        if (this.key in member) {
+          this.push(`${this.memberSeparator()}${JSON.stringify(this.key)}: ${JSON.stringify(member[this.key])}`);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  parse(json, path) {
+    try {
+      return JSON.parse(json);
+    } catch (e) {
+      throw new Error(`Invalid JSON at ${path.join('.') || 'root'}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Scalars and non-JSON input are small enough to filter whole
+   */
+  filterRaw(text) {
+    this.state = 'end';
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (e) {
+      this.push(this.filter.filterText(text));
+      return;
+    }
+    this.push(JSON.stringify(filterElement(this.filter, value, [], this.source)));
+  }
+}
+
+module.exports = {
+  NdjsonFilterStream,
+  JsonFilterStream,
+  filterElement
+};
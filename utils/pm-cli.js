@@ -0,0 +1,463 @@
+/**
+ * pm CLI
+ * One entrypoint for the skill scripts: `pm <tool> <command> [args] [flags]`.
+ *
+ * Commands are declared once in COMMANDS; help, argument checks and shell
+ * completion are generated from it. Global flags work in any position. pm renders
+ * the script's JSON output itself and masks the credentials it passed the script;
+ * the other flags reach the script as environment variables:
+ *
+ *   --format <f>      json, ndjson, csv, md, table (default: PM_FORMAT, else json)
+ *   --fields <a,b>    dot paths (default: PM_FIELDS)
+ *   --profile <name>  PM_PROFILE plus the profile's settings and credentials (see credentials.js)
+ *   --verbose         HTTP_LOG=all
+ *   --no-pii-filter   PII_FILTER_ENABLED=false, after an interactive "yes" (or --force)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const { FORMATS, formatOutput } = require('./output-format');
+const { runDoctor, formatDoctorReport } = require('./doctor');
+const { scriptEnv } = require('./credentials');
+const { secretsCommand, secretsInEnv, maskSecrets } = require('./secret-store');
+const { cacheCommand } = require('./response-cache');
+
+const SKILLS_DIR = path.join(__dirname, '..', '.claude', 'skills');
+
+const GLOBAL_OPTIONS = {
+  '--format <format>': `Output format (${FORMATS.join(', ')})`,
+  '--fields <a,b>': 'Fields to output, dot paths for nested values (e.g. id,status.name)',
+  '--profile <name>': 'Credential profile from .env.profiles',
+  '--verbose': 'Log every HTTP request to stderr',
+  '--no-pii-filter': 'Disable PII filtering (asks for confirmation)',
+  '--force': 'Skip the --no-pii-filter confirmation',
+  '--help, -h': 'Show help'
+};
+
+const COMMANDS = {
+  productboard: {
+    description: 'Product features and customer notes',
+    commands: {
+      features: { args: ['[limit]'], resource: 'productboard.feature', options: { '--owner <alias>': 'Only features owned by OWNER_EMAIL_<ALIAS>' }, description: 'List features (default limit: 100)' },
+      feature: { args: ['<id>'], resource: 'productboard.feature', description: 'Get a feature' },
+      notes: { args: ['<feature-id>'], resource: 'productboard.note', description: 'Get notes for a feature' },
+      'get-note': { args: ['<note-id>'], resource: 'productboard.note', description: 'Get a note' },
+      'all-notes': {
+        args: ['[limit]'],
+        options: { '--owner <alias>': 'Only notes owned by OWNER_EMAIL_<ALIAS>', '--feature <id>': 'Only notes linked to a feature' },
+        resource: 'productboard.note',
+        description: 'List all notes (default limit: 100)'
+      },
+      search: { args: ['<query>'], resource: 'productboard.feature', description: 'Search features by keyword' }
+    }
+  },
+  dovetail: {
+    description: 'Research projects, insights and highlights',
+    commands: {
+      projects: { args: ['[limit]'], resource: 'dovetail.project', description: 'List research projects (default limit: 20)' },
+      project: { args: ['<id>'], resource: 'dovetail.project', description: 'Get a project' },
+      insights: { args: ['<project-id>', '[limit]'], resource: 'dovetail.insight', description: 'Get insights (default limit: 50)' },
+      highlights: { args: ['<project-id>'], resource: 'dovetail.highlight', description: 'Get highlights' },
+      tags: { args: ['[project-id]'], resource: 'dovetail.tag', description: 'List tags, globally or for a project' },
+      search: { args: ['<query>'], description: 'Search insights and highlights' }
+    }
+  },
+  confluence: {
+    description: 'Pages and PRDs',
+    commands: {
+      read: { args: ['<page-id>'], resource: 'confluence.page', description: 'Fetch a page' },
+      create: { args: ['<space-key>', '<title>', '[parent-id]'], description: 'Create a page (storage XHTML on stdin)' },
+      update: { args: ['<page-id>'], description: 'Update a page (text or JSON on stdin)' },
+      search: {
+        args: ['<title>'],
+        options: { '--space <key>': 'Limit to a space', '--exact': 'Exact title match', '--limit <n>': 'Max results (default: 25)' },
+        resource: 'confluence.search',
+        description: 'Search pages by title'
+      }
+    }
+  },
+  jira: {
+    description: 'Issues, epics and JQL search',
+    commands: {
+      read: { args: ['<issue-key>'], resource: 'jira.issue', description: 'Fetch an issue' },
+      create: {
+        args: ['<project-key>', '<summary>', '[parent-key]'],
+        options: { '--type <type>': 'Issue type (default: Task)', '--priority <priority>': 'Low, Medium or High', '--labels <a,b>': 'Comma-separated labels' },
+        description: 'Create an issue (description on stdin)'
+      },
+      update: { args: ['<issue-key>'], description: 'Update an issue (JSON on stdin)' },
+      search: { args: ['<jql>', '[fields]'], resource: 'jira.issue', description: 'Search issues with JQL' },
+      'list-children': { args: ['<parent-key>'], resource: 'jira.issue', description: 'List child issues' }
+    }
+  }
+};
+
+/**
+ * All options a command accepts
+ */
+function commandOptions(spec) {
+  return spec.options || {};
+}
+
+/**
+ * Split argv into global flags and the rest: { globals, tool, command, args }.
+ * Throws on a global flag with a missing or invalid value.
+ */
+function parseArgs(argv) {
+  const globals = { format: null, fields: null, profile: null, verbose: false, noPiiFilter: false, force: false, help: false };
+  const rest = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format' || arg === '--fields' || arg === '--profile') {
+      const value = argv[++i];
+      if (!value || value.startsWith('--')) throw new Error(`${arg} needs a value`);
+      globals[arg.slice(2)] = value;
+    } else if (arg === '--verbose') {
+      globals.verbose = true;
+    } else if (arg === '--no-pii-filter') {
+      globals.noPiiFilter = true;
+    } else if (arg === '--force') {
+      globals.force = true;
+    } else if (arg === '--help' || arg === '-h') {
+      globals.help = true;
+    } else {
+      rest.push(arg);
+    }
+  }
+
+  if (globals.format && !FORMATS.includes(globals.format)) {
+    throw new Error(`Unknown format "${globals.format}" (expected ${FORMATS.join(', ')})`);
+  }
+  const [tool, command, ...args] = rest;
+  return { globals, tool, command, args };
+}
+
+/**
+ * Check positional arguments against the command spec; returns an error message or null
+ */
+function checkArgs(spec, args) {
+  const options = commandOptions(spec);
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const option = Object.keys(options).find(name => name.split(' ')[0] === args[i]);
+      if (!option) return `Unknown option ${args[i]}`;
+      if (option.includes('<')) i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const required = spec.args.filter(arg => arg.startsWith('<')).length;
+  if (positional.length < required) return `Missing ${spec.args.slice(positional.length, required).join(' ')}`;
+  if (positional.length > spec.args.length) return `Too many arguments: ${positional.slice(spec.args.length).join(' ')}`;
+  return null;
+}
+
+function formatOptions(options) {
+  const width = Math.max(...Object.keys(options).map(name => name.length));
+  return Object.entries(options).map(([name, description]) => `  ${name.padEnd(width)}  ${description}`);
+}
+
+/**
+ * Help text for everything, one tool, or one command
+ */
+function formatHelp(tool, command) {
+  if (tool && command) {
+    const spec = COMMANDS[tool].commands[command];
+    const options = commandOptions(spec);
+    const lines = [`Usage: pm ${tool} ${command} ${spec.args.join(' ')}`.trimEnd(), '', spec.description];
+    if (Object.keys(options).length > 0) lines.push('', 'Options:', ...formatOptions(options));
+    lines.push('', 'Global options:', ...formatOptions(GLOBAL_OPTIONS));
+    return lines.join('\n');
+  }
+
+  if (tool) {
+    const commands = COMMANDS[tool].commands;
+    const width = Math.max(...Object.keys(commands).map(name => name.length));
+    return [
+      `Usage: pm ${tool} <command> [options]`,
+      '',
+      COMMANDS[tool].description,
+      '',
+      'Commands:',
+      ...Object.entries(commands).map(([name, spec]) => `  ${name.padEnd(width)}  ${spec.description}`),
+      '',
+      `Run "pm ${tool} <command> --help" for command options.`
+    ].join('\n');
+  }
+
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length), 'completion'.length);
+  return [
+    'Usage: pm <tool> <command> [options]',
+    '',
+    'Tools:',
+    ...Object.entries(COMMANDS).map(([name, spec]) => `  ${name.padEnd(width)}  ${spec.description}`),
+    `  ${'doctor'.padEnd(width)}  Check configuration and privacy settings (--online also calls each service)`,
+    `  ${'secrets'.padEnd(width)}  Encrypted API tokens: list, get <NAME> [--reveal], set <NAME>, delete <NAME>, rotate`,
+    `  ${'cache'.padEnd(width)}  Response cache: stats, clear [source] [--expired]`,
+    `  ${'completion'.padEnd(width)}  Print a shell completion script (bash, zsh)`,
+    '',
+    'Global options:',
+    ...formatOptions(GLOBAL_OPTIONS)
+  ].join('\n');
+}
+
+/**
+ * Completion script for bash, or zsh via bashcompinit
+ */
+function completionScript(shell) {
+  if (!['bash', 'zsh'].includes(shell)) throw new Error(`Unsupported shell "${shell}" (expected bash or zsh)`);
+
+  const flag = name => name.split(/[ ,]/)[0];
+  const globals = Object.keys(GLOBAL_OPTIONS).map(flag).join(' ');
+  const toolCases = Object.entries(COMMANDS).map(([tool, spec]) =>
+    `        ${tool}) COMPREPLY=($(compgen -W "${Object.keys(spec.commands).join(' ')}" -- "$cur")) ;;`);
+  const optionCases = Object.entries(COMMANDS).flatMap(([tool, spec]) => Object.entries(spec.commands).map(([command, commandSpec]) =>
+    `        "${tool} ${command}") opts="${Object.keys(commandOptions(commandSpec)).map(flag).join(' ')}" ;;`));
+
+  const lines = [
+    '# pm shell completion',
+    shell === 'zsh' ? 'autoload -U +X bashcompinit && bashcompinit' : null,
+    '_pm_complete() {',
+    '  local cur="${COMP_WORDS[COMP_CWORD]}" opts=""',
+    '  if [ "$COMP_CWORD" -eq 1 ]; then',
+    `    COMPREPLY=($(compgen -W "${Object.keys(COMMANDS).join(' ')} doctor secrets cache completion" -- "$cur"))`,
+    '  elif [ "$COMP_CWORD" -eq 2 ]; then',
+    '    case "${COMP_WORDS[1]}" in',
+    ...toolCases,
+    '        doctor) COMPREPLY=($(compgen -W "--online --json" -- "$cur")) ;;',
+    '        secrets) COMPREPLY=($(compgen -W "list get set delete rotate" -- "$cur")) ;;',
+    '        cache) COMPREPLY=($(compgen -W "stats clear" -- "$cur")) ;;',
+    '        completion) COMPREPLY=($(compgen -W "bash zsh" -- "$cur")) ;;',
+    '    esac',
+    '  else',
+    '    case "${COMP_WORDS[1]} ${COMP_WORDS[2]}" in',
+    ...optionCases,
+    '    esac',
+    `    COMPREPLY=($(compgen -W "$opts ${globals}" -- "$cur"))`,
+    '  fi',
+    '}',
+    'complete -F _pm_complete pm',
+    ''
+  ];
+  return lines.filter(line => line !== null).join('\n');
+}
+
+/**
+ * Path of a tool's skill script (<tool>.js or <tool>/index.js), or null
+ */
+function scriptFor(tool, skillsDir = SKILLS_DIR) {
+  return [path.join(skillsDir, `${tool}.js`), path.join(skillsDir, tool, 'index.js')].find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Environment for the skill script from the global flags
+ */
+function commandEnv(globals, env = process.env) {
+  const result = { ...env };
+  if (globals.profile) result.PM_PROFILE = globals.profile;
+  if (globals.verbose) result.HTTP_LOG = 'all';
+  if (globals.noPiiFilter) result.PII_FILTER_ENABLED = 'false';
+  return result;
+}
+
+/**
+ * Output options from the global flags, else PM_FORMAT / PM_FIELDS: { format, fields },
+ * or null when the script's output should pass through untouched. Throws on an unknown format.
+ */
+function outputOptions(globals, env = process.env) {
+  const format = globals.format || env.PM_FORMAT || null;
+  const fields = globals.fields || env.PM_FIELDS || null;
+  if (!format && !fields) return null;
+  if (format && !FORMATS.includes(format)) throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+  return { format: format || 'json', fields: fields ? fields.split(',').map(field => field.trim()).filter(Boolean) : [] };
+}
+
+/**
+ * Render a skill script's stdout; anything that isn't JSON (create confirmations,
+ * usage text) is returned as is
+ */
+function renderOutput(text, options) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return text.replace(/\n$/, '');
+  }
+  return formatOutput(data, options);
+}
+
+/**
+ * Forward a child's stream line by line with credential values masked; secrets are
+ * single lines, so a line never holds part of one
+ */
+function forwardMasked(stream, write, secrets) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  stream.on('data', chunk => {
+    const lines = (pending + decoder.write(chunk)).split('\n');
+    pending = lines.pop();
+    lines.forEach(line => write(maskSecrets(line, secrets)));
+  });
+  stream.on('end', () => {
+    pending += decoder.end();
+    if (pending) write(maskSecrets(pending, secrets));
+  });
+}
+
+/**
+ * Ask on the terminal before raw PII is printed
+ */
+function confirmUnfiltered() {
+  if (!process.stdin.isTTY || !process.stderr.isTTY) return Promise.resolve(false);
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    prompt.question('⚠️  --no-pii-filter prints names, emails and phone numbers unfiltered. Type "yes" to continue: ', answer => {
+      prompt.close();
+      resolve(answer.trim().toLowerCase() === 'yes');
+    });
+  });
+}
+
+/**
+ * Run pm with the given arguments; resolves to the exit code.
+ * io: { out, err, confirm, spawn, skillsDir, env, doctor, readSecret, cache } for tests
+ */
+async function run(argv, io = {}) {
+  const out = io.out || (text => process.stdout.write(`${text}\n`));
+  const err = io.err || (text => process.stderr.write(`${text}\n`));
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (e) {
+    err(`❌ ${e.message}`);
+    return 1;
+  }
+  const { globals, tool, command, args } = parsed;
+
+  if (tool === 'doctor') {
+    const flags = [command, ...args].filter(Boolean);
+    const unknown = flags.find(flag => !['--online', '--json'].includes(flag));
+    if (unknown) {
+      err(`❌ Unknown doctor option ${unknown} (expected --online, --json)`);
+      return 1;
+    }
+    const options = { online: flags.includes('--online') };
+    if (globals.profile) options.profile = globals.profile;
+    const { findings, exitCode } = await (io.doctor || runDoctor)(options);
+    out(flags.includes('--json') ? JSON.stringify(findings, null, 2) : formatDoctorReport(findings));
+    return exitCode;
+  }
+
+  if (tool === 'secrets') {
+    const profile = globals.profile || (io.env || process.env).PM_PROFILE;
+    return secretsCommand(command, args, { profile, env: io.env, out, err, readSecret: io.readSecret });
+  }
+
+  if (tool === 'cache') {
+    return cacheCommand(command, args, { out, err, cache: io.cache });
+  }
+
+  if (tool === 'completion') {
+    try {
+      out(completionScript(command || 'bash'));
+      return 0;
+    } catch (e) {
+      err(`❌ ${e.message}`);
+      return 1;
+    }
+  }
+  if (!tool || tool === 'help') {
+    out(formatHelp());
+    return tool || globals.help ? 0 : 1;
+  }
+  if (!COMMANDS[tool]) {
+    err(`❌ Unknown tool "${tool}" (expected ${Object.keys(COMMANDS).join(', ')})`);
+    return 1;
+  }
+  if (!command || !COMMANDS[tool].commands[command]) {
+    if (command) err(`❌ Unknown ${tool} command "${command}"`);
+    out(formatHelp(tool));
+    return command || !globals.help ? 1 : 0;
+  }
+
+  const spec = COMMANDS[tool].commands[command];
+  if (globals.help) {
+    out(formatHelp(tool, command));
+    return 0;
+  }
+  const problem = checkArgs(spec, args);
+  if (problem) {
+    err(`❌ ${problem}\n`);
+    err(formatHelp(tool, command));
+    return 1;
+  }
+
+  // Fail on an unknown profile or format here rather than after the skill has run.
+  // The script gets the profile's credentials in its environment, as the clients read process.env.
+  let env;
+  let output;
+  try {
+    env = scriptEnv({ env: io.env || process.env, profile: globals.profile || undefined });
+    output = outputOptions(globals, io.env);
+  } catch (e) {
+    err(`❌ ${e.message}`);
+    return 1;
+  }
+
+  if (globals.noPiiFilter && !globals.force && !(await (io.confirm || confirmUnfiltered)())) {
+    err('❌ Not confirmed. --no-pii-filter needs an interactive "yes" or --force.');
+    return 1;
+  }
+
+  const script = scriptFor(tool, io.skillsDir);
+  if (!script) {
+    err(`❌ Skill script for ${tool} not found in ${io.skillsDir || SKILLS_DIR}`);
+    return 1;
+  }
+
+  // With --format or --fields the script's JSON comes back here to be rendered, and
+  // with credentials in its environment both streams do, to mask them
+  const secrets = secretsInEnv(env);
+  const capture = Boolean(output) || secrets.length > 0;
+  const child = (io.spawn || spawn)(process.execPath, [script, command, ...args], {
+    stdio: ['inherit', capture ? 'pipe' : 'inherit', secrets.length > 0 ? 'pipe' : 'inherit'],
+    env: commandEnv(globals, env)
+  });
+  const chunks = [];
+  if (capture) child.stdout.on('data', chunk => chunks.push(chunk));
+  if (secrets.length > 0) forwardMasked(child.stderr, err, secrets);
+
+  return new Promise(resolve => {
+    child.on('error', e => {
+      err(`❌ ${e.message}`);
+      resolve(1);
+    });
+    child.on('close', code => {
+      const text = maskSecrets(Buffer.concat(chunks).toString('utf8'), secrets);
+      if (text) out(output ? renderOutput(text, { ...output, resource: spec.resource }) : text.replace(/\n$/, ''));
+      resolve(code === null ? 1 : code);
+    });
+  });
+}
+
+module.exports = {
+  COMMANDS,
+  FORMATS,
+  GLOBAL_OPTIONS,
+  parseArgs,
+  checkArgs,
+  formatHelp,
+  completionScript,
+  commandEnv,
+  outputOptions,
+  renderOutput,
+  scriptFor,
+  run
+};
@@ -0,0 +1,252 @@
+/**
+ * Response Cache
+ * On-disk cache of skill results under workspace/.cache, so repeated reads of the
+ * same feature, project or page don't re-hit the API, and long listings don't have
+ * to walk short-lived pagination cursors (Productboard's expire after a minute) again.
+ *
+ * Only post-filter data is cached: clients store what PIIFilter returned, never raw
+ * API responses. Entries are keyed by a hash of source, endpoint, params, the
+ * filter settings (so a key or mode change never serves stale tokens) and the
+ * credential profile (so a sandbox result is never served for production);
+ * endpoints and params themselves are not written, since queries can hold emails.
+ *
+ * Usage: node utils/response-cache.js stats | clear [source] [--expired]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { KNOWN_SOURCES } = require('./pii-policy');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'workspace', '.cache');
+const CACHE_VERSION = 1;
+
+// Seconds per source and resource; lists and searches change more often than single items
+const DEFAULT_TTLS = {
+  productboard: { feature: 3600, features: 900, note: 3600, notes: 900, search: 300 },
+  dovetail: { project: 3600, projects: 900, insights: 900, highlights: 900, tags: 3600, search: 300 },
+  confluence: { page: 600, search: 300, space: 86400 },
+  jira: { issue: 300, search: 120, children: 120 }
+};
+const FALLBACK_TTL = 300;
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.CACHE_DIR || DEFAULT_CACHE_DIR;
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.CACHE_ENABLED !== 'false';
+    // Skip reads but still store fresh results (--refresh)
+    this.refresh = options.refresh || false;
+    // Part of every key: PIIFilter.settingsFingerprint() for the filter that produced the data
+    this.variant = options.variant || '';
+    this.profile = options.profile !== undefined ? options.profile : (process.env.PM_PROFILE || '');
+    this.ttls = options.ttls || DEFAULT_TTLS;
+    this.ttlOverride = options.ttlSeconds || Number(process.env.CACHE_TTL_SECONDS) || null;
+    this.now = options.now || Date.now;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * TTL in seconds for a source's resource
+   */
+  ttlFor(source, resource) {
+    if (this.ttlOverride) return this.ttlOverride;
+    const ttl = (this.ttls[source] || {})[resource];
+    return ttl !== undefined ? ttl : FALLBACK_TTL;
+  }
+
+  /**
+   * Entry file for a request; params are sorted so their order doesn't matter
+   */
+  fileFor(source, resource, endpoint, params = {}) {
+    const sorted = Object.keys(params).sort().map(name => [name, params[name]]);
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([source, endpoint, sorted, this.variant, this.profile]))
+      .digest('hex')
+      .slice(0, 16);
+    return path.join(this.dir, source, `${resource}_${hash}.json`);
+  }
+
+  /**
+   * Cached data, or undefined when missing, expired, refreshing or disabled
+   */
+  get(source, resource, endpoint, params) {
+    if (!this.enabled || this.refresh) return undefined;
+
+    const entry = readEntry(this.fileFor(source, resource, endpoint, params));
+    if (!entry || entry.expiresAt <= this.now()) {
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    return entry.data;
+  }
+
+  /**
+   * Store post-filter data (owner read/write only)
+   */
+  set(source, resource, endpoint, params, data) {
+    if (!this.enabled) return;
+
+    const file = this.fileFor(source, resource, endpoint, params);
+    const created = this.now();
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, JSON.stringify({
+      version: CACHE_VERSION,
+      source,
+      resource,
+      createdAt: created,
+      expiresAt: created + this.ttlFor(source, resource) * 1000,
+      data
+    }), { mode: 0o600 });
+  }
+
+  /**
+   * Cached data, or the result of load() which is then cached
+   */
+  async fetch(source, resource, endpoint, params, load) {
+    const cached = this.get(source, resource, endpoint, params);
+    if (cached !== undefined) return cached;
+
+    const data = await load();
+    this.set(source, resource, endpoint, params, data);
+    return data;
+  }
+
+  /**
+   * Drop entries after a write, e.g. invalidate('jira', ['issue', 'search', 'children']).
+   * Without resources every entry of the source goes. Returns the number removed.
+   */
+  invalidate(source, resources) {
+    const wanted = resources ? [].concat(resources) : null;
+    let removed = 0;
+    this.entries(source).forEach(({ file, entry }) => {
+      if (entry && (!wanted || wanted.includes(entry.resource))) {
+        fs.unlinkSync(file);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Remove entries for one source or all of them; `expired` keeps fresh ones.
+   * Only files that read back as this cache's entries are removed, never unreadable ones.
+   */
+  clear(options = {}) {
+    let removed = 0;
+    this.entries(options.source).forEach(({ file, entry }) => {
+      if (!entry || (options.expired && entry.expiresAt > this.now())) return;
+      fs.unlinkSync(file);
+      removed++;
+    });
+    return removed;
+  }
+
+  /**
+   * Entry counts and sizes per source
+   */
+  stats() {
+    const now = this.now();
+    const stats = { dir: this.dir, entries: 0, expired: 0, bytes: 0, sources: {} };
+
+    this.entries().forEach(({ file, entry }) => {
+      const source = path.basename(path.dirname(file));
+      const bytes = fs.statSync(file).size;
+      const expired = !entry || entry.expiresAt <= now;
+      if (!stats.sources[source]) stats.sources[source] = { entries: 0, expired: 0, bytes: 0 };
+
+      [stats, stats.sources[source]].forEach(target => {
+        target.entries++;
+        target.bytes += bytes;
+        if (expired) target.expired++;
+      });
+    });
+    return stats;
+  }
+
+  /**
+   * All entry files ({ file, entry }) for a known source or every source; unreadable entries have entry null
+   */
+  entries(source) {
+    if (source !== undefined && !KNOWN_SOURCES.includes(source)) {
+      throw new Error(`Unknown cache source "${source}" (expected ${KNOWN_SOURCES.join(', ')})`);
+    }
+    const sources = source ? [source] : KNOWN_SOURCES;
+
+    return sources.flatMap(name => {
+      const dir = path.join(this.dir, name);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => ({ file: path.join(dir, file), entry: readEntry(path.join(dir, file)) }));
+    });
+  }
+}
+
+/**
+ * Parsed entry, or null for missing, corrupt or old-version files (treated as misses)
+ */
+function readEntry(file) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return entry.version === CACHE_VERSION ? entry : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Human-readable stats
+ */
+function formatCacheStats(stats) {
+  const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+  const lines = [`Cache: ${stats.dir}`, `Entries: ${stats.entries} (${stats.expired} expired), ${kb(stats.bytes)}`];
+  Object.entries(stats.sources).sort().forEach(([source, counts]) => {
+    lines.push(`  ${source}: ${counts.entries} (${counts.expired} expired), ${kb(counts.bytes)}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Run a cache command (stats, clear [source] [--expired]); returns the exit code.
+ * options: { out, err, cache }
+ */
+function cacheCommand(command, args = [], options = {}) {
+  const out = options.out || (text => console.log(text));
+  const err = options.err || (text => console.error(text));
+
+  try {
+    const cache = options.cache || new ResponseCache();
+
+    switch (command) {
+      case 'stats':
+        out(formatCacheStats(cache.stats()));
+        return 0;
+      case 'clear': {
+        const source = args.find(arg => !arg.startsWith('--'));
+        const removed = cache.clear({ source, expired: args.includes('--expired') });
+        out(`✅ Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'}${source ? ` for ${source}` : ''}`);
+        return 0;
+      }
+      default:
+        throw new Error(`Unknown cache command "${command || ''}" (expected stats, clear [source] [--expired])`);
+    }
+  } catch (e) {
+    err(`❌ ${e.message}`);
+    return 1;
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  DEFAULT_CACHE_DIR,
+  DEFAULT_TTLS,
+  formatCacheStats,
+  cacheCommand
+};
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  process.exit(cacheCommand(command, args));
+}
@@ -0,0 +1,122 @@
+/**
+ * Secret Detectors
+ * Credentials that must never reach the LLM: API tokens with known prefixes,
+ * cloud keys, JWTs, private keys, Authorization headers and high-entropy
+ * values assigned to secret-sounding names.
+ *
+ * Each detector has a `kind` (reported in stats) and global `patterns`.
+ * When a pattern has a capture group, group 1 is kept (e.g. "Authorization: ")
+ * and only the rest of the match is redacted.
+ */
+
+const SECRET_KEY_NAMES = [
+  'token', 'secret', 'password', 'passwd', 'apikey', 'authorization',
+  'credential', 'credentials', 'privatekey', 'accesskey', 'secretkey', 'clientsecret'
+];
+
+// Pagination tokens and cursors are not credentials
+const NON_SECRET_KEY_NAMES = /(?:pagetoken|cursor)$/;
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(value) {
+  if (!value) return 0;
+
+  const frequencies = new Map();
+  for (const char of value) {
+    frequencies.set(char, (frequencies.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  frequencies.forEach(count => {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  });
+  return entropy;
+}
+
+/**
+ * Whether an object key names a credential (e.g. api_key, accessToken, password)
+ */
+function isSecretKey(key) {
+  const normalized = String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (NON_SECRET_KEY_NAMES.test(normalized)) return false;
+  return SECRET_KEY_NAMES.some(name => normalized === name || normalized.endsWith(name));
+}
+
+/**
+ * Random-looking string: long, mixed case and digits, high entropy
+ */
+function looksRandom(value, minEntropy) {
+  return /[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value) && shannonEntropy(value) >= minEntropy;
+}
+
+const SECRET_DETECTORS = [
+  {
+    kind: 'private_key',
+    patterns: [/-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----/g]
+  },
+  {
+    kind: 'authorization_header',
+    patterns: [/\b((?:Proxy-)?Authorization\s*:\s*(?:Bearer|Basic|Token|Digest)?\s*)[^\s"',;]{8,}/gi]
+  },
+  {
+    kind: 'jwt',
+    patterns: [/\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g]
+  },
+  {
+    kind: 'aws_access_key',
+    patterns: [/\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g]
+  },
+  {
+    kind: 'aws_secret_key',
+    patterns: [/\b(aws_secret_access_key\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/gi]
+  },
+  {
+    kind: 'github_token',
+    patterns: [/\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g, /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g]
+  },
+  {
+    kind: 'productboard_token',
+    patterns: [/\bpb_[A-Za-z0-9_-]{16,}/g]
+  },
+  {
+    kind: 'dovetail_token',
+    patterns: [/\bdvt_[A-Za-z0-9_-]{16,}/g]
+  },
+  {
+    kind: 'atlassian_token',
+    patterns: [/\bATATT[A-Za-z0-9_=-]{20,}/g]
+  },
+  {
+    kind: 'slack_token',
+    patterns: [/\bxox[abposr]-[A-Za-z0-9-]{10,}/g]
+  },
+  {
+    kind: 'stripe_key',
+    patterns: [/\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/g]
+  },
+  {
+    kind: 'google_api_key',
+    patterns: [/\bAIza[0-9A-Za-z_-]{35}\b/g]
+  },
+  {
+    // password=..., "api_key": "...", client_secret: ...
+    kind: 'assigned_secret',
+    patterns: [/\b((?:api[_-]?key|api[_-]?token|access[_-]?token|auth[_-]?token|client[_-]?secret|secret|password|passwd|pwd|token)["']?\s*[:=]\s*["']?)([^\s"',;]{8,})/gi],
+    validate: (match, secret) => !/^\[[A-Z_]+_\d+\]$/.test(secret) && shannonEntropy(secret) >= 2.5
+  },
+  {
+    // Long random-looking strings with no recognizable prefix
+    kind: 'high_entropy_string',
+    patterns: [/(?<![A-Za-z0-9_+=-])[A-Za-z0-9_+=-]{32,}(?![A-Za-z0-9_+=-])/g],
+    validate: (match) => looksRandom(match, 4.2)
+  }
+];
+
+module.exports = {
+  SECRET_DETECTORS,
+  shannonEntropy,
+  isSecretKey
+};
@@ -0,0 +1,389 @@
+/**
+ * Secret Store
+ * Encrypted local file for API tokens (workspace/.pm-secrets.enc), so they don't
+ * have to sit in plaintext in .env. Unlocked with PM_SECRETS_KEY or
+ * PM_SECRETS_KEY_FILE, with the same AES-256-GCM envelope as the token vault.
+ * Secrets are stored per variable name, optionally scoped to a credential profile;
+ * credentials.js reads them before .env.
+ *
+ * Values are never logged: list and get show masked values, errors name the
+ * variable only, and maskSecrets() strips the credentials a request was sent with
+ * from transport errors, logs and recorded fixtures, and the credentials pm passes
+ * to a skill script from the script's output.
+ *
+ * Usage: pm secrets list | get <NAME> [--reveal] | set <NAME> | delete <NAME> |
+ *        rotate [--new-key-file <path>]   (add --profile <name> to scope)
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+
+const DEFAULT_SECRETS_FILE = path.join(__dirname, '..', 'workspace', '.pm-secrets.enc');
+const SECRETS_VERSION = 1;
+const NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+// Only API credentials; other settings stay in .env where the filter and transport read them
+const CREDENTIAL_PREFIXES = ['PRODUCTBOARD_', 'DOVETAIL_', 'CONFLUENCE_', 'ATLASSIAN_'];
+// Shorter header values (ids, flags) are not worth masking and would mangle text
+const MIN_SECRET_LENGTH = 8;
+
+class SecretStore {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.storePath = options.storePath || env.PM_SECRETS_FILE || DEFAULT_SECRETS_FILE;
+    this.passphrase = options.passphrase || env.PM_SECRETS_KEY || this.readKeyFile(options.keyFile || env.PM_SECRETS_KEY_FILE);
+
+    if (!this.passphrase) {
+      throw new Error('Secret store key not found. Set PM_SECRETS_KEY or PM_SECRETS_KEY_FILE');
+    }
+
+    // "<profile>/<NAME>" or "<NAME>" -> { value, updatedAt }
+    this.entries = new Map();
+    this.dirty = false;
+
+    this.load();
+  }
+
+  /**
+   * Read a passphrase from a key file
+   */
+  readKeyFile(keyFile) {
+    if (!keyFile) return null;
+    return fs.readFileSync(keyFile, 'utf8').trim();
+  }
+
+  /**
+   * Derive the AES key from the passphrase and a per-file salt
+   */
+  deriveKey(salt) {
+    return crypto.scryptSync(this.passphrase, salt, 32);
+  }
+
+  /**
+   * Load and decrypt the store file if it exists
+   */
+  load() {
+    if (!fs.existsSync(this.storePath)) return;
+
+    const envelope = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+    if (envelope.version !== SECRETS_VERSION) {
+      throw new Error(`Unsupported secret store version: ${envelope.version}`);
+    }
+
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        this.deriveKey(Buffer.from(envelope.salt, 'base64')),
+        Buffer.from(envelope.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (e) {
+      throw new Error('Could not decrypt secret store. Check PM_SECRETS_KEY or PM_SECRETS_KEY_FILE');
+    }
+
+    Object.entries(JSON.parse(plaintext).secrets || {}).forEach(([key, entry]) => this.entries.set(key, entry));
+  }
+
+  /**
+   * Encrypt and write the store file (owner read/write only)
+   */
+  save() {
+    if (!this.dirty) return;
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const plaintext = JSON.stringify({ secrets: Object.fromEntries(this.entries) });
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify({
+      version: SECRETS_VERSION,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }), { mode: 0o600 });
+    this.dirty = false;
+  }
+
+  static keyFor(name, profile) {
+    return profile ? `${profile}/${name}` : name;
+  }
+
+  set(name, value, profile = null) {
+    if (!NAME_PATTERN.test(name) || !CREDENTIAL_PREFIXES.some(prefix => name.startsWith(prefix))) {
+      throw new Error(`Invalid secret name "${name}" (expected a ${CREDENTIAL_PREFIXES.map(prefix => `${prefix}*`).join(', ')} variable)`);
+    }
+    if (profile && !/^[A-Za-z0-9_-]+$/.test(profile)) throw new Error(`Invalid profile name "${profile}"`);
+    if (!value || /[\r\n]/.test(value)) throw new Error(`Value for ${name} must be a single non-empty line`);
+    this.entries.set(SecretStore.keyFor(name, profile), { value, updatedAt: new Date().toISOString() });
+    this.dirty = true;
+  }
+
+  get(name, profile = null) {
+    const entry = this.entries.get(SecretStore.keyFor(name, profile));
+    return entry ? entry.value : undefined;
+  }
+
+  delete(name, profile = null) {
+    const deleted = this.entries.delete(SecretStore.keyFor(name, profile));
+    if (deleted) this.dirty = true;
+    return deleted;
+  }
+
+  /**
+   * { NAME: value } for one scope: unscoped (null) or a profile
+   */
+  values(profile = null) {
+    const result = {};
+    this.list().filter(item => item.profile === profile).forEach(item => {
+      result[item.name] = this.get(item.name, profile);
+    });
+    return result;
+  }
+
+  /**
+   * Names, scopes and update times - never values
+   */
+  list() {
+    return Array.from(this.entries.entries()).map(([key, entry]) => {
+      const slash = key.indexOf('/');
+      return {
+        name: slash === -1 ? key : key.slice(slash + 1),
+        profile: slash === -1 ? null : key.slice(0, slash),
+        updatedAt: entry.updatedAt
+      };
+    }).sort((a, b) => (a.profile || '').localeCompare(b.profile || '') || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Profiles with at least one secret
+   */
+  profiles() {
+    return [...new Set(this.list().map(item => item.profile).filter(Boolean))];
+  }
+
+  /**
+   * Re-encrypt everything under a new passphrase
+   */
+  rotate(newPassphrase) {
+    if (!newPassphrase) throw new Error('New secret store key is empty');
+    this.passphrase = newPassphrase;
+    this.dirty = true;
+    this.save();
+  }
+
+  /**
+   * Summary safe to log - never includes values
+   */
+  getStats() {
+    return { secrets: this.entries.size, profiles: this.profiles().length };
+  }
+
+  toJSON() {
+    return this.getStats();
+  }
+
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return `SecretStore ${JSON.stringify(this.getStats())}`;
+  }
+}
+
+/**
+ * The store when its file exists and a key is configured, else null (locked
+ * or unused: callers fall back to .env). A wrong key still throws.
+ */
+function openSecretStore(env = process.env) {
+  const file = env.PM_SECRETS_FILE || DEFAULT_SECRETS_FILE;
+  if (!fs.existsSync(file) || !(env.PM_SECRETS_KEY || env.PM_SECRETS_KEY_FILE)) return null;
+  return new SecretStore({ env });
+}
+
+/**
+ * Masked form for display: last four characters of long values only
+ */
+function maskValue(value) {
+  return value.length >= 16 ? `****${value.slice(-4)}` : '****';
+}
+
+/**
+ * Credential values in request headers: Bearer tokens, Basic auth (encoded,
+ * decoded and the password part) and token/key headers
+ */
+function secretsIn(headers = {}) {
+  const secrets = [];
+  Object.entries(headers).forEach(([name, value]) => {
+    if (typeof value !== 'string') return;
+    if (/^authorization$/i.test(name)) {
+      const match = value.match(/^(\w+)\s+(.+)$/);
+      if (!match) {
+        secrets.push(value);
+      } else if (/^basic$/i.test(match[1])) {
+        const decoded = Buffer.from(match[2], 'base64').toString('utf8');
+        secrets.push(match[2], decoded, decoded.slice(decoded.indexOf(':') + 1));
+      } else {
+        secrets.push(match[2]);
+      }
+    } else if (/token|api-?key|secret|password/i.test(name)) {
+      secrets.push(value);
+    }
+  });
+  return [...new Set(secrets)].filter(secret => secret.length >= MIN_SECRET_LENGTH);
+}
+
+/**
+ * Credential values in an environment: tokens, keys and passwords of the
+ * variables the store accepts (URLs and emails are not secret)
+ */
+function secretsInEnv(env = process.env) {
+  const secrets = Object.entries(env)
+    .filter(([name, value]) => typeof value === 'string' && CREDENTIAL_PREFIXES.some(prefix => name.startsWith(prefix)) && /TOKEN|KEY|SECRET|PASSWORD/.test(name))
+    .map(([, value]) => value);
+  return [...new Set(secrets)].filter(secret => secret.length >= MIN_SECRET_LENGTH);
+}
+
+/**
+ * Replace secret values in a string, or in every string of an object or array
+ */
+function maskSecrets(value, secrets) {
+  if (!secrets || secrets.length === 0) return value;
+  if (typeof value === 'string') {
+    // Longest first so a token inside "email:token" is not left half-masked
+    return [...secrets].sort((a, b) => b.length - a.length)
+      .reduce((text, secret) => text.split(secret).join('[REDACTED]'), value);
+  }
+  if (Array.isArray(value)) return value.map(item => maskSecrets(item, secrets));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskSecrets(item, secrets)]));
+  }
+  return value;
+}
+
+/**
+ * Read a value without echoing it: a hidden prompt on a terminal, else stdin
+ */
+function readSecret(prompt) {
+  if (!process.stdin.isTTY) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('data', chunk => { data += chunk; });
+      process.stdin.on('end', () => resolve(data.trim()));
+      process.stdin.on('error', reject);
+    });
+  }
+
+  process.stderr.write(prompt);
+  const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const input = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+  return new Promise(resolve => input.question('', answer => {
+    input.close();
+    process.stderr.write('\n');
+    resolve(answer.trim());
+  }));
+}
+
+/**
+ * New key for rotate: PM_SECRETS_NEW_KEY, else a key file (created with a random
+ * key when it doesn't exist yet)
+ */
+function newKey(args, env) {
+  const index = args.indexOf('--new-key-file');
+  if (index === -1) return { key: env.PM_SECRETS_NEW_KEY, keyFile: null };
+
+  const keyFile = args[index + 1];
+  if (!keyFile) throw new Error('--new-key-file needs a path');
+  if (!fs.existsSync(keyFile)) {
+    fs.mkdirSync(path.dirname(path.resolve(keyFile)), { recursive: true });
+    fs.writeFileSync(keyFile, `${crypto.randomBytes(32).toString('hex')}\n`, { mode: 0o600 });
+  }
+  return { key: fs.readFileSync(keyFile, 'utf8').trim(), keyFile };
+}
+
+/**
+ * Run a secrets command; resolves to the exit code.
+ * options: { profile, env, out, err, readSecret, store }
+ */
+async function secretsCommand(command, args = [], options = {}) {
+  const env = options.env || process.env;
+  const out = options.out || (text => console.log(text));
+  const err = options.err || (text => console.error(text));
+  const profile = options.profile || null;
+  const scope = profile ? ` (profile "${profile}")` : '';
+  const [name] = args.filter(arg => !arg.startsWith('--'));
+
+  try {
+    const store = options.store || new SecretStore({ env });
+
+    switch (command) {
+      case 'list': {
+        const items = store.list().filter(item => !profile || item.profile === profile);
+        if (items.length === 0) out(`No secrets in ${store.storePath}${scope}`);
+        items.forEach(item => out(`${item.profile ? `${item.profile}/` : ''}${item.name}  ${maskValue(store.get(item.name, item.profile))}  updated ${item.updatedAt}`));
+        return 0;
+      }
+      case 'get': {
+        if (!name) throw new Error('Usage: pm secrets get <NAME> [--reveal]');
+        const value = store.get(name, profile);
+        if (value === undefined) throw new Error(`No secret ${name}${scope}`);
+        out(args.includes('--reveal') ? value : maskValue(value));
+        return 0;
+      }
+      case 'set': {
+        if (!name) throw new Error('Usage: pm secrets set <NAME> (value from stdin or a hidden prompt)');
+        const value = await (options.readSecret || readSecret)(`Value for ${name}${scope}: `);
+        store.set(name, value, profile);
+        store.save();
+        out(`✅ Saved ${name}${scope}. Remove it from .env if it is still there.`);
+        return 0;
+      }
+      case 'delete': {
+        if (!name) throw new Error('Usage: pm secrets delete <NAME>');
+        if (!store.delete(name, profile)) throw new Error(`No secret ${name}${scope}`);
+        store.save();
+        out(`✅ Deleted ${name}${scope}`);
+        return 0;
+      }
+      case 'rotate': {
+        const { key, keyFile } = newKey(args, env);
+        if (!key) throw new Error('Set PM_SECRETS_NEW_KEY or pass --new-key-file <path>');
+        store.rotate(key);
+        out(`✅ Re-encrypted ${store.entries.size} secret(s). Now set ${keyFile ? `PM_SECRETS_KEY_FILE=${keyFile}` : 'PM_SECRETS_KEY to the new key'}.`);
+        return 0;
+      }
+      default:
+        throw new Error(`Unknown secrets command "${command || ''}" (expected list, get, set, delete, rotate)`);
+    }
+  } catch (e) {
+    err(`❌ ${e.message}`);
+    return 1;
+  }
+}
+
+module.exports = {
+  SecretStore,
+  DEFAULT_SECRETS_FILE,
+  openSecretStore,
+  maskValue,
+  secretsIn,
+  secretsInEnv,
+  maskSecrets,
+  secretsCommand
+};
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const profileIndex = args.indexOf('--profile');
+  const profile = profileIndex !== -1 ? args.splice(profileIndex, 2)[1] : process.env.PM_PROFILE;
+  secretsCommand(command, args, { profile }).then(code => process.exit(code));
+}
@@ -0,0 +1,679 @@
+/**
+ * Stand-in Server
+ * A local, in-memory emulation of the API subset our skills call, for demos and
+ * end-to-end tests of read and write commands without touching real tools.
+ *
+ *   Productboard  /productboard        features, notes (cursor pagination)
+ *   Dovetail      /dovetail/api/v1     projects, insights, highlights, tags, search
+ *   Confluence    /wiki/api/v2         pages, spaces; /wiki/rest/api/search (CQL)
+ *   Jira          /rest/api/3          issues, create/update, JQL search, myself
+ *
+ * State is seeded from JSON (stand-in-seed.json by default) and lost on exit.
+ * Any Authorization header is accepted; requests without one get a 401.
+ * Only the query syntax the skills generate is understood: simple `field = value`
+ * clauses joined by AND. Anything else is a 400 so gaps are visible, not silent.
+ *
+ * Usage: node utils/stand-in-server.js [--port 4010] [--seed file.json]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_SEED_FILE = path.join(__dirname, 'stand-in-seed.json');
+const DEFAULT_PORT = 4010;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+class StandInError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'StandInError';
+    this.status = status;
+  }
+}
+
+/**
+ * Opaque cursors are base64 offsets, like the real APIs' opaque strings
+ */
+function encodeCursor(offset) {
+  return Buffer.from(`offset:${offset}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  const match = /^offset:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  if (!match) throw new StandInError(400, `Invalid cursor "${cursor}"`);
+  return Number(match[1]);
+}
+
+/**
+ * One page of items: { items, offset, nextCursor }
+ */
+function paginate(items, cursor, limit) {
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = decodeCursor(cursor);
+  const end = offset + size;
+  return { items: items.slice(offset, end), offset, nextCursor: end < items.length ? encodeCursor(end) : null };
+}
+
+/**
+ * Plain text as an Atlassian Document Format document
+ */
+function textToAdf(text) {
+  const paragraphs = String(text || '').split(/\n{2,}/).filter(Boolean);
+  return {
+    type: 'doc',
+    version: 1,
+    content: paragraphs.map(paragraph => ({ type: 'paragraph', content: [{ type: 'text', text: paragraph }] }))
+  };
+}
+
+/**
+ * Plain text of an ADF document, for text search
+ */
+function adfText(node) {
+  if (!node || typeof node !== 'object') return typeof node === 'string' ? node : '';
+  if (node.type === 'text') return node.text || '';
+  return (node.content || []).map(adfText).join(' ');
+}
+
+/**
+ * Split a query on top-level AND into { field, op, values } clauses.
+ * Supports =, != and ~ with bare or quoted values, and IN (a, b). ORDER BY is ignored.
+ */
+function parseClauses(query, language) {
+  const text = String(query || '').replace(/\s+ORDER\s+BY\s+.*$/i, '').trim();
+  if (!text) return [];
+
+  const clause = /^\s*("[^"]+"|[\w.-]+)\s*(!=|=|~|\bIN\b)\s*(\([^)]*\)|"(?:[^"\\]|\\.)*"|[^\s()]+)\s*/i;
+  const unquote = value => value.replace(/^"|"$/g, '').replace(/\\"/g, '"');
+  const clauses = [];
+  let rest = text;
+
+  while (rest) {
+    const match = clause.exec(rest);
+    if (!match) throw new StandInError(400, `${language} not supported by the stand-in server: "${rest.trim()}"`);
+    const op = match[2].toUpperCase();
+    const values = op === 'IN'
+      ? match[3].replace(/^\(|\)$/g, '').split(',').map(value => unquote(value.trim())).filter(Boolean)
+      : [unquote(match[3])];
+    clauses.push({ field: unquote(match[1]).toLowerCase(), op, values });
+
+    rest = rest.slice(match[0].length);
+    const joiner = /^AND\s+/i.exec(rest);
+    if (joiner) {
+      rest = rest.slice(joiner[0].length);
+    } else if (rest) {
+      throw new StandInError(400, `${language} not supported by the stand-in server: "${rest.trim()}" (only AND is supported)`);
+    }
+  }
+  return clauses;
+}
+
+/**
+ * Whether a record value satisfies a clause; `~` is a case-insensitive contains
+ */
+function matchesClause(actual, clause) {
+  const candidates = (Array.isArray(actual) ? actual : [actual])
+    .filter(value => value !== null && value !== undefined)
+    .map(value => String(value).toLowerCase());
+  const wanted = clause.values.map(value => value.toLowerCase());
+
+  if (clause.op === '~') return candidates.some(value => value.includes(wanted[0]));
+  const found = candidates.some(value => wanted.includes(value));
+  return clause.op === '!=' ? !found : found;
+}
+
+class StandInServer {
+  constructor(options = {}) {
+    this.seed = options.seed || JSON.parse(fs.readFileSync(options.seedFile || DEFAULT_SEED_FILE, 'utf8'));
+    // Logs one line per request when set (the CLI passes console.log)
+    this.log = options.log || null;
+    this.routes = this.buildRoutes();
+    this.reset();
+  }
+
+  /**
+   * Discard all writes and reload the seed
+   */
+  reset() {
+    const seed = JSON.parse(JSON.stringify(this.seed));
+    const productboard = seed.productboard || {};
+    const dovetail = seed.dovetail || {};
+    const confluence = seed.confluence || {};
+    const jira = seed.jira || {};
+
+    this.state = {
+      features: productboard.features || [],
+      notes: productboard.notes || [],
+      projects: dovetail.projects || [],
+      insights: dovetail.insights || [],
+      highlights: dovetail.highlights || [],
+      tags: dovetail.tags || [],
+      spaces: confluence.spaces || [],
+      pages: (confluence.pages || []).map(page => ({
+        ...page,
+        version: page.version || { number: 1, message: '', createdAt: page.createdAt }
+      })),
+      jiraProjects: jira.projects || [],
+      users: jira.users || [],
+      issues: (jira.issues || []).map((issue, index) => ({
+        id: issue.id || String(10001 + index),
+        ...issue,
+        description: typeof issue.description === 'string' ? textToAdf(issue.description) : issue.description || null,
+        updated: issue.updated || issue.created
+      })),
+      nextId: 1
+    };
+  }
+
+  /**
+   * Start listening; resolves to the base URL (port 0 picks a free port)
+   */
+  listen(port = DEFAULT_PORT, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.url = `http://${host}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Request listener; also usable with an existing http.Server
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const base = `http://${req.headers.host || 'localhost'}`;
+    let status = 500;
+    let body;
+
+    try {
+      const route = this.routes.find(candidate => candidate.method === req.method && candidate.pattern.test(url.pathname));
+      if (!route) throw new StandInError(404, `No stand-in route for ${req.method} ${url.pathname}`);
+      if (!req.headers.authorization) throw new StandInError(401, 'Missing Authorization header');
+
+      const params = route.pattern.exec(url.pathname).slice(1).map(value => value && decodeURIComponent(value));
+      const payload = await readJsonBody(req);
+      [status, body] = route.handler({ params, query: url.searchParams, body: payload, base });
+    } catch (e) {
+      status = e instanceof StandInError ? e.status : 500;
+      body = errorBody(url.pathname, status, e.message, e.errors);
+    }
+
+    if (this.log) this.log(`${req.method} ${url.pathname} → ${status}`);
+    res.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  buildRoutes() {
+    const routes = [];
+    const add = (method, pattern, handler) => routes.push({ method, pattern, handler: handler.bind(this) });
+
+    add('GET', /^\/productboard\/features\/?$/, this.listFeatures);
+    add('GET', /^\/productboard\/features\/([^/]+)$/, this.getFeature);
+    add('PATCH', /^\/productboard\/features\/([^/]+)$/, this.updateFeature);
+    add('GET', /^\/productboard\/notes\/?$/, this.listNotes);
+    add('GET', /^\/productboard\/notes\/([^/]+)$/, this.getNote);
+    add('POST', /^\/productboard\/notes\/?$/, this.createNote);
+
+    add('GET', /^\/dovetail\/api\/v1\/projects\/?$/, request => this.dovetailList(this.state.projects, request));
+    add('GET', /^\/dovetail\/api\/v1\/projects\/([^/]+)$/, ({ params }) => [200, { data: this.find(this.state.projects, 'id', params[0], 'Project') }]);
+    add('GET', /^\/dovetail\/api\/v1\/insights\/?$/, request => this.dovetailList(this.state.insights, request));
+    add('GET', /^\/dovetail\/api\/v1\/insights\/([^/]+)$/, ({ params }) => [200, { data: this.find(this.state.insights, 'id', params[0], 'Insight') }]);
+    add('GET', /^\/dovetail\/api\/v1\/highlights\/?$/, request => this.dovetailList(this.state.highlights, request));
+    add('GET', /^\/dovetail\/api\/v1\/tags\/?$/, request => this.dovetailList(this.state.tags, request));
+    add('GET', /^\/dovetail\/api\/v1\/search\/?$/, this.dovetailSearch);
+    add('POST', /^\/dovetail\/api\/v1\/search\/?$/, this.dovetailSearch);
+
+    add('GET', /^\/wiki\/api\/v2\/spaces\/?$/, this.listSpaces);
+    add('GET', /^\/wiki\/api\/v2\/pages\/?$/, this.listPages);
+    add('GET', /^\/wiki\/api\/v2\/pages\/([^/]+)$/, this.getPage);
+    add('GET', /^\/wiki\/api\/v2\/pages\/([^/]+)\/children$/, this.listChildPages);
+    add('POST', /^\/wiki\/api\/v2\/pages\/?$/, this.createPage);
+    add('PUT', /^\/wiki\/api\/v2\/pages\/([^/]+)$/, this.updatePage);
+    add('GET', /^\/wiki\/rest\/api\/search\/?$/, this.searchContent);
+
+    add('GET', /^\/rest\/api\/3\/myself\/?$/, () => [200, this.jiraUser((this.state.users[0] || {}).accountId || 'stand-in-user')]);
+    add('GET', /^\/rest\/api\/3\/issue\/([^/]+)$/, this.getIssue);
+    add('POST', /^\/rest\/api\/3\/issue\/?$/, this.createIssue);
+    add('PUT', /^\/rest\/api\/3\/issue\/([^/]+)$/, this.updateIssue);
+    add('GET', /^\/rest\/api\/3\/search(\/jql)?\/?$/, this.searchIssues);
+    add('POST', /^\/rest\/api\/3\/search(\/jql)?\/?$/, this.searchIssues);
+
+    return routes;
+  }
+
+  find(items, field, value, label) {
+    const item = items.find(candidate => String(candidate[field]) === String(value));
+    if (!item) throw new StandInError(404, `${label} ${value} not found`);
+    return item;
+  }
+
+  newId(prefix) {
+    return `${prefix}${this.state.nextId++}`;
+  }
+
+  // Productboard: { data, links: { next } }; notes also return pageCursor
+
+  productboardFeature(feature, base) {
+    return { ...feature, links: { self: `${base}/productboard/features/${feature.id}`, html: `${base}/productboard/features/${feature.id}` } };
+  }
+
+  listFeatures({ query, base }) {
+    const owner = query.get('owner.email');
+    const status = query.get('status.name');
+    const features = this.state.features.filter(feature =>
+      (!owner || (feature.owner && feature.owner.email === owner)) &&
+      (!status || (feature.status && feature.status.name === status)));
+
+    const page = paginate(features, query.get('pageCursor'), query.get('pageLimit'));
+    return [200, {
+      data: page.items.map(feature => this.productboardFeature(feature, base)),
+      links: { next: page.nextCursor ? `${base}/productboard/features?${nextQuery(query, 'pageCursor', page.nextCursor)}` : null }
+    }];
+  }
+
+  getFeature({ params, base }) {
+    return [200, { data: this.productboardFeature(this.find(this.state.features, 'id', params[0], 'Feature'), base) }];
+  }
+
+  updateFeature({ params, body, base }) {
+    const feature = this.find(this.state.features, 'id', params[0], 'Feature');
+    const changes = (body && body.data) || {};
+    ['name', 'description', 'status', 'owner', 'timeframe'].forEach(field => {
+      if (changes[field] !== undefined) feature[field] = changes[field];
+    });
+    feature.updatedAt = new Date().toISOString();
+    return [200, { data: this.productboardFeature(feature, base) }];
+  }
+
+  listNotes({ query, base }) {
+    const feature = query.get('featureId');
+    const owner = query.get('ownerEmail');
+    const notes = this.state.notes.filter(note =>
+      (!feature || (note.features || []).some(linked => linked.id === feature)) &&
+      (!owner || (note.owner && note.owner.email === owner)));
+
+    const page = paginate(notes, query.get('pageCursor'), query.get('pageLimit'));
+    return [200, {
+      data: page.items,
+      pageCursor: page.nextCursor,
+      totalResults: notes.length,
+      links: { next: page.nextCursor ? `${base}/productboard/notes?${nextQuery(query, 'pageCursor', page.nextCursor)}` : null }
+    }];
+  }
+
+  getNote({ params }) {
+    return [200, { data: this.find(this.state.notes, 'id', params[0], 'Note') }];
+  }
+
+  createNote({ body, base }) {
+    if (!body || !body.title || !body.content) throw new StandInError(422, 'Note requires title and content');
+    const note = {
+      id: this.newId('note-'),
+      title: body.title,
+      content: body.content,
+      user: body.user || null,
+      company: body.company || null,
+      owner: body.owner || null,
+      features: [],
+      tags: body.tags || [],
+      createdAt: new Date().toISOString()
+    };
+    this.state.notes.push(note);
+    return [201, { data: { id: note.id }, links: { html: `${base}/productboard/notes/${note.id}` } }];
+  }
+
+  // Dovetail: { data, page: { total_count, has_more, next_cursor } }
+
+  dovetailList(items, { query }) {
+    const project = query.get('project_id') || query.get('filter[project_id]');
+    const filtered = project ? items.filter(item => item.project_id === project) : items;
+    const page = paginate(filtered, query.get('page[start_cursor]'), query.get('page[limit]') || query.get('limit'));
+    return [200, { data: page.items, page: { total_count: filtered.length, has_more: Boolean(page.nextCursor), next_cursor: page.nextCursor } }];
+  }
+
+  dovetailSearch({ query, body }) {
+    const text = String((body && body.query) || query.get('query') || '').toLowerCase();
+    if (!text) throw new StandInError(400, 'Search requires a query');
+
+    const hits = [
+      ...this.state.insights
+        .filter(insight => `${insight.title} ${insight.content}`.toLowerCase().includes(text))
+        .map(insight => ({ type: 'insight', ...insight })),
+      ...this.state.highlights
+        .filter(highlight => highlight.text.toLowerCase().includes(text))
+        .map(highlight => ({ type: 'highlight', ...highlight }))
+    ];
+    const page = paginate(hits, query.get('page[start_cursor]'), query.get('page[limit]') || query.get('limit'));
+    return [200, { data: page.items, page: { total_count: hits.length, has_more: Boolean(page.nextCursor), next_cursor: page.nextCursor } }];
+  }
+
+  // Confluence v2: { results, _links: { next } } with relative next links
+
+  confluencePage(page, base, bodyFormat) {
+    const result = {
+      id: page.id,
+      status: page.status,
+      title: page.title,
+      spaceId: page.spaceId,
+      parentId: page.parentId,
+      authorId: page.authorId,
+      createdAt: page.createdAt,
+      version: page.version,
+      _links: { webui: `/spaces/${this.spaceKey(page.spaceId)}/pages/${page.id}`, base: `${base}/wiki` }
+    };
+    if (bodyFormat === 'storage') result.body = { storage: { value: page.body, representation: 'storage' } };
+    return result;
+  }
+
+  spaceKey(spaceId) {
+    const space = this.state.spaces.find(candidate => candidate.id === spaceId);
+    return space ? space.key : spaceId;
+  }
+
+  confluenceList(items, { query, base }, path, format = item => item) {
+    const page = paginate(items, query.get('cursor'), query.get('limit'));
+    return [200, {
+      results: page.items.map(format),
+      _links: { next: page.nextCursor ? `${path}?${nextQuery(query, 'cursor', page.nextCursor)}` : undefined, base: `${base}/wiki` }
+    }];
+  }
+
+  listSpaces(request) {
+    const keys = (request.query.get('keys') || '').split(',').filter(Boolean);
+    const spaces = keys.length > 0 ? this.state.spaces.filter(space => keys.includes(space.key)) : this.state.spaces;
+    return this.confluenceList(spaces, request, '/wiki/api/v2/spaces');
+  }
+
+  listPages(request) {
+    const spaceIds = (request.query.get('space-id') || '').split(',').filter(Boolean);
+    const title = request.query.get('title');
+    const pages = this.state.pages.filter(page =>
+      (spaceIds.length === 0 || spaceIds.includes(page.spaceId)) && (!title || page.title === title));
+    return this.confluenceList(pages, request, '/wiki/api/v2/pages', page => this.confluencePage(page, request.base, request.query.get('body-format')));
+  }
+
+  listChildPages(request) {
+    this.find(this.state.pages, 'id', request.params[0], 'Page');
+    const children = this.state.pages.filter(page => page.parentId === request.params[0]);
+    return this.confluenceList(children, request, `/wiki/api/v2/pages/${request.params[0]}/children`,
+      page => this.confluencePage(page, request.base, request.query.get('body-format')));
+  }
+
+  getPage({ params, query, base }) {
+    return [200, this.confluencePage(this.find(this.state.pages, 'id', params[0], 'Page'), base, query.get('body-format'))];
+  }
+
+  createPage({ body, base }) {
+    if (!body || !body.spaceId || !body.title) throw new StandInError(400, 'Page requires spaceId and title');
+    this.find(this.state.spaces, 'id', body.spaceId, 'Space');
+    if (body.parentId) this.find(this.state.pages, 'id', body.parentId, 'Parent page');
+    if (this.state.pages.some(page => page.spaceId === body.spaceId && page.title === body.title)) {
+      throw new StandInError(400, `A page with title "${body.title}" already exists in this space`);
+    }
+
+    const now = new Date().toISOString();
+    const page = {
+      id: String(200000 + this.state.nextId++),
+      spaceId: body.spaceId,
+      parentId: body.parentId || null,
+      title: body.title,
+      status: body.status || 'current',
+      body: (body.body && body.body.value) || '',
+      authorId: 'stand-in-user',
+      createdAt: now,
+      version: { number: 1, message: '', createdAt: now }
+    };
+    this.state.pages.push(page);
+    return [200, this.confluencePage(page, base, 'storage')];
+  }
+
+  updatePage({ params, body, base }) {
+    const page = this.find(this.state.pages, 'id', params[0], 'Page');
+    const version = body && body.version && body.version.number;
+    // Same optimistic locking as Confluence: the next version number or a conflict
+    if (version !== page.version.number + 1) {
+      throw new StandInError(409, `Version must be ${page.version.number + 1}, got ${version}`);
+    }
+
+    if (body.title) page.title = body.title;
+    if (body.status) page.status = body.status;
+    if (body.body && body.body.value !== undefined) page.body = body.body.value;
+    page.version = { number: version, message: body.version.message || '', createdAt: new Date().toISOString() };
+    return [200, this.confluencePage(page, base, 'storage')];
+  }
+
+  searchContent({ query, base }) {
+    const clauses = parseClauses(query.get('cql'), 'CQL');
+    const fields = {
+      space: page => this.spaceKey(page.spaceId),
+      type: () => 'page',
+      title: page => page.title,
+      text: page => `${page.title} ${page.body}`,
+      id: page => page.id,
+      parent: page => page.parentId
+    };
+    clauses.forEach(clause => {
+      if (!fields[clause.field]) throw new StandInError(400, `CQL field "${clause.field}" not supported by the stand-in server`);
+    });
+
+    const pages = this.state.pages.filter(page => clauses.every(clause => matchesClause(fields[clause.field](page), clause)));
+    const start = Number(query.get('start')) || 0;
+    const limit = Math.min(Number(query.get('limit')) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const results = pages.slice(start, start + limit).map(page => ({
+      content: { id: page.id, type: 'page', status: page.status, title: page.title, _links: { webui: `/spaces/${this.spaceKey(page.spaceId)}/pages/${page.id}` } },
+      title: page.title,
+      excerpt: page.body.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200),
+      url: `/spaces/${this.spaceKey(page.spaceId)}/pages/${page.id}`,
+      lastModified: page.version.createdAt
+    }));
+    return [200, { results, start, limit, size: results.length, totalSize: pages.length, _links: { base: `${base}/wiki` } }];
+  }
+
+  // Jira v3
+
+  jiraUser(accountId) {
+    if (!accountId) return null;
+    const user = this.state.users.find(candidate => candidate.accountId === accountId);
+    return user ? { ...user, active: true } : { accountId, displayName: accountId, active: true };
+  }
+
+  jiraIssue(issue, base, fieldList) {
+    const parent = issue.parent ? this.state.issues.find(candidate => candidate.key === issue.parent) : null;
+    const fields = {
+      summary: issue.summary,
+      description: issue.description,
+      issuetype: { name: issue.type },
+      status: { name: issue.status },
+      priority: issue.priority ? { name: issue.priority } : null,
+      labels: issue.labels || [],
+      project: { key: issue.key.split('-')[0] },
+      parent: parent ? { id: parent.id, key: parent.key, fields: { summary: parent.summary, issuetype: { name: parent.type } } } : undefined,
+      reporter: this.jiraUser(issue.reporter),
+      assignee: this.jiraUser(issue.assignee),
+      creator: this.jiraUser(issue.reporter),
+      created: issue.created,
+      updated: issue.updated
+    };
+
+    const wanted = (fieldList || '').split(',').map(field => field.trim()).filter(field => field && field !== '*all');
+    if (wanted.length > 0) {
+      Object.keys(fields).forEach(field => { if (!wanted.includes(field)) delete fields[field]; });
+    }
+    return { id: issue.id, key: issue.key, self: `${base}/rest/api/3/issue/${issue.id}`, fields };
+  }
+
+  findIssue(keyOrId) {
+    const issue = this.state.issues.find(candidate => candidate.key === keyOrId || candidate.id === keyOrId);
+    if (!issue) throw new StandInError(404, 'Issue does not exist or you do not have permission to see it.');
+    return issue;
+  }
+
+  getIssue({ params, query, base }) {
+    return [200, this.jiraIssue(this.findIssue(params[0]), base, query.get('fields'))];
+  }
+
+  createIssue({ body, base }) {
+    const fields = (body && body.fields) || {};
+    const errors = {};
+    const project = fields.project && this.state.jiraProjects.find(candidate =>
+      candidate.key === fields.project.key || candidate.id === fields.project.id);
+    if (!project) errors.project = 'valid project is required';
+    if (!fields.summary) errors.summary = 'You must specify a summary of the issue.';
+    if (!fields.issuetype || !fields.issuetype.name) errors.issuetype = 'Specify an issue type';
+    if (fields.parent && !this.state.issues.some(issue => issue.key === fields.parent.key)) errors.parent = 'Given parent work item does not belong to appropriate hierarchy.';
+    if (Object.keys(errors).length > 0) throw Object.assign(new StandInError(400, 'Invalid issue'), { errors });
+
+    const number = 1 + Math.max(0, ...this.state.issues
+      .filter(issue => issue.key.startsWith(`${project.key}-`))
+      .map(issue => Number(issue.key.split('-')[1])));
+    const now = new Date().toISOString().replace('Z', '+0000');
+    const issue = {
+      id: String(20000 + this.state.nextId++),
+      key: `${project.key}-${number}`,
+      type: fields.issuetype.name,
+      summary: fields.summary,
+      description: typeof fields.description === 'string' ? textToAdf(fields.description) : fields.description || null,
+      status: 'To Do',
+      priority: fields.priority ? fields.priority.name : 'Medium',
+      labels: fields.labels || [],
+      parent: fields.parent ? fields.parent.key : undefined,
+      reporter: 'stand-in-user',
+      assignee: fields.assignee ? fields.assignee.accountId : null,
+      created: now,
+      updated: now
+    };
+    this.state.issues.push(issue);
+    return [201, { id: issue.id, key: issue.key, self: `${base}/rest/api/3/issue/${issue.id}` }];
+  }
+
+  updateIssue({ params, body }) {
+    const issue = this.findIssue(params[0]);
+    const fields = (body && body.fields) || {};
+    if (fields.summary !== undefined) issue.summary = fields.summary;
+    if (fields.description !== undefined) issue.description = typeof fields.description === 'string' ? textToAdf(fields.description) : fields.description;
+    if (fields.priority) issue.priority = fields.priority.name;
+    if (fields.labels) issue.labels = fields.labels;
+    if (fields.assignee !== undefined) issue.assignee = fields.assignee ? fields.assignee.accountId : null;
+    issue.updated = new Date().toISOString().replace('Z', '+0000');
+    return [204, undefined];
+  }
+
+  searchIssues({ params, query, body, base }) {
+    const options = body || {};
+    const jql = options.jql !== undefined ? options.jql : query.get('jql');
+    const fieldList = Array.isArray(options.fields) ? options.fields.join(',') : options.fields || query.get('fields');
+    const clauses = parseClauses(jql, 'JQL');
+    const fields = {
+      project: issue => issue.key.split('-')[0],
+      key: issue => issue.key,
+      issuekey: issue => issue.key,
+      parent: issue => issue.parent,
+      status: issue => issue.status,
+      issuetype: issue => issue.type,
+      type: issue => issue.type,
+      priority: issue => issue.priority,
+      labels: issue => issue.labels,
+      assignee: issue => issue.assignee,
+      reporter: issue => issue.reporter,
+      summary: issue => issue.summary,
+      text: issue => `${issue.summary} ${adfText(issue.description)}`
+    };
+    clauses.forEach(clause => {
+      if (!fields[clause.field]) throw new StandInError(400, `JQL field "${clause.field}" not supported by the stand-in server`);
+    });
+
+    const issues = this.state.issues.filter(issue => clauses.every(clause => matchesClause(fields[clause.field](issue), clause)));
+    const maxResults = Math.min(Number(options.maxResults || query.get('maxResults')) || 50, MAX_PAGE_SIZE);
+
+    // /search/jql pages with nextPageToken; the older /search with startAt/total
+    if (params[0]) {
+      const page = paginate(issues, options.nextPageToken || query.get('nextPageToken'), maxResults);
+      return [200, { issues: page.items.map(issue => this.jiraIssue(issue, base, fieldList)), nextPageToken: page.nextCursor || undefined, isLast: !page.nextCursor }];
+    }
+    const startAt = Number(options.startAt || query.get('startAt')) || 0;
+    return [200, {
+      startAt,
+      maxResults,
+      total: issues.length,
+      issues: issues.slice(startAt, startAt + maxResults).map(issue => this.jiraIssue(issue, base, fieldList))
+    }];
+  }
+}
+
+/**
+ * Query string for the next page: the same parameters with a new cursor
+ */
+function nextQuery(query, name, cursor) {
+  const next = new URLSearchParams(query);
+  next.set(name, cursor);
+  return next.toString();
+}
+
+/**
+ * Error body in the shape the emulated API uses
+ */
+function errorBody(pathname, status, message, fieldErrors) {
+  if (pathname.startsWith('/rest/api/3')) return { errorMessages: fieldErrors ? [] : [message], errors: fieldErrors || {} };
+  if (pathname.startsWith('/wiki')) return { errors: [{ status, code: http.STATUS_CODES[status], title: message }] };
+  return { errors: [{ status: String(status), title: http.STATUS_CODES[status], detail: message }] };
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('error', reject);
+    req.on('end', () => {
+      if (!text) return resolve(null);
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        reject(new StandInError(400, `Request body is not valid JSON: ${e.message}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  StandInServer,
+  DEFAULT_SEED_FILE,
+  DEFAULT_PORT,
+  parseClauses
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const seedIndex = args.indexOf('--seed');
+  const port = portIndex !== -1 ? Number(args[portIndex + 1]) : Number(process.env.STAND_IN_PORT) || DEFAULT_PORT;
+
+  let server;
+  try {
+    server = new StandInServer({ seedFile: seedIndex !== -1 ? args[seedIndex + 1] : undefined, log: message => console.log(message) });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  server.listen(port).then(url => {
+    console.log(`✅ Stand-in APIs on ${url} (in memory, resets on restart)`);
+    console.log(`   PRODUCTBOARD_API_URL=${url}/productboard`);
+    console.log(`   DOVETAIL_API_URL=${url}/dovetail/api/v1`);
+    console.log(`   CONFLUENCE_BASE_URL=${url}`);
+    console.log(`   ATLASSIAN_SITE_URL=${url}`);
+  }).catch(e => {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,213 @@
+/**
+ * Token Vault
+ * Encrypted, local-only store of token → original value mappings produced by PIIFilter.
+ * Used to re-identify LLM output (e.g. `[EMAIL_3]`, `Company 2`) before writing it
+ * back to Confluence or Jira. The mapping is never printed.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_VAULT_FILE = path.join(__dirname, '..', 'workspace', '.pii-vault.enc');
+const VAULT_VERSION = 1;
+
+/**
+ * Fallback comparison key for originals recorded without one
+ */
+function normalizeOriginal(value) {
+  return String(value).normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+class TokenVault {
+  constructor(options = {}) {
+    this.vaultPath = options.vaultPath || process.env.PII_VAULT_FILE || DEFAULT_VAULT_FILE;
+    this.passphrase = options.passphrase || process.env.PII_VAULT_KEY || this.readKeyFile(options.keyFile || process.env.PII_VAULT_KEY_FILE);
+
+    if (!this.passphrase) {
+      throw new Error('PII vault key not found. Set PII_VAULT_KEY or PII_VAULT_KEY_FILE in .env');
+    }
+
+    // token -> original value (the first spelling seen)
+    this.entries = new Map();
+    // token -> normalized original, so `Bob@Acme.com` and `bob@acme.com` are one value
+    this.keys = new Map();
+    // tokens that were recorded with more than one original value
+    this.conflicts = new Set();
+    this.dirty = false;
+
+    this.load();
+  }
+
+  /**
+   * Read a passphrase from a key file
+   */
+  readKeyFile(keyFile) {
+    if (!keyFile) return null;
+    return fs.readFileSync(keyFile, 'utf8').trim();
+  }
+
+  /**
+   * Derive the AES key from the passphrase and a per-file salt
+   */
+  deriveKey(salt) {
+    return crypto.scryptSync(this.passphrase, salt, 32);
+  }
+
+  /**
+   * Load and decrypt the vault file if it exists
+   */
+  load() {
+    if (!fs.existsSync(this.vaultPath)) return;
+
+    const envelope = JSON.parse(fs.readFileSync(this.vaultPath, 'utf8'));
+    if (envelope.version !== VAULT_VERSION) {
+      throw new Error(`Unsupported PII vault version: ${envelope.version}`);
+    }
+
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        this.deriveKey(Buffer.from(envelope.salt, 'base64')),
+        Buffer.from(envelope.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (e) {
+      throw new Error('Could not decrypt PII vault. Check PII_VAULT_KEY or PII_VAULT_KEY_FILE');
+    }
+
+    const data = JSON.parse(plaintext);
+    Object.entries(data.entries || {}).forEach(([token, original]) => {
+      this.entries.set(token, original);
+      // Vaults written before keys were stored compare by the folded original
+      this.keys.set(token, (data.keys && data.keys[token]) || null);
+    });
+    (data.conflicts || []).forEach(token => this.conflicts.add(token));
+  }
+
+  /**
+   * Encrypt and write the vault file (owner read/write only)
+   */
+  save() {
+    if (!this.dirty) return;
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const plaintext = JSON.stringify({
+      entries: Object.fromEntries(this.entries),
+      keys: Object.fromEntries(this.keys),
+      conflicts: Array.from(this.conflicts)
+    });
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    fs.mkdirSync(path.dirname(this.vaultPath), { recursive: true });
+    fs.writeFileSync(this.vaultPath, JSON.stringify({
+      version: VAULT_VERSION,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }), { mode: 0o600 });
+    this.dirty = false;
+  }
+
+  /**
+   * Record a token and the original value it replaced. key is the value as the
+   * filter normalized it (defaults to a case- and whitespace-folded original);
+   * spellings with the same key are one value and the first spelling is kept.
+   */
+  record(token, original, key = normalizeOriginal(original)) {
+    if (this.conflicts.has(token)) return;
+
+    if (!this.entries.has(token)) {
+      this.entries.set(token, original);
+      this.keys.set(token, key);
+      this.dirty = true;
+      return;
+    }
+
+    const existing = this.keys.get(token);
+    const same = existing === null
+      ? normalizeOriginal(this.entries.get(token)) === normalizeOriginal(original)
+      : existing === key;
+    if (same && existing === null) {
+      this.keys.set(token, key);
+      this.dirty = true;
+    } else if (!same) {
+      // Same token used for two different values - refuse to guess later
+      this.entries.delete(token);
+      this.keys.delete(token);
+      this.conflicts.add(token);
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Original value for a token (undefined if unknown or ambiguous)
+   */
+  lookup(token) {
+    return this.entries.get(token);
+  }
+
+  /**
+   * Iterate over [token, original] pairs (used to seed PIIFilter pseudonyms)
+   */
+  tokens() {
+    return this.entries.entries();
+  }
+
+  /**
+   * Replace known tokens in text with their original values.
+   * Ambiguous or unknown tokens are left untouched.
+   */
+  rehydrate(text) {
+    if (!text || this.entries.size === 0) return text;
+
+    // Longest first so `Participant 12` wins over `Participant 1`
+    const tokens = Array.from(this.entries.keys()).sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(
+      tokens.map(token => {
+        const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return /\d$/.test(token) ? `\\b${escaped}(?!\\d)` : escaped;
+      }).join('|'),
+      'g'
+    );
+
+    return text.replace(pattern, (match) => this.entries.get(match));
+  }
+
+  /**
+   * Tokens in text that cannot be rehydrated because they are ambiguous
+   */
+  ambiguousTokens(text) {
+    return Array.from(this.conflicts).filter(token => text.includes(token));
+  }
+
+  /**
+   * Summary safe to log - never includes the mapping itself
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      conflicts: this.conflicts.size
+    };
+  }
+
+  toJSON() {
+    return this.getStats();
+  }
+
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return `TokenVault ${JSON.stringify(this.getStats())}`;
+  }
+}
+
+module.exports = TokenVault;
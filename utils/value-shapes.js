@@ -0,0 +1,60 @@
+/**
+ * Value Shapes
+ * Expected shapes for safe fields (pii-policy.json `defaults.safeFields`).
+ * A safe field is only passed through when its value has the declared shape;
+ * anything else (a `status` holding "waiting on bob@acme.com") is filtered as text.
+ */
+
+// Same parameters PIIFilter.filterSensitiveUrls redacts
+const SENSITIVE_URL_PARAMS = /^(?:email|user_id|userId|uid)$/;
+
+const SHAPES = {
+  // 550e8400-e29b-41d4-a716-446655440000
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  // Opaque identifiers with at least one digit: 10001, 5b10ac8d82e05b22cc7d4ef5, 557058:f58131cb
+  id: value => /^(?=.*\d)[A-Za-z0-9][A-Za-z0-9_.:-]{0,127}$/.test(value),
+  // AI-123
+  'issue-key': value => /^[A-Z][A-Z0-9_]+-\d+$/.test(value),
+  // Single-word enum values: current, in_progress, ENG, story
+  enum: value => /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/.test(value),
+  boolean: value => value === 'true' || value === 'false',
+  // 2025-12-03, 2025-12-03T10:00:00Z, 2025-12-03T10:00:00.000+0000 (Jira)
+  datetime: value => /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/.test(value),
+  // http(s) URL with no credentials, emails or user ID parameters
+  url: isSafeUrl
+};
+
+function isSafeUrl(value) {
+  if (/\s/.test(value)) return false;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return false;
+
+  let rest;
+  try {
+    rest = decodeURIComponent(url.pathname + url.search + url.hash);
+  } catch (e) {
+    return false;
+  }
+  if (rest.includes('@')) return false;
+
+  return ![...url.searchParams.keys()].some(name => SENSITIVE_URL_PARAMS.test(name));
+}
+
+/**
+ * First of `shapes` that the value has, or null
+ */
+function matchShape(shapes, value) {
+  if (typeof value !== 'string') return null;
+  return shapes.find(shape => SHAPES[shape](value)) || null;
+}
+
+module.exports = {
+  SHAPE_NAMES: Object.keys(SHAPES),
+  matchShape
+};